@@ -0,0 +1,123 @@
+/*
+  app.js
+  The game's one page: creates the session (session.js) and the views, and shows the view
+  that renders the room's phase. The server says which phase the room is in with syncState
+  (on every join) and phaseChanged (on every transition).
+
+  Each view has a path (/lobby, /game, /voting, /champions) that follows it into the
+  address bar, so a reload or a shared link opens the app there and Back goes to the
+  previous view, as far as the phase allows: during a game only that phase's view can be
+  shown, between games the lobby and the champions. Back to / shows the start view without
+  leaving the room.
+*/
+(function () {
+  const VIEW_FOR_PHASE = {
+    lobby: 'lobby',
+    wordPick: 'game',
+    roleReveal: 'game',
+    drawing: 'game',
+    voting: 'voting',
+    tieDecision: 'voting',
+    fakeGuess: 'voting',
+    results: 'voting',
+    victory: 'champions'
+  };
+  const PATHS = { home: '/', lobby: '/lobby', game: '/game', voting: '/voting', champions: '/champions' };
+  const TITLES = {
+    home: 'A FAKE ARTIST GOES TO NEW YORK',
+    lobby: 'Lobby - Fake Artist',
+    game: 'A FAKE ARTIST GOES TO NEW YORK',
+    voting: 'Voting - A FAKE ARTIST GOES TO NEW YORK',
+    champions: 'CHAMPIONS — Fake Artist'
+  };
+
+  function viewForPath(pathname) {
+    if (pathname === '/results') return 'voting'; // the old results page
+    return Object.keys(PATHS).find(name => PATHS[name] === pathname) || 'home';
+  }
+
+  // An invite to a room other than the saved one opens the start view with its code
+  // instead of rejoining the saved room
+  const invite = (new URLSearchParams(window.location.search).get('room') || '').toUpperCase();
+  const session = createSession({ rejoin: !invite || invite === localStorage.getItem('roomCode') });
+  const { socket } = session;
+  createSpectatorBar(socket);
+
+  let current = null;
+  const views = {
+    home: createHomeView(session, { onBackToRoom: () => showRoom('push') }),
+    lobby: createLobbyView(session),
+    game: createGameView(session),
+    voting: createVotingView(session),
+    champions: createChampionsView(session, { onBackToLobby: () => show('lobby', 'push') })
+  };
+
+  // The views the room's phase allows, the phase's own view first
+  function allowedViews() {
+    if (session.waiting) return ['lobby'];
+    if (session.phase === 'lobby') return ['lobby', 'champions'];
+    if (session.phase === 'victory') return ['champions', 'lobby'];
+    return [VIEW_FOR_PHASE[session.phase] || 'lobby'];
+  }
+
+  // history: 'push' adds an entry for a new path, 'replace' rewrites the current one
+  function show(name, history) {
+    if (current !== name) {
+      Object.keys(views).forEach(v => document.getElementById(`view-${v}`).classList.toggle('hidden', v !== name));
+      document.getElementById('connectingNotice').classList.add('hidden');
+      document.body.dataset.view = name;
+      document.title = TITLES[name];
+      current = name;
+      if (views[name].enter) views[name].enter();
+    }
+    const url = name === 'home' ? PATHS.home + window.location.search : PATHS[name];
+    if (history === 'push' && window.location.pathname !== PATHS[name]) window.history.pushState({ view: name }, '', url);
+    else if (history === 'replace') window.history.replaceState({ view: name }, '', url);
+  }
+
+  function showRoom(history) {
+    show(allowedViews()[0], history);
+  }
+
+  // Every (re)join: render the phase in every view, then stay where we are (or where the
+  // address bar asked to be) if the phase allows it
+  socket.on('syncState', (state) => {
+    Object.values(views).forEach(view => { if (view.sync) view.sync(state); });
+    const wanted = current || viewForPath(window.location.pathname);
+    if (allowedViews().includes(wanted)) show(wanted, 'replace');
+    else showRoom(current ? 'push' : 'replace');
+  });
+
+  // The room moved on; someone who went back to the start view stays there
+  socket.on('phaseChanged', () => {
+    if (current !== 'home') showRoom('push');
+  });
+
+  // Queued for the next game: there is no syncState until we get a seat
+  socket.on('waitingForNextGame', () => {
+    showRoom(current ? 'push' : 'replace');
+  });
+
+  socket.on('removedFromRoom', (data) => {
+    alert(data.message);
+    show('home', 'push');
+  });
+
+  socket.on('error', (message) => {
+    alert('❌ Error: ' + message);
+    // Could not (re)claim our seat: start over
+    if (!session.joined && current !== 'home') show('home', 'replace');
+  });
+
+  window.addEventListener('popstate', () => {
+    const wanted = viewForPath(window.location.pathname);
+    if (wanted === 'home') return show('home');
+    if (!session.joined) return show('home', 'replace');
+    if (allowedViews().includes(wanted)) show(wanted);
+    else showRoom('replace');
+  });
+
+  // Until the saved room answers there is nothing to show but a notice
+  if (!session.rejoin || !session.roomCode || !session.playerName) show('home', 'replace');
+  else document.getElementById('connectingNotice').classList.remove('hidden');
+})();
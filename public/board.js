@@ -0,0 +1,159 @@
+/*
+  board.js
+  The live whiteboard of the drawing phase: shows every stroke as it streams in and, while
+  it is our turn, sends our own line (drawStart, drawPoints, drawEnd).
+
+  Points travel and are stored as fractions of the board (x, y from 0 to 1), so the canvas
+  can be any size: it follows its container at the screen's pixel density and is redrawn
+  from the round's strokes whenever that size changes. The finished drawing is shown by
+  drawing-replay.js instead.
+
+  Usage:
+    const board = createBoard(document.getElementById('whiteboard'), socket);
+    board.load(data.drawing);             // the round so far, e.g. from roundStarted
+    board.setTurn(isMyTurn, myColor);     // only then does the pointer draw
+*/
+(function () {
+  const BOARD_ASPECT = 500 / 800;
+  const LINE_WIDTH = 4 / 800; // of the board width
+  const POINT_SCALE = 10000;  // drawPoints batches: flat [x1, y1, ...] in 1/10000 of the board
+
+  window.createBoard = function createBoard(canvas, socket) {
+    const ctx = canvas.getContext('2d');
+    let strokes = [];           // this round's lines so far: { color, playerId, points }
+    let myTurn = false;
+    let myColor = '#000';
+    let activePointer = null;
+    let lastPoint = null;
+    let pendingPoints = [];     // drawn since the last frame, not yet sent
+    let flushScheduled = false;
+
+    function resizeCanvas() {
+      const cssWidth = canvas.clientWidth;
+      if (!cssWidth) return; // hidden
+      const width = Math.round(cssWidth * (window.devicePixelRatio || 1));
+      const height = Math.round(width * BOARD_ASPECT);
+      if (canvas.width === width && canvas.height === height) return;
+      canvas.width = width;
+      canvas.height = height;
+      renderStrokes();
+    }
+    new ResizeObserver(resizeCanvas).observe(canvas);
+
+    function drawSegment(color, from, to) {
+      ctx.strokeStyle = color || '#000';
+      ctx.lineWidth = LINE_WIDTH * canvas.width;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.beginPath();
+      ctx.moveTo(from.x * canvas.width, from.y * canvas.height);
+      ctx.lineTo(to.x * canvas.width, to.y * canvas.height);
+      ctx.stroke();
+    }
+
+    function renderStrokes() {
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      strokes.forEach(line => {
+        if (!line.points || !line.points.length) return;
+        ctx.strokeStyle = line.color || '#000';
+        ctx.lineWidth = LINE_WIDTH * canvas.width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(line.points[0].x * canvas.width, line.points[0].y * canvas.height);
+        line.points.forEach(pt => ctx.lineTo(pt.x * canvas.width, pt.y * canvas.height));
+        ctx.stroke();
+      });
+    }
+
+    // Pointer position as a fraction of the board, clamped to its edges
+    function boardPoint(e) {
+      const rect = canvas.getBoundingClientRect();
+      const fraction = (v, size) => Math.round(Math.min(1, Math.max(0, v / size)) * POINT_SCALE) / POINT_SCALE;
+      return { x: fraction(e.clientX - rect.left, rect.width), y: fraction(e.clientY - rect.top, rect.height) };
+    }
+
+    // Points go out at most once per animation frame, as one batch
+    function flushPoints() {
+      flushScheduled = false;
+      if (!pendingPoints.length) return;
+      const flat = [];
+      pendingPoints.forEach(p => flat.push(Math.round(p.x * POINT_SCALE), Math.round(p.y * POINT_SCALE)));
+      pendingPoints = [];
+      socket.emit('drawPoints', { points: flat });
+    }
+
+    // Pointer events cover mouse, touch and pen; touch-action: none (styles.css) stops the
+    // page from scrolling or zooming under a finger that is drawing
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!myTurn || !e.isPrimary || activePointer !== null) return;
+      e.preventDefault();
+      canvas.setPointerCapture(e.pointerId);
+      activePointer = e.pointerId;
+      lastPoint = boardPoint(e);
+      drawSegment(myColor, lastPoint, lastPoint);
+      socket.emit('drawStart', lastPoint);
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (e.pointerId !== activePointer || !myTurn) return;
+      e.preventDefault();
+      const point = boardPoint(e);
+      if (point.x === lastPoint.x && point.y === lastPoint.y) return;
+      drawSegment(myColor, lastPoint, point);
+      pendingPoints.push(point);
+      lastPoint = point;
+      if (!flushScheduled) {
+        flushScheduled = true;
+        requestAnimationFrame(flushPoints);
+      }
+    });
+
+    function stopDrawing(e) {
+      if (e.pointerId !== activePointer) return;
+      activePointer = null;
+      if (!myTurn) return;
+      flushPoints();
+      socket.emit('drawEnd');
+    }
+    canvas.addEventListener('pointerup', stopDrawing);
+    canvas.addEventListener('pointercancel', stopDrawing);
+
+    // Our own points come back too: they are already on screen, so they are only recorded
+    socket.on('drawStart', (data) => {
+      strokes.push({ color: data.color, playerId: data.playerId, points: [{ x: data.x, y: data.y }] });
+      if (data.playerId !== socket.id) drawSegment(data.color, data, data);
+    });
+
+    socket.on('drawPoints', (data) => {
+      const line = strokes[strokes.length - 1];
+      if (!line || !Array.isArray(data.points)) return;
+      for (let i = 0; i + 1 < data.points.length; i += 2) {
+        const point = { x: data.points[i] / POINT_SCALE, y: data.points[i + 1] / POINT_SCALE };
+        const prev = line.points[line.points.length - 1];
+        line.points.push(point);
+        if (data.playerId !== socket.id) drawSegment(line.color, prev, point);
+      }
+    });
+
+    return {
+      // Replaces the board with a drawing (array of { color, playerId, points })
+      load(drawing) {
+        strokes = (drawing || []).map(line => ({ color: line.color, playerId: line.playerId, points: (line.points || []).slice() }));
+        resizeCanvas();
+        renderStrokes();
+      },
+      setTurn(isMyTurn, color) {
+        myTurn = isMyTurn;
+        if (color) myColor = color;
+        if (!myTurn) {
+          // The turn can end mid-stroke (timer); whatever is unsent would be refused
+          activePointer = null;
+          pendingPoints = [];
+        }
+        canvas.style.cursor = myTurn ? 'crosshair' : 'default';
+      }
+    };
+  };
+})();
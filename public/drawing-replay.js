@@ -0,0 +1,162 @@
+/*
+  drawing-replay.js
+  Replays a round's drawing stroke by stroke, in the order it was drawn, with the artist's
+  name on each stroke. Used by the voting view.
+
+  Strokes come from the server as { color, playerId, playerName, points: [{ x, y, t }] }
+  where x and y are fractions of the board (0 to 1) and t is the server time (ms) the point
+  arrived. The canvas keeps the board's 8:5 shape and CSS scales it to fit the screen. Replays run at real speed (or faster);
+  long pauses between turns are shortened to MAX_TURN_GAP_MS so nobody waits on dead air.
+  Drawings without timestamps (saved before the server recorded them) replay at a steady pace.
+
+  Usage:
+    const replay = createDrawingReplay(document.getElementById('drawingWrapper'), { width: 800, height: 500 });
+    replay.load(drawing, playersById);   // shows the finished drawing; Play starts from the top
+*/
+(function () {
+  const MAX_TURN_GAP_MS = 800;
+  const UNTIMED_POINT_MS = 16;
+  const UNTIMED_GAP_MS = 400;
+  const SPEEDS = [1, 2, 4, 8];
+
+  // Gives every point a replay time (ms from the start) and every stroke a start/end time
+  function buildTimeline(drawing, playersById) {
+    const strokes = [];
+    let clock = 0;
+    (drawing || []).forEach(line => {
+      const points = (line.points || []).filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y));
+      if (!points.length) return;
+      const timed = points.every(p => Number.isFinite(p.t));
+      const prev = strokes[strokes.length - 1];
+      if (prev) {
+        const gap = timed && prev.lastT !== null ? points[0].t - prev.lastT : UNTIMED_GAP_MS;
+        clock += Math.max(0, Math.min(gap, MAX_TURN_GAP_MS));
+      }
+      const start = clock;
+      const times = points.map((p, i) => start + (timed ? p.t - points[0].t : i * UNTIMED_POINT_MS));
+      clock = times[times.length - 1];
+      const player = playersById && line.playerId ? playersById[line.playerId] : null;
+      strokes.push({
+        color: line.color,
+        name: line.playerName || (player && player.name) || '',
+        points,
+        times,
+        start,
+        end: clock,
+        lastT: timed ? points[points.length - 1].t : null
+      });
+    });
+    return { strokes, duration: clock };
+  }
+
+  window.createDrawingReplay = function createDrawingReplay(container, options = {}) {
+    const width = options.width || 800;
+    const height = options.height || Math.round(width * 5 / 8);
+    const background = options.background || 'black';
+    const defaultColor = options.defaultColor || '#fff';
+
+    container.innerHTML = `
+      <canvas class="replay-canvas" width="${width}" height="${height}"></canvas>
+      <div class="replay-controls">
+        <button type="button" class="replay-play">▶ Replay</button>
+        <input type="range" class="replay-scrub" min="0" max="0" value="0" step="1">
+        <select class="replay-speed">${SPEEDS.map(s => `<option value="${s}">${s}×</option>`).join('')}</select>
+        <span class="replay-caption"></span>
+      </div>`;
+    const canvas = container.querySelector('.replay-canvas');
+    const ctx = canvas.getContext('2d');
+    const playButton = container.querySelector('.replay-play');
+    const scrub = container.querySelector('.replay-scrub');
+    const speedSelect = container.querySelector('.replay-speed');
+    const caption = container.querySelector('.replay-caption');
+
+    let timeline = { strokes: [], duration: 0 };
+    let playhead = 0;
+    let playing = false;
+    let lastFrame = null;
+
+    function render() {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+      let current = null;
+      timeline.strokes.forEach((stroke, index) => {
+        if (stroke.start > playhead) return;
+        current = index;
+        ctx.strokeStyle = stroke.color || defaultColor;
+        ctx.lineWidth = width * 4 / 800;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(stroke.points[0].x * width, stroke.points[0].y * height);
+        for (let i = 1; i < stroke.points.length && stroke.times[i] <= playhead; i++) {
+          ctx.lineTo(stroke.points[i].x * width, stroke.points[i].y * height);
+        }
+        ctx.stroke();
+        // Name tag where the stroke begins
+        if (stroke.name) {
+          ctx.font = 'bold 13px Arial';
+          ctx.fillStyle = stroke.color || defaultColor;
+          ctx.fillText(stroke.name, stroke.points[0].x * width + 6, stroke.points[0].y * height - 6);
+        }
+      });
+      scrub.value = String(Math.round(playhead));
+      if (current === null) {
+        caption.textContent = timeline.strokes.length ? '' : 'Nothing was drawn';
+      } else {
+        const stroke = timeline.strokes[current];
+        caption.innerHTML = `Turn ${current + 1} of ${timeline.strokes.length}` +
+          (stroke.name ? ` — <b style="color:${escapeHtml(stroke.color || defaultColor)}">${escapeHtml(stroke.name)}</b>` : '');
+      }
+    }
+
+    function frame(now) {
+      if (!playing) return;
+      if (lastFrame !== null) playhead += (now - lastFrame) * Number(speedSelect.value);
+      lastFrame = now;
+      if (playhead >= timeline.duration) {
+        playhead = timeline.duration;
+        pause();
+      }
+      render();
+      if (playing) requestAnimationFrame(frame);
+    }
+
+    function play() {
+      if (!timeline.strokes.length) return;
+      if (playhead >= timeline.duration) playhead = 0;
+      playing = true;
+      lastFrame = null;
+      playButton.textContent = '❚❚ Pause';
+      requestAnimationFrame(frame);
+    }
+
+    function pause() {
+      playing = false;
+      playButton.textContent = '▶ Replay';
+    }
+
+    playButton.addEventListener('click', () => (playing ? pause() : play()));
+    scrub.addEventListener('input', () => {
+      pause();
+      playhead = Number(scrub.value);
+      render();
+    });
+
+    return {
+      // Shows the finished drawing; Play replays it from the first stroke
+      load(drawing, playersById) {
+        pause();
+        timeline = buildTimeline(drawing, playersById);
+        scrub.max = String(Math.round(timeline.duration));
+        playhead = timeline.duration;
+        render();
+      },
+      play,
+      pause,
+      seek(ms) {
+        playhead = Math.max(0, Math.min(timeline.duration, ms));
+        render();
+      }
+    };
+  };
+})();
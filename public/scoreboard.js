@@ -0,0 +1,49 @@
+/*
+  scoreboard.js
+  The score table shown after each round and on the champions view.
+
+  Round outcomes carry scores keyed by player id; championsData carries the room's
+  authoritative scores keyed by name, which also covers people who have since left.
+  Either way the rows come out highest score first.
+
+  Usage:
+    renderScoreboard(container, data.players, data.scores);
+    renderScoreboard(container, payload.players, payload.scores, { byName: true, titles: payload.championTitles });
+*/
+(function () {
+  /*
+    scoreRows:
+    [{ name, color, score, titles }] for players (id-keyed object or array), sorted.
+    With byName, scores entries for names no longer among the players get a row too.
+  */
+  window.scoreRows = function scoreRows(players, scores, { byName = false, titles = null } = {}) {
+    const list = (Array.isArray(players) ? players : Object.values(players || {})).filter(Boolean);
+    const table = scores || {};
+    const rows = list.map(p => ({
+      name: p.name,
+      color: p.color || '#999',
+      score: (byName ? table[p.name] : table[p.id]) || 0
+    }));
+    if (byName) {
+      const seated = new Set(rows.map(r => r.name));
+      Object.keys(table).forEach(name => {
+        if (!seated.has(name)) rows.push({ name, color: '#999', score: table[name] || 0 });
+      });
+    }
+    rows.forEach(r => { r.titles = (titles && titles[r.name]) || 0; });
+    return rows.sort((a, b) => b.score - a.score);
+  };
+
+  // Fills container with a <table class="scores-table">; a titles column when titles are given
+  window.renderScoreboard = function renderScoreboard(container, players, scores, options = {}) {
+    const rows = scoreRows(players, scores, options);
+    const withTitles = !!options.titles;
+    container.innerHTML = `<table class="scores-table">
+      <thead><tr><th>Player</th><th class="num">Score</th>${withTitles ? '<th class="num">Champion Titles</th>' : ''}</tr></thead>
+      <tbody>${rows.map(r => `<tr>
+        <td><span class="score-swatch" style="background:${escapeHtml(r.color)}"></span>${escapeHtml(r.name)}</td>
+        <td class="num">${r.score}</td>${withTitles ? `<td class="num">${r.titles}</td>` : ''}
+      </tr>`).join('')}</tbody>
+    </table>`;
+  };
+})();
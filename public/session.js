@@ -0,0 +1,157 @@
+/*
+  session.js
+  The app's one socket.io connection, and who this browser is in which room. It lasts as
+  long as the page does: switching views never reconnects.
+
+  localStorage keeps playerName, roomCode, sessionToken and spectating, so a reload or a
+  dropped connection lands back in the same seat: on every (re)connect the session sends
+  joinGame for the saved room, and the server answers with playerAssigned (or
+  spectatorAssigned / waitingForNextGame) followed by syncState.
+
+  The session listens before anything else does, so by the time a view handles one of
+  these events the session fields below are already up to date.
+
+  Usage:
+    const session = createSession({ rejoin: true });
+    session.socket.on('turnChanged', render);   // server events go straight to the socket
+    session.join({ playerName, roomCode, spectate: false });
+    if (session.isHost()) ...
+*/
+(function () {
+  window.createSession = function createSession(options = {}) {
+    const socket = io();
+    const session = {
+      socket,
+      playerName: localStorage.getItem('playerName') || '',
+      roomCode: localStorage.getItem('roomCode') || '',
+      rejoin: options.rejoin !== false, // rejoin the saved room on connect
+      playerId: null,                   // our seat (the socket id) once playerAssigned arrives
+      joined: false,                    // seated, watching or queued in roomCode
+      waiting: false,                   // queued for the next game
+      hostId: null,
+      phase: null,
+
+      isHost() {
+        return !!session.playerId && session.playerId === session.hostId;
+      },
+
+      create(playerName) {
+        remember(playerName, null);
+        session.rejoin = true;
+        socket.emit('createRoom', playerName);
+      },
+
+      // spectate: watch without a seat (spectator.js)
+      join({ playerName, roomCode, spectate = false }) {
+        remember(playerName, null);
+        if (spectate) localStorage.setItem('spectating', '1');
+        else localStorage.removeItem('spectating');
+        session.rejoin = true;
+        emitJoin(roomCode);
+      },
+
+      // Drops the saved room, e.g. after being removed from it
+      forget() {
+        localStorage.removeItem('roomCode');
+        session.roomCode = '';
+        session.joined = false;
+        session.waiting = false;
+        session.playerId = null;
+        session.phase = null;
+      }
+    };
+
+    let rejoining = false;
+
+    function remember(playerName, roomCode) {
+      if (playerName) {
+        session.playerName = playerName;
+        localStorage.setItem('playerName', playerName);
+      }
+      if (roomCode) {
+        session.roomCode = roomCode;
+        localStorage.setItem('roomCode', roomCode);
+      }
+    }
+
+    function emitJoin(roomCode) {
+      socket.emit('joinGame', {
+        playerName: session.playerName,
+        roomCode,
+        sessionToken: localStorage.getItem('sessionToken'),
+        spectate: isSpectating()
+      });
+    }
+
+    socket.on('connect', () => {
+      if (!session.rejoin || !session.playerName || !session.roomCode) return;
+      rejoining = true;
+      emitJoin(session.roomCode);
+    });
+
+    socket.on('disconnect', () => {
+      session.joined = false;
+    });
+
+    socket.on('playerAssigned', (data) => {
+      const wasWaiting = session.waiting;
+      localStorage.removeItem('spectating');
+      // proves this browser owns the seat when it reconnects
+      localStorage.setItem('sessionToken', data.sessionToken);
+      remember(data.playerName, data.roomCode);
+      session.playerId = data.playerId;
+      session.joined = true;
+      session.waiting = false;
+      rejoining = false;
+      // Seated off the waiting list: the phase we last heard of may be stale
+      if (wasWaiting) socket.emit('requestState');
+    });
+
+    socket.on('waitingForNextGame', (data) => {
+      localStorage.removeItem('spectating');
+      localStorage.setItem('sessionToken', data.sessionToken);
+      remember(data.playerName, data.roomCode);
+      session.playerId = null;
+      session.joined = true;
+      session.waiting = true;
+      session.phase = data.phase;
+      rejoining = false;
+    });
+
+    socket.on('spectatorAssigned', (data) => {
+      remember(data.playerName, data.roomCode);
+      session.playerId = null;
+      session.joined = true;
+      session.waiting = false;
+      session.phase = data.phase;
+      rejoining = false;
+    });
+
+    socket.on('roomUpdated', (data) => {
+      session.hostId = data.hostId;
+    });
+
+    socket.on('syncState', (state) => {
+      session.phase = state.phase;
+      session.hostId = state.hostId;
+    });
+
+    socket.on('phaseChanged', (data) => {
+      session.phase = data.phase;
+    });
+
+    socket.on('removedFromRoom', () => {
+      session.forget();
+    });
+
+    // The saved seat could not be reclaimed (e.g. the room was cleaned up while everyone
+    // was away): forget it rather than retrying on every reconnect
+    socket.on('error', () => {
+      if (!rejoining || session.joined) return;
+      rejoining = false;
+      session.forget();
+    });
+
+    return session;
+  };
+})();
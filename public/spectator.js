@@ -0,0 +1,67 @@
+/*
+  spectator.js
+  For people who watch a room instead of playing in it.
+
+  A browser is a spectator while localStorage.spectating is '1' (set by "Watch" on the start
+  view, cleared when it joins as a player); the session then sends joinGame with
+  spectate: true and the server answers with spectatorAssigned instead of playerAssigned.
+  Spectators learn the word and the fake from spectatorReveal (and syncState.reveal on
+  joining): after the vote, or at once if the server runs with SPECTATOR_REVEAL=live.
+
+  Usage:
+    socket.emit('joinGame', { playerName, roomCode, sessionToken, spectate: isSpectating() });
+    createSpectatorBar(socket);   // "👀 watching" bar at the top of the page, for everyone
+*/
+(function () {
+  window.isSpectating = function isSpectating() {
+    return localStorage.getItem('spectating') === '1';
+  };
+
+  /*
+    createSpectatorBar:
+    Lists who is watching (spectatorsUpdated). For a spectator it also says so, and shows the
+    word and the fake once spectatorReveal arrives (until the next game starts).
+  */
+  window.createSpectatorBar = function createSpectatorBar(socket, container = document.body) {
+    const bar = document.createElement('div');
+    bar.className = 'spectator-bar hidden';
+    container.prepend(bar);
+
+    let names = [];
+    let reveal = null;
+
+    function render() {
+      const parts = [];
+      if (isSpectating()) {
+        parts.push('<strong>👀 You are spectating</strong>');
+        parts.push(reveal
+          ? `Word: <strong>${escapeHtml(reveal.secretWord)}</strong> (${escapeHtml(reveal.category)}) · Fake: <strong>${escapeHtml(reveal.fakeName)}</strong>`
+          : '<span class="muted">The word and the fake are revealed after the vote</span>');
+      }
+      if (names.length) parts.push(`${names.length} watching: ${names.map(escapeHtml).join(', ')}`);
+      bar.innerHTML = parts.join(' · ');
+      bar.classList.toggle('hidden', !parts.length);
+    }
+
+    socket.on('spectatorsUpdated', (data) => {
+      names = (data && data.names) || [];
+      render();
+    });
+    socket.on('spectatorReveal', (data) => {
+      reveal = data;
+      render();
+    });
+    socket.on('syncState', (state) => {
+      names = state.spectators || [];
+      reveal = state.reveal;
+      render();
+    });
+    // A new game (or its role reveal after the Question Master's pick) has new secrets
+    socket.on('phaseChanged', ({ phase }) => {
+      if (phase !== 'wordPick' && phase !== 'roleReveal') return;
+      reveal = null;
+      render();
+    });
+    render();
+  };
+})();
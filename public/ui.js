@@ -0,0 +1,48 @@
+/*
+  ui.js
+  Small helpers every part of the app uses: HTML escaping, point counts and the countdowns
+  to server deadlines (turns, votes, guesses, the Question Master's pick).
+
+  Usage:
+    el.innerHTML = `<b>${escapeHtml(name)}</b> wins ${formatPoints(2)}`;
+    const countdown = createCountdown(left => { el.textContent = `⏱ ${left}s`; });
+    countdown.start(data.turnDeadline, data.serverTime);   // and countdown.stop()
+*/
+(function () {
+  window.escapeHtml = function escapeHtml(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  };
+
+  window.formatPoints = function formatPoints(n) {
+    return `${n} point${n === 1 ? '' : 's'}`;
+  };
+
+  /*
+    createCountdown:
+    Calls onTick(secondsLeft) four times a second until the deadline, which is server time:
+    it is shifted by the clock skew observed through serverTime. Stops by itself at 0.
+  */
+  window.createCountdown = function createCountdown(onTick) {
+    let timer = null;
+
+    function stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+
+    return {
+      start(deadline, serverTime) {
+        stop();
+        const local = deadline - ((serverTime || Date.now()) - Date.now());
+        const tick = () => {
+          const left = Math.max(0, Math.ceil((local - Date.now()) / 1000));
+          onTick(left);
+          if (left === 0) stop();
+        };
+        tick();
+        timer = setInterval(tick, 250);
+      },
+      stop
+    };
+  };
+})();
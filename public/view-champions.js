@@ -0,0 +1,102 @@
+/*
+  view-champions.js
+  The champions view (/champions): who was just crowned (victory), the room's scores and
+  champion titles, and earlier champions. The room shows it on victory; between games it
+  can also be opened from its link. The host can reset the scores and start over.
+
+  Usage:
+    const champions = createChampionsView(session, { onBackToLobby });
+    champions.enter();   // asks the server for championsData
+*/
+(function () {
+  const BACKGROUND = '/assets/victory-bg.gif';
+
+  window.createChampionsView = function createChampionsView(session, { onBackToLobby }) {
+    const { socket } = session;
+    const $ = id => document.getElementById(id);
+    const view = $('view-champions');
+    let victory = null;   // the latest victory payload, until the next game starts
+
+    // Optional wallpaper: only used when the server has one
+    const img = new Image();
+    img.onload = () => { view.style.backgroundImage = `url('${BACKGROUND}')`; };
+    img.src = BACKGROUND;
+
+    function renderVictory() {
+      $('victoryBanner').classList.toggle('hidden', !victory);
+      if (!victory) return;
+      $('victoryBanner').innerHTML = `<div class="victory-title">CHAMPION!</div>
+        <div><b>${(victory.champions || []).map(escapeHtml).join(', ')}</b> ${(victory.champions || []).length > 1 ? 'are' : 'is'} the winner!</div>`;
+    }
+
+    function renderChampionsData(payload) {
+      const championTitles = payload.championTitles || {};
+      const history = payload.history || [];
+
+      // Champion(s) of the latest game, newest history entry first
+      const latest = history[0] || null;
+      const champDisplay = $('championDisplay');
+      const champsListEl = $('championsList');
+      champsListEl.innerHTML = '';
+      if (latest && Array.isArray(latest.champions) && latest.champions.length) {
+        champDisplay.innerHTML = `<div style="font-size:22px;color:#ffd">Champion(s): <strong style="font-size:28px">${escapeHtml(latest.champions.join(', '))}</strong></div>`;
+        latest.champions.forEach(name => {
+          const div = document.createElement('div');
+          div.className = 'champ-card';
+          div.innerHTML = `<div class="champ-name">${escapeHtml(name)}</div>
+                           <div class="champ-score">${(championTitles[name] || 0)} title(s)</div>`;
+          champsListEl.appendChild(div);
+        });
+      } else {
+        champDisplay.innerHTML = '<div style="font-size:20px;color:#fff">No recent champions</div>';
+      }
+
+      // championsData carries the room's authoritative, name-keyed scores
+      renderScoreboard($('championsScores'), payload.players, payload.scores, { byName: true, titles: championTitles });
+
+      $('historyList').innerHTML = history.length
+        ? history.map(h => `<div style="margin-top:8px"><strong>${escapeHtml((h.champions || []).join(', '))}</strong> — ${new Date(h.time).toLocaleString()}</div>`).join('')
+        : '<div style="color:#ccc;margin-top:8px">No champions yet.</div>';
+    }
+
+    socket.on('championsData', renderChampionsData);
+
+    socket.on('victory', (data) => {
+      victory = data;
+      renderVictory();
+      socket.emit('getChampions');
+    });
+
+    socket.on('startNewGame', () => {
+      victory = null;
+      renderVictory();
+    });
+
+    // Resetting scores is host-only
+    socket.on('roomUpdated', () => {
+      $('startNextBtn').style.display = session.isHost() ? '' : 'none';
+    });
+
+    $('backLobbyBtn').addEventListener('click', onBackToLobby);
+
+    // The server moves the room to the lobby, which takes us there
+    $('startNextBtn').addEventListener('click', () => {
+      socket.emit('resetScoresAndStart', { resetChampionTitles: false });
+    });
+
+    return {
+      enter() {
+        const room = encodeURIComponent(session.roomCode || '');
+        // This room's rounds in the archive
+        $('roundsLink').href = '/rounds?room=' + room;
+        $('leaderboardLink').href = '/leaderboard?room=' + room;
+        $('startNextBtn').style.display = session.isHost() ? '' : 'none';
+        socket.emit('getChampions');
+      },
+      sync(state) {
+        victory = state.victory || null;
+        renderVictory();
+      }
+    };
+  };
+})();
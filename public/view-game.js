@@ -0,0 +1,386 @@
+/*
+  view-game.js
+  The game view (/game) for the wordPick, roleReveal and drawing phases: the Question
+  Master's word pick, the role reveal and ready-up, then the turns on the live board
+  (board.js). Spectators see the same screens without a role or a turn.
+
+  Usage:
+    const game = createGameView(session);
+    game.sync(state);   // from syncState
+*/
+(function () {
+  // Lobby rules arrive with the role; fall back to the classic rules
+  const CLASSIC_RULES = { totalRounds: 2, championThreshold: 5, points: { fakeNotCaught: 2, fakeGuessedWord: 2, artistsCatchFake: 1 } };
+
+  window.createGameView = function createGameView(session) {
+    const { socket } = session;
+    const $ = id => document.getElementById(id);
+    const board = createBoard($('whiteboard'), socket);
+    const overlay = $('whiteboardOverlay');
+    let amIFakeArtist = false;
+    let players = {};
+    let secretWord = '';
+    let spectatorSecrets = null;   // from spectatorReveal (after the vote, or live)
+    let roleRevealed = false;      // clicked "Reveal Your Role" this game
+
+    function showScreen(name) {
+      $('roleScreen').classList.toggle('hidden', name !== 'role');
+      $('drawingScreen').classList.toggle('hidden', name !== 'drawing');
+    }
+
+    // Which part of the role screen shows: 'reveal', 'questionMaster' or 'role'
+    function showRoleSection(name) {
+      showScreen('role');
+      $('revealRoleSection').style.display = name === 'reveal' ? '' : 'none';
+      $('questionMasterSection').style.display = name === 'questionMaster' ? '' : 'none';
+      $('roleContentSection').style.display = name === 'role' ? '' : 'none';
+    }
+
+    // Helper to update category + secret word UI in a defensive way
+    function updateCategoryAndSecretUI(categoryFromEvent, secretFromEvent) {
+      if (categoryFromEvent !== undefined && categoryFromEvent !== null) {
+        $('categoryDisplay').textContent = categoryFromEvent;
+      }
+      const secretEl = $('secretWordInfo');
+      if (isSpectating()) {
+        secretEl.textContent = spectatorSecrets
+          ? `👀 Secret Word: ${spectatorSecrets.secretWord} · Fake Artist: ${spectatorSecrets.fakeName}`
+          : '👀 Spectating: the word and the fake are revealed after the vote';
+        secretEl.className = 'secret-word';
+      } else if (!amIFakeArtist) {
+        const s = (secretFromEvent !== undefined && secretFromEvent !== null) ? secretFromEvent : secretWord;
+        if (s) {
+          secretEl.textContent = `Secret Word: ${s}`;
+          secretEl.className = 'secret-word known';
+        }
+      } else {
+        secretEl.textContent = 'You are the Fake Artist! Try to blend in.';
+        secretEl.className = 'secret-word fake';
+      }
+    }
+
+    // Spectators have no role: while the players look at theirs, show who is ready
+    function showSpectatorRoleScreen() {
+      $('roleTitle').textContent = '👀 SPECTATING';
+      $('roleTitle').className = 'role-title';
+      $('roleInfo').innerHTML = '<p>The players are checking their roles. The drawing starts once everyone is ready.</p>';
+      $('readyButton').style.display = 'none';
+      showRoleSection('role');
+      updateCategoryAndSecretUI(null, null);
+    }
+
+    socket.on('spectatorReveal', (data) => {
+      spectatorSecrets = data;
+      updateCategoryAndSecretUI(data.category, null);
+    });
+
+    // A new game (or the role reveal after the Question Master's pick): forget the last
+    // role and word. The role stays behind "Reveal Your Role" until it is clicked.
+    socket.on('phaseChanged', ({ phase }) => {
+      if (phase !== 'drawing') board.setTurn(false);
+      if (phase !== 'wordPick' && phase !== 'roleReveal') return;
+      amIFakeArtist = false;
+      secretWord = '';
+      spectatorSecrets = null;
+      roleRevealed = false;
+      $('categoryDisplay').textContent = 'Loading...';
+      $('secretWordInfo').textContent = '';
+      setReadyDone(false);
+      if (phase !== 'roleReveal') return;
+      if (isSpectating()) showSpectatorRoleScreen();
+      else showRoleSection('reveal');
+    });
+
+    // 1. Prompt for role reveal after the Question Master's pick
+    socket.on('promptRevealRole', () => {
+      showRoleSection('reveal');
+    });
+
+    // Question Master mode: everyone waits while the QM picks the word
+    let qmCategories = {};
+    const qmCountdown = createCountdown(left => {
+      $('qmCountdown').textContent = `⏱ ${left}s left, then a random word is picked`;
+    });
+
+    function showWaitingForQuestionMaster(data) {
+      showRoleSection('questionMaster');
+      $('qmPrompt').style.display = 'none';
+      $('qmWaitingMessage').textContent =
+        `Waiting for ${data.questionMasterName || 'the Question Master'} to pick the category and secret word...`;
+    }
+    socket.on('waitingForQuestionMaster', showWaitingForQuestionMaster);
+
+    function showQuestionMasterPrompt(data) {
+      showRoleSection('questionMaster');
+      $('qmWaitingMessage').textContent = '';
+      $('qmPrompt').style.display = '';
+      qmCategories = data.categories || {};
+      $('qmCategoryList').innerHTML =
+        Object.keys(qmCategories).map(c => `<option value="${escapeHtml(c)}"></option>`).join('');
+      updateQmWordList();
+      if (data.deadline) qmCountdown.start(data.deadline, data.serverTime);
+      else qmCountdown.stop();
+    }
+    socket.on('questionMasterPrompt', showQuestionMasterPrompt);
+
+    // Word suggestions follow the chosen category (any word can still be typed)
+    function updateQmWordList() {
+      const words = qmCategories[$('qmCategory').value] || [];
+      $('qmWordList').innerHTML = words.map(w => `<option value="${escapeHtml(w)}"></option>`).join('');
+    }
+    $('qmCategory').addEventListener('input', updateQmWordList);
+
+    $('qmRandomButton').addEventListener('click', () => {
+      const names = Object.keys(qmCategories);
+      if (!names.length) return;
+      let category = $('qmCategory').value;
+      if (!qmCategories[category]) category = names[Math.floor(Math.random() * names.length)];
+      const words = qmCategories[category];
+      $('qmCategory').value = category;
+      $('qmWord').value = words[Math.floor(Math.random() * words.length)];
+      updateQmWordList();
+    });
+
+    $('qmSubmitButton').addEventListener('click', () => {
+      socket.emit('questionMasterChoice', {
+        category: $('qmCategory').value,
+        word: $('qmWord').value
+      });
+    });
+
+    // 2. On clicking "Reveal Your Role", send readyToSeeRole
+    $('revealRoleButton').addEventListener('click', () => {
+      socket.emit('readyToSeeRole');
+      roleRevealed = true;
+      showRoleSection('role');
+    });
+
+    // 3. The player's role details; the Question Master sees theirs straight away
+    function renderRole(data) {
+      amIFakeArtist = (data.role === 'fake');
+      secretWord = data.role === 'fake' ? '' : (data.secretWord || '');
+      if (roleRevealed || data.role === 'questionMaster') showRoleSection('role');
+      qmCountdown.stop();
+      $('readyButton').style.display = '';
+
+      const roleTitle = $('roleTitle');
+      const roleInfo = $('roleInfo');
+      const rules = data.rules || CLASSIC_RULES;
+      $('totalRounds').textContent = rules.totalRounds;
+      const category = escapeHtml(data.category || '—');
+      const word = escapeHtml(data.secretWord || '—');
+      const qmNote = data.questionMasterName && data.role !== 'questionMaster'
+        ? `<p>Question Master this game: <strong>${escapeHtml(data.questionMasterName)}</strong> (picked the word, doesn't draw or vote, and scores whenever the Fake Artist wins).</p>`
+        : '';
+      const champion = `<p style="margin:0;color:#ffd; font-weight:700;">First player to ${formatPoints(rules.championThreshold)} is crowned <em>The Champion</em>.</p>`;
+
+      if (data.role === 'questionMaster') {
+        roleTitle.textContent = '🎩 YOU ARE THE QUESTION MASTER';
+        roleTitle.className = 'role-title question-master';
+        roleInfo.innerHTML = `
+          <div class="role-card question-master">
+            <h3>Your Mission:</h3>
+            <p>Category: <strong>${category}</strong></p>
+            <p>Secret Word: <strong class="secret-word-display">${word}</strong></p>
+            <p>Sit back and watch: you don't draw and you don't vote.</p>
+
+            <div class="scoring" style="margin-top:12px;background:transparent;padding:8px;border-radius:6px;">
+              <h4 style="margin:0 0 8px 0">Scoring</h4>
+              <p style="margin:0 0 6px 0;">
+                You win whenever the Fake Artist wins: <strong>${formatPoints(rules.points.fakeNotCaught)}</strong> if the fake is not caught,
+                <strong>${formatPoints(rules.points.fakeGuessedWord)}</strong> if the fake is caught but guesses the word.
+              </p>
+              ${champion}
+            </div>
+          </div>
+        `;
+      } else if (data.role === 'fake') {
+        roleTitle.textContent = '🎭 YOU ARE THE FAKE';
+        roleTitle.className = 'role-title fake-artist';
+        roleInfo.innerHTML = `
+          <div class="role-card fake">
+            <h3>Your Mission:</h3>
+            <p>Category: <strong>${category}</strong></p>
+            <p>You don't know the secret word! Try to blend in with the real artists.</p>
+            <p>If you're caught but guess the word correctly, you steal the victory!</p>
+            ${qmNote}
+            <div class="tips">
+              <strong>Tips:</strong>
+              <ul>
+                <li>Watch what others draw carefully</li>
+                <li>Make your lines look intentional</li>
+                <li>Don't make it too obvious you're guessing</li>
+              </ul>
+            </div>
+
+            <div class="scoring" style="margin-top:12px;background:transparent;padding:8px;border-radius:6px;">
+              <h4 style="margin:0 0 8px 0">Scoring</h4>
+              <p style="margin:0 0 6px 0;">
+                As the Fake Artist you can win points in two ways:
+              </p>
+              <ol style="margin:0 0 8px 22px;">
+                <li>If the Fake Artist is <em>not</em> caught by a majority of Real Artists, the Fake Artist wins <strong>${formatPoints(rules.points.fakeNotCaught)}</strong>.</li>
+                <li>If the Fake Artist <em>is</em> caught but then guesses the secret word correctly, the Fake Artist wins <strong>${formatPoints(rules.points.fakeGuessedWord)}</strong>.</li>
+              </ol>
+              ${champion}
+            </div>
+          </div>
+        `;
+      } else {
+        roleTitle.textContent = '🎨 YOU ARE A REAL ARTIST';
+        roleTitle.className = 'role-title real-artist';
+        roleInfo.innerHTML = `
+          <div class="role-card real">
+            <h3>Your Mission:</h3>
+            <p>Category: <strong>${category}</strong></p>
+            <p>Secret Word: <strong class="secret-word-display">${word}</strong></p>
+            <p>Help draw the word without making it too obvious for the fake artist!</p>
+            ${qmNote}
+            <div class="tips">
+              <strong>Tips:</strong>
+              <ul>
+                <li>Draw clear but not too obvious lines</li>
+                <li>Watch for suspicious drawing behavior</li>
+                <li>Help identify the fake artist</li>
+              </ul>
+            </div>
+
+            <div class="scoring" style="margin-top:12px;background:transparent;padding:8px;border-radius:6px;">
+              <h4 style="margin:0 0 8px 0">Scoring</h4>
+              <p style="margin:0 0 6px 0;">
+                As a Real Artist, if the group correctly catches the Fake Artist by majority vote, all Real Artists each win <strong>${formatPoints(rules.points.artistsCatchFake)}</strong>.
+              </p>
+              ${champion}
+            </div>
+          </div>
+        `;
+      }
+
+      // Ensure the drawing UI has the correct category/secret immediately after roleAssigned
+      updateCategoryAndSecretUI(data.category, data.secretWord);
+    }
+    socket.on('roleAssigned', renderRole);
+
+    function setReadyDone(done) {
+      $('readyButton').disabled = done;
+      $('readyButton').textContent = done ? 'Waiting for others...' : "I'm Ready!";
+    }
+
+    $('readyButton').addEventListener('click', () => {
+      socket.emit('playerReady');
+      setReadyDone(true);
+    });
+
+    function renderReadyPlayers(data) {
+      const me = data.players && data.players[socket.id];
+      if (me && me.ready) setReadyDone(true);
+      $('readyPlayersList').innerHTML = Object.values(data.players).map(player => `
+        <div class="ready-player">
+          <span class="player-color" style="background-color: ${player.color}"></span>
+          ${escapeHtml(player.name)} ${player.ready ? '✅' : '⏳'}
+        </div>
+      `).join('');
+    }
+    socket.on('playerReadyUpdate', renderReadyPlayers);
+
+    // Transition to drawing after all are ready
+    socket.on('startDrawing', (data) => {
+      showScreen('drawing');
+      board.load(data.drawing);
+    });
+
+    function renderRound(data) {
+      showScreen('drawing');
+      $('currentRound').textContent = data.round;
+      if (data.totalRounds) $('totalRounds').textContent = data.totalRounds;
+      board.load(data.drawing);
+      if (data.players) players = data.players;
+      updateTurnInfo(data.currentTurn);
+      updatePlayersStatus(data.players);
+      updateCategoryAndSecretUI(data.category, data.secretWord);
+    }
+    socket.on('roundStarted', renderRound);
+
+    socket.on('turnChanged', (data) => {
+      if (data.players) players = data.players;
+      updateTurnInfo(data.currentTurn);
+      startTurnCountdown(data);
+    });
+
+    // Turn countdown to the server's deadline
+    const turnCountdown = createCountdown(left => {
+      $('turnCountdown').textContent = `⏱ ${left}s`;
+      $('turnCountdown').classList.toggle('urgent', left <= 10);
+    });
+    function startTurnCountdown(data) {
+      if (!data || !data.turnDeadline) {
+        turnCountdown.stop();
+        $('turnCountdown').classList.add('hidden');
+        return;
+      }
+      $('turnCountdown').classList.remove('hidden');
+      turnCountdown.start(data.turnDeadline, data.serverTime);
+    }
+
+    function updateTurnInfo(turnPlayerId) {
+      const turnInfo = $('turnInfo');
+      const spectating = isSpectating();
+      const isMyTurn = !spectating && turnPlayerId === socket.id;
+      const me = players[socket.id];
+      board.setTurn(isMyTurn, me ? me.color : '#000');
+      const currentPlayer = players[turnPlayerId];
+      const name = currentPlayer ? currentPlayer.name : 'another player';
+      if (isMyTurn) {
+        turnInfo.textContent = '🎨 Your turn! Draw one continuous line.';
+        turnInfo.className = 'turn-message your-turn';
+        overlay.style.display = 'none';
+      } else if (spectating) {
+        turnInfo.textContent = `👀 Watching ${name} draw`;
+        turnInfo.className = 'turn-message';
+        overlay.style.display = 'none';
+      } else {
+        turnInfo.textContent = `Waiting for ${name} to draw...`;
+        turnInfo.className = 'turn-message';
+        overlay.style.display = 'flex';
+      }
+    }
+
+    function updatePlayersStatus(playersData) {
+      $('playersStatus').innerHTML = Object.values(playersData || {}).map(player => `
+        <div class="player-status ${player.id === socket.id ? 'you' : ''}">
+          <span class="player-color" style="background-color: ${player.color}"></span>
+          <span class="player-name">${escapeHtml(player.name)} ${player.id === socket.id ? '(You)' : ''} ${player.isQuestionMaster ? '🎩 Question Master' : ''}</span>
+        </div>
+      `).join('');
+    }
+
+    return {
+      // Renders the current phase as if its events had just arrived
+      sync(state) {
+        players = state.players;
+        spectatorSecrets = state.reveal;
+        roleRevealed = !!state.role;
+        if (state.wordPick) {
+          showWaitingForQuestionMaster(state.wordPick);
+          if (state.wordPick.prompt) showQuestionMasterPrompt(state.wordPick.prompt);
+          return;
+        }
+        if (state.phase === 'roleReveal') {
+          if (isSpectating()) showSpectatorRoleScreen();
+          else showRoleSection('reveal');
+          const me = state.players[socket.id];
+          setReadyDone(!!(me && me.ready));
+        }
+        if (state.role) renderRole(state.role);
+        if (state.roleReveal) renderReadyPlayers({ readyPlayers: state.roleReveal.readyPlayers, players: state.players });
+        if (state.reveal) updateCategoryAndSecretUI(state.reveal.category, null);
+        if (state.phase === 'drawing') {
+          const round = { ...state.round, players: state.players, drawing: state.drawing, serverTime: state.serverTime };
+          renderRound(round);
+          updateTurnInfo(round.currentTurn);
+          startTurnCountdown(round);
+        }
+      }
+    };
+  };
+})();
@@ -0,0 +1,68 @@
+/*
+  view-home.js
+  The start view (/): create a room, join one with its code, or watch it. Invite links look
+  like /?room=ABCDE and pre-fill the code. Someone who comes back here with Back while
+  still in a room gets a button to return to it.
+
+  Usage:
+    const home = createHomeView(session, { onBackToRoom });
+*/
+(function () {
+  window.createHomeView = function createHomeView(session, { onBackToRoom }) {
+    const { socket } = session;
+    const $ = id => document.getElementById(id);
+
+    $('playerName').value = session.playerName;
+    const sharedRoom = new URLSearchParams(window.location.search).get('room');
+    if (sharedRoom) $('roomCode').value = sharedRoom.toUpperCase();
+
+    $('createRoom').addEventListener('click', createRoom);
+    $('joinGame').addEventListener('click', () => joinGame());
+    $('watchGame').addEventListener('click', () => joinGame(true));
+    $('backToRoomButton').addEventListener('click', onBackToRoom);
+    $('playerName').addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        if ($('roomCode').value.trim()) joinGame();
+        else createRoom();
+      }
+    });
+    $('roomCode').addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') joinGame();
+    });
+
+    function setButtonsBusy(busy) {
+      $('createRoom').disabled = busy;
+      $('joinGame').disabled = busy;
+      $('watchGame').disabled = busy;
+      $('joinGame').textContent = busy ? 'Joining...' : 'Join Game';
+    }
+
+    function createRoom() {
+      const playerName = $('playerName').value.trim();
+      if (!playerName) return alert('Please enter your name');
+      setButtonsBusy(true);
+      session.create(playerName);
+    }
+
+    // spectate: watch the room without a seat (see spectator.js)
+    function joinGame(spectate = false) {
+      const playerName = $('playerName').value.trim();
+      const roomCode = $('roomCode').value.trim().toUpperCase();
+      if (!playerName) return alert('Please enter your name');
+      if (!roomCode) return alert('Please enter a room code');
+      setButtonsBusy(true);
+      session.join({ playerName, roomCode, spectate });
+    }
+
+    ['playerAssigned', 'waitingForNextGame', 'spectatorAssigned', 'error'].forEach(event => {
+      socket.on(event, () => setButtonsBusy(false));
+    });
+
+    return {
+      enter() {
+        $('currentRoom').classList.toggle('hidden', !session.joined);
+        $('currentRoomCode').textContent = session.roomCode;
+      }
+    };
+  };
+})();
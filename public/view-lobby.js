@@ -0,0 +1,295 @@
+/*
+  view-lobby.js
+  The lobby view (/lobby): players and their ready state, the room's rules and word packs
+  (editable by the host only), host tools, and Start Game. Players who joined while a game
+  was running see the "next game starts soon" screen here until they get a seat.
+
+  Usage:
+    const lobby = createLobbyView(session);
+    lobby.sync(state);   // from syncState
+*/
+(function () {
+  const PHASE_NAMES = {
+    wordPick: 'picking the word', roleReveal: 'looking at their roles', drawing: 'drawing',
+    voting: 'voting', tieDecision: 'settling a tie', fakeGuess: 'waiting for the fake to guess', results: 'looking at the results'
+  };
+
+  window.createLobbyView = function createLobbyView(session) {
+    const { socket } = session;
+    const $ = id => document.getElementById(id);
+
+    // Latest lobby snapshot, so host changes can re-render without waiting for a player update
+    let lastPlayers = {};
+    let lastReadySet = new Set();
+
+    $('copyLinkButton').addEventListener('click', () => {
+      const link = `${window.location.origin}/?room=${encodeURIComponent(session.roomCode)}`;
+      if (navigator.clipboard) navigator.clipboard.writeText(link);
+      else prompt('Share this link with your friends:', link);
+    });
+
+    function showWaitingScreen(waiting) {
+      $('waitingScreen').classList.toggle('hidden', !waiting);
+      $('lobbyScreen').classList.toggle('hidden', waiting);
+    }
+
+    function renderPlayers(players, lobbyReadySet) {
+      lastPlayers = players || {};
+      lastReadySet = lobbyReadySet || new Set();
+      const amHost = session.isHost();
+      const container = $('players');
+      container.innerHTML = '';
+      Object.values(lastPlayers).forEach(p => {
+        const div = document.createElement('div');
+        div.className = 'player-item';
+        div.id = `player-${p.id}`;
+        div.innerHTML = `<span style="width:12px;height:12px;background:${p.color};display:inline-block;border-radius:3px"></span>
+                         <span class="player-name">${escapeHtml(p.name)}</span>
+                         ${p.id === session.hostId ? '<span class="host-badge">👑 Host</span>' : ''}
+                         ${p.isBot ? '<span class="host-badge">🤖 Bot</span>' : ''}
+                         ${p.disconnected ? '<span class="host-badge">(away)</span>' : ''}
+                         <span class="ready-indicator">${lastReadySet.has(p.id) ? 'Waiting...' : ''}</span>`;
+        if (amHost && p.id !== session.playerId) {
+          const actions = document.createElement('span');
+          actions.className = 'host-actions';
+          // Bots cannot host; kicking one sends it away
+          if (!p.isBot) {
+            const makeHost = document.createElement('button');
+            makeHost.textContent = 'Make host';
+            makeHost.addEventListener('click', () => socket.emit('transferHost', p.id));
+            actions.appendChild(makeHost);
+          }
+          const kick = document.createElement('button');
+          kick.textContent = 'Kick';
+          kick.addEventListener('click', () => {
+            if (confirm(`Remove ${p.name} from the room?`)) socket.emit('kickPlayer', p.id);
+          });
+          actions.appendChild(kick);
+          div.appendChild(actions);
+        }
+        container.appendChild(div);
+      });
+    }
+
+    // Only the host may edit rules or use the host panel; everyone else sees them read-only
+    function applyHostControls() {
+      const amHost = session.isHost();
+      Object.values(settingsInputs).forEach(input => { input.disabled = !amHost; });
+      $('saveSettingsButton').style.display = amHost ? '' : 'none';
+      document.querySelectorAll('#packList input').forEach(input => { input.disabled = !amHost; });
+      $('saveWordPacksButton').style.display = amHost ? '' : 'none';
+      $('usedWords').style.display = amHost ? 'block' : 'none';
+      $('hostPanel').style.display = amHost ? 'flex' : 'none';
+      renderPlayers(lastPlayers, lastReadySet);
+    }
+
+    // Also sent when the waiting list seats us
+    socket.on('playerAssigned', () => {
+      showWaitingScreen(false);
+      applyHostControls();
+    });
+
+    socket.on('roomUpdated', (data) => {
+      $('lockLobbyToggle').checked = !!data.locked;
+      applyHostControls();
+      if (session.isHost()) socket.emit('requestUsedWords');
+    });
+
+    $('lockLobbyToggle').addEventListener('change', (e) => {
+      socket.emit('setLobbyLocked', e.target.checked);
+    });
+
+    $('forceStartButton').addEventListener('click', () => {
+      socket.emit('forceStart');
+    });
+
+    $('addBotButton').addEventListener('click', () => {
+      socket.emit('addBot', { strategy: $('botStrategy').value });
+    });
+
+    $('startButton').addEventListener('click', () => {
+      socket.emit('startGame');
+      // Optimistically update local button UI
+      $('startButton').textContent = 'Waiting...';
+      $('startButton').disabled = true;
+    });
+
+    socket.on('waitingForNextGame', (data) => {
+      showWaitingScreen(true);
+      const playing = (data.players || []).map(escapeHtml).join(', ');
+      $('waitingMessage').innerHTML =
+        `A game is running in room <strong>${escapeHtml(data.roomCode)}</strong>` +
+        (playing ? ` (${playing} ${PHASE_NAMES[data.phase] ? 'are ' + PHASE_NAMES[data.phase] : 'are playing'})` : '') + '.';
+    });
+
+    socket.on('waitingListUpdated', (data) => {
+      const names = data.waitingNames || [];
+      $('waitingQueue').innerHTML = names.length
+        ? `<p>Waiting for the next game:</p><ol>${names.map(n => `<li>${escapeHtml(n)}${n === session.playerName ? ' (you)' : ''}</li>`).join('')}</ol>`
+        : '';
+    });
+
+    socket.on('error', () => {
+      $('settingsStatus').textContent = '';
+      $('wordPacksStatus').textContent = '';
+    });
+
+    // Lobby rules: shown to everyone, editable by the host until the game starts
+    const settingsInputs = {
+      totalRounds: $('setTotalRounds'),
+      championThreshold: $('setChampionThreshold'),
+      turnSeconds: $('setTurnSeconds'),
+      voteSeconds: $('setVoteSeconds'),
+      guessSeconds: $('setGuessSeconds'),
+      tieBreak: $('setTieBreak'),
+      secondTieRule: $('setSecondTieRule'),
+      questionMaster: $('setQuestionMaster'),
+      categoryRotation: $('setCategoryRotation'),
+      fakeNotCaught: $('setFakeNotCaught'),
+      fakeGuessedWord: $('setFakeGuessedWord'),
+      artistsCatchFake: $('setArtistsCatchFake')
+    };
+
+    socket.on('settingsUpdated', (settings) => {
+      settingsInputs.totalRounds.value = settings.totalRounds;
+      settingsInputs.championThreshold.value = settings.championThreshold;
+      settingsInputs.turnSeconds.value = settings.turnSeconds;
+      settingsInputs.voteSeconds.value = settings.voteSeconds;
+      settingsInputs.guessSeconds.value = settings.guessSeconds;
+      settingsInputs.tieBreak.value = settings.tieBreak;
+      settingsInputs.secondTieRule.value = settings.secondTieRule;
+      settingsInputs.questionMaster.value = settings.questionMaster;
+      settingsInputs.categoryRotation.value = settings.categoryRotation;
+      settingsInputs.fakeNotCaught.value = settings.points.fakeNotCaught;
+      settingsInputs.fakeGuessedWord.value = settings.points.fakeGuessedWord;
+      settingsInputs.artistsCatchFake.value = settings.points.artistsCatchFake;
+      const status = $('settingsStatus');
+      status.textContent = status.textContent ? 'Saved ✓' : '';
+    });
+
+    $('saveSettingsButton').addEventListener('click', () => {
+      socket.emit('updateSettings', {
+        totalRounds: settingsInputs.totalRounds.value,
+        championThreshold: settingsInputs.championThreshold.value,
+        turnSeconds: settingsInputs.turnSeconds.value,
+        voteSeconds: settingsInputs.voteSeconds.value,
+        guessSeconds: settingsInputs.guessSeconds.value,
+        tieBreak: settingsInputs.tieBreak.value,
+        secondTieRule: settingsInputs.secondTieRule.value,
+        questionMaster: settingsInputs.questionMaster.value,
+        categoryRotation: settingsInputs.categoryRotation.value,
+        points: {
+          fakeNotCaught: settingsInputs.fakeNotCaught.value,
+          fakeGuessedWord: settingsInputs.fakeGuessedWord.value,
+          artistsCatchFake: settingsInputs.artistsCatchFake.value
+        }
+      });
+      $('settingsStatus').textContent = 'Saving...';
+    });
+
+    // Word packs: one checkbox per pack (toggles all of its categories) and per category
+    function renderWordPacks(data) {
+      const container = $('packList');
+      container.innerHTML = '';
+      data.packs.forEach(pack => {
+        const enabled = new Set(data.selection[pack.id] || []);
+        const div = document.createElement('div');
+        div.className = 'pack-item';
+        div.innerHTML = `<label><input type="checkbox" class="pack-toggle"> <span class="pack-name">${escapeHtml(pack.name)}</span>
+                         (${pack.wordCount} words)</label><div class="pack-categories"></div>`;
+        const packToggle = div.querySelector('.pack-toggle');
+        const categoryBox = div.querySelector('.pack-categories');
+        pack.categories.forEach(category => {
+          const label = document.createElement('label');
+          label.innerHTML = `<input type="checkbox"> ${escapeHtml(category)}`;
+          const input = label.querySelector('input');
+          input.dataset.packId = pack.id;
+          input.dataset.category = category;
+          input.checked = enabled.has(category);
+          input.addEventListener('change', syncPackToggle);
+          categoryBox.appendChild(label);
+        });
+        function syncPackToggle() {
+          const boxes = Array.from(categoryBox.querySelectorAll('input'));
+          packToggle.checked = boxes.every(b => b.checked);
+          packToggle.indeterminate = !packToggle.checked && boxes.some(b => b.checked);
+        }
+        packToggle.addEventListener('change', () => {
+          categoryBox.querySelectorAll('input').forEach(b => { b.checked = packToggle.checked; });
+        });
+        syncPackToggle();
+        container.appendChild(div);
+      });
+      applyHostControls();
+    }
+
+    socket.on('wordPacksUpdated', (data) => {
+      renderWordPacks(data);
+      const status = $('wordPacksStatus');
+      status.textContent = status.textContent ? 'Saved ✓' : '';
+      // The deck depends on the enabled categories
+      if (session.isHost()) socket.emit('requestUsedWords');
+    });
+
+    // Host only: which secret words this room has already played
+    socket.on('usedWordsUpdated', (data) => {
+      const played = data.total - data.remaining;
+      $('usedWordsSummary').textContent =
+        `${played} of ${data.total} enabled words played; no repeats until the rest have come up.`;
+      $('usedWordsList').innerHTML = data.usedWords
+        .map(u => `<li>${escapeHtml(u.word)} <span style="color:#777">(${escapeHtml(u.category)})</span></li>`)
+        .join('');
+    });
+
+    $('resetUsedWordsButton').addEventListener('click', () => {
+      if (confirm('Forget which words have been played? Any word can then come up again.')) socket.emit('resetUsedWords');
+    });
+
+    $('saveWordPacksButton').addEventListener('click', () => {
+      const selection = {};
+      document.querySelectorAll('#packList .pack-categories input:checked').forEach(input => {
+        (selection[input.dataset.packId] = selection[input.dataset.packId] || []).push(input.dataset.category);
+      });
+      socket.emit('updateWordSelection', selection);
+      $('wordPacksStatus').textContent = 'Saving...';
+    });
+
+    // Who is waiting to start (lobby ready), and the Start button for the local player
+    function renderLobbyReadies(data) {
+      const readySet = new Set(data.lobbyReadies || []);
+      const startBtn = $('startButton');
+      if (readySet.has(session.playerId)) {
+        startBtn.textContent = 'Waiting...';
+        startBtn.disabled = true;
+      } else {
+        startBtn.textContent = 'Start Game';
+        startBtn.disabled = false;
+      }
+      renderPlayers(data.players || {}, readySet);
+    }
+    socket.on('lobbyReadyUpdate', renderLobbyReadies);
+
+    // keep players list updated on join/leave
+    socket.on('updatePlayers', (players) => {
+      const map = Object.fromEntries((players || []).map(p => [p.id, p]));
+      renderPlayers(map, lastReadySet);
+    });
+
+    socket.on('enableStartButton', (enabled) => {
+      $('startButton').disabled = !enabled;
+    });
+
+    return {
+      enter() {
+        $('roomCodeDisplay').textContent = session.roomCode || '—';
+        // Spectators see the lobby read-only
+        $('startButton').style.display = isSpectating() ? 'none' : '';
+        showWaitingScreen(session.waiting);
+      },
+      sync(state) {
+        $('lockLobbyToggle').checked = !!state.locked;
+        if (state.lobby) renderLobbyReadies({ lobbyReadies: state.lobby.lobbyReadies, players: state.players });
+      }
+    };
+  };
+})();
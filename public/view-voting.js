@@ -0,0 +1,314 @@
+/*
+  view-voting.js
+  The voting view (/voting) for the voting, tieDecision, fakeGuess and results phases: the
+  finished drawing (drawing-replay.js), the vote, a tied run-off settled by the host, the
+  caught fake's guess, and the outcome with the scoreboard and the "ready for the next
+  game" count.
+
+  Usage:
+    const voting = createVotingView(session);
+    voting.sync(state);   // from syncState
+*/
+(function () {
+  const TIE_NOTES = {
+    fakeWins: 'The run-off tied too, so the fake gets away.',
+    random: 'The run-off tied too, so the accused was picked at random.',
+    host: 'The run-off tied too, so the host picked who to accuse.'
+  };
+
+  // Download links for the round's drawing (the server renders it from the round archive)
+  function drawingDownloads(roundId) {
+    if (!roundId) return '';
+    const base = `/api/rounds/${encodeURIComponent(roundId)}/drawing`;
+    return `<div class="drawing-downloads">Save the drawing:
+            <a href="${base}.png?download=1">⬇ PNG</a><a href="${base}.svg?download=1">⬇ SVG</a></div>`;
+  }
+
+  // What the caught fake guessed and why it was accepted or rejected
+  function guessLine(data) {
+    if (!data.guessReason) return '';
+    const guess = data.guess ? `"${escapeHtml(data.guess)}"` : 'no guess';
+    return `<div style="margin-top:8px;color:#ddd">Guess: <b>${guess}</b> ${data.guessAccepted ? '✔' : '✘'} ${escapeHtml(data.guessReasonText)}` +
+        ` — the word was <b>${escapeHtml(data.secretWord)}</b></div>`;
+  }
+
+  function fakeColor(data) {
+    const fake = Object.values(data.players || {}).find(p => p.name === data.fakeName);
+    return (fake && fake.color) || '#ffd';
+  }
+
+  window.createVotingView = function createVotingView(session) {
+    const { socket } = session;
+    const $ = id => document.getElementById(id);
+    const winnerModal = $('winnerModal');
+    const guessModal = $('guessModal');
+    const startNextGameBtn = $('startNextGameBtn');
+    const nextRoundStatus = $('nextRoundStatus');
+    let myVote = null;
+    let inRunoff = false;
+    let localClickedReady = false;
+
+    // The final drawing, with a replay of who drew what and in which order
+    const replay = createDrawingReplay($('drawingWrapper'), { width: 800, height: 500 });
+
+    function setVoteNowBanner(visible) {
+      $('voteNowBanner').style.display = visible ? 'block' : 'none';
+    }
+
+    // A new game: nothing of this one's vote or outcome stays on screen
+    socket.on('startNewGame', () => {
+      myVote = null;
+      inRunoff = false;
+      winnerModal.style.display = 'none';
+      guessModal.style.display = 'none';
+      $('voteArea').innerHTML = '';
+      $('votingStatus').innerHTML = '';
+      voteCountdown.stop();
+      $('voteCountdown').textContent = '';
+    });
+
+    function showVoting(data) {
+      if (data.drawing) replay.load(data.drawing, data.players);
+      winnerModal.style.display = 'none';
+      // A run-off starts with a clean slate: earlier votes were discarded
+      if (data.runoff && !inRunoff) myVote = null;
+      inRunoff = !!data.runoff;
+      $('votingStatus').innerHTML = data.runoff
+        ? `<div style="color:#ffd;font-weight:800">It's a tie! Run-off between ${data.runoff.candidates.map(escapeHtml).join(' and ')}.</div>`
+        : '';
+      startVoteCountdown(data);
+      if (isSpectating()) {
+        $('voteArea').innerHTML = '<div class="vote-choice">👀 You are spectating: the players are voting.</div>';
+        return;
+      }
+      if (data.questionMasterName && data.questionMasterName === session.playerName) {
+        // The Question Master watches the vote without taking part
+        $('voteArea').innerHTML = '<div class="vote-choice">You are the Question Master: you don\'t vote this round.</div>';
+        return;
+      }
+      showVotingButtons(data.players, data.runoff && data.runoff.candidates);
+      // prompt players until they have voted
+      setVoteNowBanner(!myVote);
+    }
+    socket.on('startVoting', showVoting);
+
+    // Voting deadline from the server
+    const voteCountdown = createCountdown(left => {
+      $('voteCountdown').textContent = `⏱ Voting closes in ${left}s`;
+      $('voteCountdown').classList.toggle('urgent', left <= 10);
+    });
+    function startVoteCountdown(data) {
+      if (data && data.voteDeadline) return voteCountdown.start(data.voteDeadline, data.serverTime);
+      stopVoteCountdown();
+    }
+    function stopVoteCountdown() {
+      voteCountdown.stop();
+      $('voteCountdown').textContent = '';
+    }
+
+    // Everyone but yourself is a candidate (in a run-off only the tied names); the vote can be
+    // changed until voting closes
+    function showVotingButtons(players, candidates) {
+      const voteArea = $('voteArea');
+      voteArea.innerHTML = '';
+      const choice = document.createElement('div');
+      choice.className = 'vote-choice';
+      Object.values(players || {}).forEach(player => {
+        if (player.name === session.playerName) return;
+        if (candidates && !candidates.includes(player.name)) return;
+        const btn = document.createElement('button');
+        btn.className = 'vote-button';
+        btn.style.background = player.color;
+        btn.style.color = '#000';
+        btn.style.margin = '0.4em';
+        btn.style.padding = '0.6em 1.3em';
+        btn.style.fontWeight = 'bold';
+        btn.textContent = player.name;
+        btn.setAttribute('data-player-id', player.id || '');
+        const select = () => {
+          Array.from(voteArea.querySelectorAll('.vote-button')).forEach(b => b.classList.remove('selected'));
+          btn.classList.add('selected');
+          choice.innerHTML = `Your vote: <span style="color:${player.color}">${escapeHtml(player.name)}</span>. Click another player to change it.`;
+        };
+        if (myVote === player.name) select();
+        btn.onclick = () => {
+          if (myVote === player.name) return;
+          socket.emit('submitVote', player.name);
+          myVote = player.name;
+          select();
+          setVoteNowBanner(false);
+        };
+        voteArea.appendChild(btn);
+      });
+      voteArea.appendChild(choice);
+    }
+
+    socket.on('voteReceived', (data) => {
+      const waiting = (data.pendingNames || []).length ? ` Waiting for ${data.pendingNames.map(escapeHtml).join(', ')}.` : '';
+      $('votingStatus').innerHTML =
+        `${data.changed ? 'Vote changed by' : 'Vote received from'} <span style="color:#fff">${escapeHtml(data.voterName)}</span>.${waiting}`;
+    });
+
+    function showVotingResults(data) {
+      $('voteArea').innerHTML = '';
+      stopVoteCountdown();
+      inRunoff = false;
+      const accused = escapeHtml(data.accusedPlayerName || '?');
+      const abstained = (data.abstentions || []).length ? `<div style="color:#aaa">Did not vote: ${data.abstentions.map(escapeHtml).join(', ')}</div>` : '';
+      const tieNote = data.tieResolvedBy ? `<div style="color:#ffd">${TIE_NOTES[data.tieResolvedBy]}</div>` : '';
+      $('votingStatus').innerHTML = `<div>Vote Result: <b>${accused}</b> was accused.</div>${tieNote}${abstained}`;
+      setVoteNowBanner(false);
+    }
+    socket.on('votingResults', showVotingResults);
+
+    // Tied run-off with secondTieRule 'host': the host picks, everyone else waits
+    function showTiePending(data) {
+      $('voteArea').innerHTML = '';
+      stopVoteCountdown();
+      setVoteNowBanner(false);
+      $('votingStatus').innerHTML =
+        `<div style="color:#ffd;font-weight:800">The run-off tied between ${data.candidates.map(escapeHtml).join(' and ')}. Waiting for ${escapeHtml(data.hostName || 'the host')} to decide...</div>`;
+    }
+    socket.on('tieDecisionPending', showTiePending);
+
+    function showTiePrompt(data) {
+      const voteArea = $('voteArea');
+      voteArea.innerHTML = '<div class="vote-choice">You are the host: pick who gets accused.</div>';
+      data.candidates.forEach(name => {
+        const btn = document.createElement('button');
+        btn.className = 'vote-button';
+        btn.style.margin = '0.4em';
+        btn.style.padding = '0.6em 1.3em';
+        btn.textContent = name;
+        btn.onclick = () => socket.emit('resolveTie', name);
+        voteArea.appendChild(btn);
+      });
+    }
+    socket.on('tieDecisionPrompt', showTiePrompt);
+
+    // The outcome of the round: message, scoreboard and the next-game ready button
+    function showOutcome(message, data) {
+      winnerModal.style.display = 'flex';
+      $('winnerMessage').innerHTML = message + drawingDownloads(data.roundId);
+      renderScoreboard($('winnerExtra'), data.players, data.scores);
+      localClickedReady = false;
+      startNextGameBtn.disabled = false;
+      startNextGameBtn.textContent = "I'm Ready — Start Next Game";
+      nextRoundStatus.textContent = '0 / 0 players ready';
+      setVoteNowBanner(false);
+    }
+
+    const OUTCOMES = {
+      winnerCountdown(data) {
+        if (data.winnerType === 'fake') {
+          return `<div style="font-size:1.2rem; font-weight:800; color:#ffd">WINNER!</div>
+                  <div style="margin-top:8px"><b style="color:#fff">${escapeHtml(data.fakeName)}</b> (the fake artist) wins ${formatPoints(data.points ?? 2)}!</div>`;
+        }
+        if (data.winnerType === 'artists') {
+          const verdict = data.guessReason === 'timeout' ? 'RAN OUT OF TIME' : 'GUESSES WRONG';
+          return `<div style="font-size:1.2rem; font-weight:800; color:#fff">FAKE ARTIST <b style="color:${fakeColor(data)}">${escapeHtml(data.fakeName)}</b> ${verdict}! THE REAL ARTISTS WIN ${formatPoints(data.points ?? 1).toUpperCase()}!</div>` + guessLine(data);
+        }
+        return '<div style="font-size:1.2rem; font-weight:800; color:#ffd">Round complete</div>';
+      },
+      winnerSteal(data) {
+        return `<div style="font-size:1.2rem; font-weight:800; color:#fff">FAKE ARTIST <b style="color:${fakeColor(data)}">${escapeHtml(data.fakeName)}</b> GUESSES CORRECTLY AND STEALS ${formatPoints(data.points ?? 2).toUpperCase()}!</div>` + guessLine(data);
+      }
+    };
+    Object.keys(OUTCOMES).forEach(event => {
+      socket.on(event, data => showOutcome(OUTCOMES[event](data), data));
+    });
+
+    function showWaitForFakeGuess(data) {
+      winnerModal.style.display = 'flex';
+      $('winnerMessage').innerHTML = `<div style="font-size:1.1rem;color:yellow;">${escapeHtml(data.message || 'Waiting for fake to guess')}</div>`;
+      $('winnerExtra').innerHTML = `<div style="margin-top:0.5em;color:#ddd">${escapeHtml(data.subMessage || '')}</div><div id="waitGuessCountdown" style="color:#ffd"></div>`;
+      // The fake's own modal keeps its countdown; everyone else gets one here
+      if (guessModal.style.display !== 'flex') startGuessCountdown(data, $('waitGuessCountdown'));
+      startNextGameBtn.disabled = true;
+      startNextGameBtn.textContent = 'Waiting for fake guess...';
+      nextRoundStatus.textContent = '';
+    }
+    socket.on('waitForFakeGuess', showWaitForFakeGuess);
+
+    // Counts down to the guess deadline; the guess box closes when it passes
+    let guessCountdownEl = null;
+    const guessCountdown = createCountdown(left => {
+      guessCountdownEl.textContent = `⏱ ${left}s left to guess`;
+      if (left === 0) guessModal.style.display = 'none';
+    });
+    function startGuessCountdown(data, el) {
+      guessCountdownEl = el;
+      if (data.guessDeadline) return guessCountdown.start(data.guessDeadline, data.serverTime);
+      guessCountdown.stop();
+      el.textContent = '';
+    }
+
+    function showGuessPrompt(data) {
+      $('guessInput').value = '';
+      $('guessCategory').textContent = data.secretCategory;
+      guessModal.style.display = 'flex';
+      startGuessCountdown(data, $('guessCountdown'));
+    }
+    socket.on('fakeGuessPrompt', showGuessPrompt);
+
+    $('guessBtn').onclick = () => {
+      guessModal.style.display = 'none';
+      socket.emit('guessSubmitted', $('guessInput').value);
+    };
+
+    startNextGameBtn.addEventListener('click', () => {
+      if (localClickedReady) return;
+      startNextGameBtn.disabled = true;
+      startNextGameBtn.textContent = 'Ready (waiting for others...)';
+      socket.emit('startNextRoundReady');
+      localClickedReady = true;
+    });
+
+    function showNextRoundReady(data) {
+      const readyCount = data.readyCount || 0;
+      const totalNeeded = data.totalNeeded || 0;
+      nextRoundStatus.textContent = `${readyCount} / ${totalNeeded} players ready`;
+      startNextGameBtn.disabled = localClickedReady;
+      startNextGameBtn.textContent = localClickedReady
+        ? `Ready (${readyCount}/${totalNeeded})`
+        : `I'm Ready — Start Next Game (${readyCount}/${totalNeeded})`;
+    }
+    socket.on('nextRoundReadyUpdate', showNextRoundReady);
+
+    return {
+      enter() {
+        // Spectators watch the vote and the results but have nothing to click
+        startNextGameBtn.style.display = isSpectating() ? 'none' : '';
+      },
+      // Renders the current phase as if its events had just arrived
+      sync(state) {
+        replay.load(state.drawing, state.players);
+        winnerModal.style.display = 'none';
+        guessModal.style.display = 'none';
+        if (state.voting) {
+          myVote = state.voting.myVote;
+          inRunoff = !!state.voting.runoff;
+          showVoting(state.voting);
+        }
+        if (state.tie) {
+          showTiePending(state.tie);
+          if (state.tie.prompt) showTiePrompt(state.tie);
+        }
+        const results = state.results;
+        if (results && results.votingResults) showVotingResults(results.votingResults);
+        if (state.fakeGuess) {
+          if (state.fakeGuess.prompt) showGuessPrompt(state.fakeGuess.prompt);
+          showWaitForFakeGuess(state.fakeGuess);
+        }
+        if (results && results.outcome) {
+          const { event, payload } = results.outcome;
+          if (OUTCOMES[event]) showOutcome(OUTCOMES[event](payload), payload);
+        }
+        if (results && results.nextRound) {
+          localClickedReady = results.nextRound.readyNames.includes(session.playerName);
+          showNextRoundReady(results.nextRound);
+        }
+      }
+    };
+  };
+})();
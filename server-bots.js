@@ -0,0 +1,360 @@
+// Bot players, so two people (or one developer) can play a game that needs three, and so
+// whole games can be simulated (server-simulation.js).
+//
+// A bot is an ordinary player on its own socket.io connection to this server: it sends the
+// same events a browser does and gets the same broadcasts, so it can only do what a person
+// could. It readies up in the lobby, looks at its role, picks the word as Question Master,
+// draws one freehand stroke per turn (drawStart, drawPoints batches, drawEnd; as the fake a
+// short, hesitant one, since it does not know what is being drawn), votes, settles
+// a tie when it is host, guesses the word when it is the caught fake and readies up for the
+// next game. Its handshake carries the server's bot key (auth.botKey), which is how the
+// server tells bots from people.
+//
+// Votes follow a strategy (BOT_STRATEGIES):
+// - random: anyone in the round but itself
+// - observant: whoever drew the least ink per stroke, the way a hesitant fake draws
+// - herd: whoever has the most votes so far (random while nobody has voted)
+// - contrarian: whoever has the fewest votes so far, which makes ties likely
+// A caught fake guesses one of wordsForCategory(roomCode, category), the words a person
+// could think of for the category.
+//
+// pace 'human' waits a moment before each move and draws at a watchable speed; 'fast' acts
+// within milliseconds, for simulations.
+//
+// Usage from server.js:
+// const { BOT_STRATEGIES, createBot } = require('./server-bots');
+// const bot = createBot({ url, botKey, roomCode, name, strategy, wordsForCategory, onStop });
+// bot.stop();
+
+const { io } = require('socket.io-client');
+const { POINT_SCALE, encodeBatch } = require('./server-stroke-stream');
+
+const BOT_STRATEGIES = ['random', 'observant', 'herd', 'contrarian'];
+
+const PACES = {
+  human: { thinkMs: [800, 2500], frameMs: 40, pointsPerFrame: 3, strokePoints: 60 },
+  fast: { thinkMs: [5, 40], frameMs: 16, pointsPerFrame: 8, strokePoints: 24 }
+};
+
+const OUTCOME_EVENTS = ['winnerCountdown', 'winnerSteal'];
+
+function randomBetween(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function pick(list) {
+  return list.length ? list[Math.floor(Math.random() * list.length)] : null;
+}
+
+/**
+ * strokePoints:
+ * A plausible freehand line of count points ({ x, y }, fractions of the board): it starts
+ * near the middle and wanders with a slowly changing bend, turning back before the edges.
+ * length is how far it goes, as a fraction of the board.
+ */
+function strokePoints(count, length = 0.2 + Math.random() * 0.3) {
+  const margin = 0.05;
+  const step = length / count;
+  let x = 0.25 + Math.random() * 0.5;
+  let y = 0.25 + Math.random() * 0.5;
+  let heading = Math.random() * 2 * Math.PI;
+  let bend = (Math.random() - 0.5) * 0.2;
+  const points = [{ x, y }];
+  for (let i = 1; i < count; i++) {
+    bend = Math.max(-0.3, Math.min(0.3, bend + (Math.random() - 0.5) * 0.1));
+    heading += bend;
+    if (x + Math.cos(heading) * step < margin || x + Math.cos(heading) * step > 1 - margin) heading = Math.PI - heading;
+    if (y + Math.sin(heading) * step < margin || y + Math.sin(heading) * step > 1 - margin) heading = -heading;
+    x += Math.cos(heading) * step;
+    y += Math.sin(heading) * step;
+    points.push({ x, y });
+  }
+  return points;
+}
+
+/**
+ * chooseVote:
+ * The name a bot votes for: one of candidates (never the bot itself), picked by strategy
+ * from tally (name -> votes so far) or ink (name -> average stroke length on the board).
+ * Returns null when there is nobody to vote for.
+ */
+function chooseVote(strategy, candidates, tally, ink = {}) {
+  if (strategy === 'observant') {
+    const drawn = candidates.filter(name => ink[name] !== undefined);
+    if (!drawn.length) return pick(candidates);
+    const least = Math.min(...drawn.map(name => ink[name]));
+    return pick(drawn.filter(name => ink[name] === least));
+  }
+  if (strategy === 'random' || !candidates.length) return pick(candidates);
+  const counts = candidates.map(name => tally[name] || 0);
+  if (strategy === 'herd' && Math.max(...counts) === 0) return pick(candidates);
+  const target = strategy === 'herd' ? Math.max(...counts) : Math.min(...counts);
+  return pick(candidates.filter((name, i) => counts[i] === target));
+}
+
+/**
+ * createBot:
+ * Connects a bot and seats it in options.roomCode (or creates a room with createRoom: true).
+ * - url, botKey: where this server listens and its bot key
+ * - name, strategy (BOT_STRATEGIES), pace ('human' | 'fast')
+ * - sessionToken: reclaims a seat the bot held before (e.g. across a restart)
+ * - minPlayers: only ready up in the lobby once this many players are seated
+ * - wordsForCategory(roomCode, category): words to guess from as the caught fake
+ * - onError(message), onStop(bot): optional callbacks
+ * - debugLog: where its [SERVER DEBUG] lines go (console.log by default)
+ * Returns { name, strategy, socket, roomCode, stop() }.
+ */
+function createBot(options) {
+  const { url, botKey, name, minPlayers = 0 } = options;
+  const strategy = BOT_STRATEGIES.includes(options.strategy) ? options.strategy : BOT_STRATEGIES[0];
+  const pace = PACES[options.pace] || PACES.human;
+  const wordsForCategory = options.wordsForCategory || (() => []);
+  const onError = options.onError || (() => {});
+  const onStop = options.onStop || (() => {});
+  const debugLog = options.debugLog || console.log;
+
+  const socket = io(url, { forceNew: true, transports: ['websocket'], auth: { botKey, strategy } });
+  const bot = { name, strategy, socket, roomCode: options.roomCode || null, stop };
+
+  let sessionToken = options.sessionToken || null;
+  let seated = false;
+  let stopped = false;
+  let phase = null;
+  let playerCount = 0;
+  let lobbyReadySent = false;
+  let role = null;             // roleAssigned of the current game
+  let currentTurn = null;
+  let turnTaken = false;       // this turn's stroke is drawn or on its way
+  let ink = {};                // playerId -> { length, strokes, last } of this game's drawing
+  let strokeTimer = null;
+  let voteRound = 0;           // a run-off starts a new vote; older pending votes are dropped
+  let votes = {};              // voter name -> voted name, this vote
+  const timers = new Set();
+
+  // Every move waits a moment, like a person would
+  function later(fn, ms = randomBetween(...pace.thinkMs)) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      if (!stopped) fn();
+    }, ms);
+    timers.add(timer);
+  }
+
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    timers.forEach(clearTimeout);
+    timers.clear();
+    clearTimeout(strokeTimer);
+    socket.disconnect();
+    debugLog(`[SERVER DEBUG] bot ${name} left ${bot.roomCode || 'the server'}`);
+    onStop(bot);
+  }
+
+  /* ---------- Lobby ---------- */
+
+  function readyUp() {
+    if (phase !== 'lobby' || lobbyReadySent || playerCount < minPlayers) return;
+    lobbyReadySent = true;
+    later(() => { if (phase === 'lobby') socket.emit('lobbyReady'); });
+  }
+
+  /* ---------- Drawing ---------- */
+
+  function stopStroke() {
+    clearTimeout(strokeTimer);
+    strokeTimer = null;
+  }
+
+  function drawStroke() {
+    if (phase !== 'drawing' || currentTurn !== socket.id) return;
+    const hesitant = role && role.role === 'fake';
+    const points = hesitant
+      ? strokePoints(Math.ceil(pace.strokePoints / 2), 0.05 + Math.random() * 0.1)
+      : strokePoints(pace.strokePoints);
+    socket.emit('drawStart', points[0]);
+    let next = 1;
+    const frame = () => {
+      const batch = points.slice(next, next + pace.pointsPerFrame);
+      next += batch.length;
+      socket.emit('drawPoints', { points: encodeBatch(batch) });
+      if (next < points.length) {
+        strokeTimer = setTimeout(frame, pace.frameMs);
+      } else {
+        strokeTimer = null;
+        socket.emit('drawEnd');
+      }
+    };
+    strokeTimer = setTimeout(frame, pace.frameMs);
+  }
+
+  // The turn moved on (to us, to someone else, or to nobody between rounds)
+  function onTurn(turnId) {
+    currentTurn = turnId;
+    if (turnId !== socket.id) {
+      turnTaken = false;
+      stopStroke();
+      return;
+    }
+    if (turnTaken) return;
+    turnTaken = true;
+    later(drawStroke);
+  }
+
+  // Everyone's strokes as they are drawn, for the observant strategy
+  function trackInk(playerId, x, y, newStroke) {
+    const entry = ink[playerId] || (ink[playerId] = { length: 0, strokes: 0, last: null });
+    if (newStroke) entry.strokes++;
+    else if (entry.last) entry.length += Math.hypot(x - entry.last.x, y - entry.last.y);
+    entry.last = { x, y };
+  }
+
+  /* ---------- Voting ---------- */
+
+  function tally() {
+    const counts = {};
+    Object.values(votes).forEach(votedName => { counts[votedName] = (counts[votedName] || 0) + 1; });
+    return counts;
+  }
+
+  // startVoting (or the voting section of syncState); the Question Master is not in the round
+  function vote(data, myVote = null) {
+    const round = ++voteRound;
+    votes = {};
+    const names = Object.values(data.players || {}).map(p => p.name);
+    if (myVote || !names.includes(name)) return;
+    const candidates = (data.runoff ? data.runoff.candidates : names).filter(n => n !== name);
+    const inkByName = {};
+    Object.entries(data.players || {}).forEach(([id, p]) => {
+      if (ink[id] && ink[id].strokes) inkByName[p.name] = ink[id].length / ink[id].strokes;
+    });
+    // Followers and contrarians give the others a head start
+    const wait = randomBetween(...pace.thinkMs) * (strategy === 'random' ? 1 : 2);
+    later(() => {
+      if (phase !== 'voting' || round !== voteRound) return;
+      const choice = chooseVote(strategy, candidates, tally(), inkByName);
+      if (choice) socket.emit('submitVote', choice);
+    }, wait);
+  }
+
+  function settleTie(candidates) {
+    later(() => { if (phase === 'tieDecision') socket.emit('resolveTie', pick(candidates)); });
+  }
+
+  function guess(category) {
+    later(() => {
+      if (phase !== 'fakeGuess') return;
+      socket.emit('guessSubmitted', pick(wordsForCategory(bot.roomCode, category)) || '');
+    });
+  }
+
+  function readyForNextGame() {
+    later(() => { if (phase === 'results') socket.emit('startNextRoundReady'); });
+  }
+
+  function pickWord(prompt) {
+    later(() => {
+      const categories = prompt.categories || {};
+      const category = pick(Object.keys(categories));
+      if (phase !== 'wordPick' || !category) return; // the word pick timer deals one instead
+      socket.emit('questionMasterChoice', { category, word: pick(categories[category]) });
+    });
+  }
+
+  /* ---------- Server events ---------- */
+
+  socket.on('connect', () => {
+    if (options.createRoom && !bot.roomCode) socket.emit('createRoom', name);
+    else socket.emit('joinGame', { playerName: name, roomCode: bot.roomCode, sessionToken });
+  });
+
+  socket.on('disconnect', (reason) => {
+    // The server closed the connection on purpose; anything else reconnects and rejoins
+    if (reason === 'io server disconnect') stop();
+  });
+
+  socket.on('playerAssigned', (data) => {
+    seated = true;
+    sessionToken = data.sessionToken;
+    bot.roomCode = data.roomCode;
+    debugLog(`[SERVER DEBUG] bot ${name} (${strategy}) seated in ${data.roomCode}`);
+  });
+
+  socket.on('error', (message) => {
+    debugLog(`[SERVER DEBUG] bot ${name}: ${message}`);
+    onError(message);
+    // Could not get a seat at all (name taken, room gone or locked)
+    if (!seated) stop();
+  });
+
+  socket.on('removedFromRoom', stop);
+
+  // Everything needed to pick up where the room is, on every (re)join
+  socket.on('syncState', (state) => {
+    phase = state.phase;
+    playerCount = Object.keys(state.players || {}).length;
+    onTurn(phase === 'drawing' ? state.round.currentTurn : null);
+    if (state.wordPick && state.wordPick.prompt) pickWord(state.wordPick.prompt);
+    if (state.roleReveal && !state.roleReveal.readyPlayers.includes(socket.id)) {
+      later(() => socket.emit('readyToSeeRole'));
+    }
+    if (state.voting) vote(state.voting, state.voting.myVote);
+    if (state.tie && state.tie.prompt) settleTie(state.tie.candidates);
+    if (state.fakeGuess && state.fakeGuess.prompt) guess(state.fakeGuess.prompt.secretCategory);
+    if (phase === 'results' && state.results.outcome && !state.results.nextRound.readyNames.includes(name)) {
+      readyForNextGame();
+    }
+    readyUp();
+  });
+
+  socket.on('phaseChanged', (data) => {
+    phase = data.phase;
+    if (phase === 'wordPick' || phase === 'roleReveal') {
+      role = null;
+      ink = {};
+    }
+    if (phase !== 'lobby') lobbyReadySent = false;
+    if (phase !== 'drawing') onTurn(null);
+    readyUp();
+  });
+
+  socket.on('updatePlayers', (players) => {
+    playerCount = (players || []).length;
+    readyUp();
+  });
+
+  // After a victory the room plays on once someone starts the next game; bots go along
+  socket.on('lobbyReadyUpdate', (data) => {
+    const readies = data.lobbyReadies || [];
+    if (phase === 'victory' && readies.length && !readies.includes(socket.id)) {
+      later(() => { if (phase === 'victory') socket.emit('lobbyReady'); });
+    }
+  });
+
+  socket.on('questionMasterPrompt', pickWord);
+  socket.on('promptRevealRole', () => later(() => socket.emit('readyToSeeRole')));
+  socket.on('roleAssigned', (data) => {
+    role = data;
+    later(() => socket.emit('playerReady'));
+  });
+  socket.on('turnChanged', (data) => onTurn(data.currentTurn));
+  socket.on('drawStart', (data) => trackInk(data.playerId, data.x, data.y, true));
+  socket.on('drawPoints', (data) => {
+    const flat = data.points || [];
+    for (let i = 0; i + 1 < flat.length; i += 2) trackInk(data.playerId, flat[i] / POINT_SCALE, flat[i + 1] / POINT_SCALE, false);
+  });
+  socket.on('startVoting', (data) => vote(data));
+  socket.on('voteReceived', (data) => { votes[data.voterName] = data.votedPlayerName; });
+  socket.on('tieDecisionPrompt', (data) => settleTie(data.candidates));
+  socket.on('fakeGuessPrompt', (data) => guess(data.secretCategory));
+  OUTCOME_EVENTS.forEach(event => socket.on(event, readyForNextGame));
+
+  return bot;
+}
+
+module.exports = {
+  BOT_STRATEGIES,
+  createBot,
+  chooseVote,
+  strokePoints
+};
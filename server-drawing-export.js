@@ -0,0 +1,293 @@
+// Renders a round's stroke list to SVG or PNG on the server (no browser, GPU or native
+// modules): SVG is written as text, PNG is rasterized here and encoded with node's zlib.
+//
+// Strokes are { color, playerName, points: [{ x, y }] } with x and y as fractions of the board
+// (0–1, see server-drawing-format.js); images are drawn on an 800x500 board.
+// Both formats can add a footer with the category and secret word and a legend of each
+// artist's color and name. The PNG footer uses a built-in 5x7 pixel font, so text is shown
+// in capitals and characters it does not know are drawn as "?".
+//
+// Usage from server.js:
+// const { renderDrawingSvg, renderDrawingPng } = require('./server-drawing-export');
+
+const zlib = require('zlib');
+
+const BOARD_WIDTH = 800;
+const BOARD_HEIGHT = 500;
+const LINE_WIDTH = 4;
+const BACKGROUND = '#ffffff';
+const TEXT_COLOR = '#222222';
+const DEFAULT_STROKE = '#000000';
+const FOOTER_LINE_HEIGHT = 24;
+const FOOTER_PADDING = 12;
+
+/* ---------------- Shared layout ---------------- */
+
+// One legend entry per artist, in the order they first drew
+function legendEntries(drawing) {
+  const seen = new Map();
+  for (const line of drawing) {
+    const name = line.playerName || '';
+    if (name && !seen.has(name)) seen.set(name, line.color || DEFAULT_STROKE);
+  }
+  return Array.from(seen, ([name, color]) => ({ name, color }));
+}
+
+function footerLines(drawing, { legend = true, category = null, secretWord = null } = {}) {
+  const lines = [];
+  if (category || secretWord) {
+    lines.push({ text: [category && `Category: ${category}`, secretWord && `Word: ${secretWord}`].filter(Boolean).join('   ') });
+  }
+  if (legend) legendEntries(drawing).forEach(e => lines.push({ text: e.name, swatch: e.color }));
+  return lines;
+}
+
+function usableStrokes(drawing) {
+  return (Array.isArray(drawing) ? drawing : [])
+    .map(line => ({
+      color: isHexColor(line.color) ? line.color : DEFAULT_STROKE,
+      playerName: typeof line.playerName === 'string' ? line.playerName : '',
+      points: (Array.isArray(line.points) ? line.points : [])
+        .filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y))
+        .map(p => ({ x: round1(p.x * BOARD_WIDTH), y: round1(p.y * BOARD_HEIGHT) }))
+    }))
+    .filter(line => line.points.length);
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function isHexColor(c) {
+  return typeof c === 'string' && /^#[0-9a-fA-F]{6}$/.test(c);
+}
+
+/* ---------------- SVG ---------------- */
+
+function escapeXml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+/**
+ * renderDrawingSvg:
+ * - drawing: stroke list in the current format (gameState.drawing, or an upgraded archived one)
+ * - options: { legend (default true), category, secretWord }
+ * Returns the SVG document as a string.
+ */
+function renderDrawingSvg(drawing, options = {}) {
+  const strokes = usableStrokes(drawing);
+  const footer = footerLines(strokes, options);
+  const footerHeight = footer.length ? footer.length * FOOTER_LINE_HEIGHT + FOOTER_PADDING * 2 : 0;
+  const height = BOARD_HEIGHT + footerHeight;
+
+  const paths = strokes.map(line => {
+    const [first, ...rest] = line.points;
+    // A single point still shows as a dot thanks to the round cap
+    const d = `M${first.x} ${first.y}` + (rest.length ? rest.map(p => ` L${p.x} ${p.y}`).join('') : ` L${first.x} ${first.y}`);
+    return `  <path d="${d}" stroke="${line.color}"/>`;
+  });
+
+  const footerSvg = footer.map((line, i) => {
+    const y = BOARD_HEIGHT + FOOTER_PADDING + i * FOOTER_LINE_HEIGHT + 16;
+    if (!line.swatch) return `  <text x="${FOOTER_PADDING}" y="${y}" font-weight="bold">${escapeXml(line.text)}</text>`;
+    return `  <rect x="${FOOTER_PADDING}" y="${y - 12}" width="14" height="14" rx="3" fill="${line.swatch}"/>\n` +
+      `  <text x="${FOOTER_PADDING + 22}" y="${y}">${escapeXml(line.text)}</text>`;
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${BOARD_WIDTH}" height="${height}" viewBox="0 0 ${BOARD_WIDTH} ${height}">`,
+    `  <rect width="${BOARD_WIDTH}" height="${height}" fill="${BACKGROUND}"/>`,
+    footer.length ? `  <line x1="0" y1="${BOARD_HEIGHT}" x2="${BOARD_WIDTH}" y2="${BOARD_HEIGHT}" stroke="#dddddd"/>` : '',
+    `  <g fill="none" stroke-width="${LINE_WIDTH}" stroke-linecap="round" stroke-linejoin="round">`,
+    ...paths,
+    '  </g>',
+    `  <g font-family="Arial, Helvetica, sans-serif" font-size="15" fill="${TEXT_COLOR}">`,
+    ...footerSvg,
+    '  </g>',
+    '</svg>',
+    ''
+  ].filter(line => line !== '').join('\n');
+}
+
+/* ---------------- PNG ---------------- */
+
+// 5x7 pixel font: each glyph is 7 rows of 5 bits (most significant bit on the left)
+const FONT = {
+  'A': [14, 17, 17, 31, 17, 17, 17], 'B': [30, 17, 17, 30, 17, 17, 30], 'C': [14, 17, 16, 16, 16, 17, 14],
+  'D': [30, 17, 17, 17, 17, 17, 30], 'E': [31, 16, 16, 30, 16, 16, 31], 'F': [31, 16, 16, 30, 16, 16, 16],
+  'G': [14, 17, 16, 23, 17, 17, 15], 'H': [17, 17, 17, 31, 17, 17, 17], 'I': [14, 4, 4, 4, 4, 4, 14],
+  'J': [7, 2, 2, 2, 2, 18, 12], 'K': [17, 18, 20, 24, 20, 18, 17], 'L': [16, 16, 16, 16, 16, 16, 31],
+  'M': [17, 27, 21, 21, 17, 17, 17], 'N': [17, 17, 25, 21, 19, 17, 17], 'O': [14, 17, 17, 17, 17, 17, 14],
+  'P': [30, 17, 17, 30, 16, 16, 16], 'Q': [14, 17, 17, 17, 21, 18, 13], 'R': [30, 17, 17, 30, 20, 18, 17],
+  'S': [15, 16, 16, 14, 1, 1, 30], 'T': [31, 4, 4, 4, 4, 4, 4], 'U': [17, 17, 17, 17, 17, 17, 14],
+  'V': [17, 17, 17, 17, 17, 10, 4], 'W': [17, 17, 17, 21, 21, 21, 10], 'X': [17, 17, 10, 4, 10, 17, 17],
+  'Y': [17, 17, 10, 4, 4, 4, 4], 'Z': [31, 1, 2, 4, 8, 16, 31],
+  '0': [14, 17, 19, 21, 25, 17, 14], '1': [4, 12, 4, 4, 4, 4, 14], '2': [14, 17, 1, 2, 4, 8, 31],
+  '3': [31, 2, 4, 2, 1, 17, 14], '4': [2, 6, 10, 18, 31, 2, 2], '5': [31, 16, 30, 1, 1, 17, 14],
+  '6': [6, 8, 16, 30, 17, 17, 14], '7': [31, 1, 2, 4, 8, 8, 8], '8': [14, 17, 17, 14, 17, 17, 14],
+  '9': [14, 17, 17, 15, 1, 2, 12],
+  ' ': [0, 0, 0, 0, 0, 0, 0], '.': [0, 0, 0, 0, 0, 12, 12], ',': [0, 0, 0, 0, 12, 4, 8],
+  ':': [0, 12, 12, 0, 12, 12, 0], ';': [0, 12, 12, 0, 12, 4, 8], '-': [0, 0, 0, 31, 0, 0, 0],
+  '_': [0, 0, 0, 0, 0, 0, 31], '!': [4, 4, 4, 4, 4, 0, 4], '?': [14, 17, 1, 2, 4, 0, 4],
+  "'": [4, 4, 8, 0, 0, 0, 0], '"': [10, 10, 0, 0, 0, 0, 0], '(': [2, 4, 8, 8, 8, 4, 2],
+  ')': [8, 4, 2, 2, 2, 4, 8], '/': [1, 1, 2, 4, 8, 16, 16], '&': [12, 18, 20, 8, 21, 18, 13],
+  '+': [0, 4, 4, 31, 4, 4, 0], '#': [10, 10, 31, 10, 31, 10, 10], '=': [0, 0, 31, 0, 31, 0, 0],
+  '*': [0, 4, 21, 14, 21, 4, 0], '@': [14, 17, 1, 13, 21, 21, 14], '<': [2, 4, 8, 16, 8, 4, 2],
+  '>': [8, 4, 2, 1, 2, 4, 8]
+};
+const FONT_SCALE = 2;
+const GLYPH_ADVANCE = 6 * FONT_SCALE;
+
+function parseHex(color) {
+  return [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+}
+
+function createImage(width, height, background) {
+  const data = Buffer.alloc(width * height * 3);
+  const [r, g, b] = parseHex(background);
+  for (let i = 0; i < data.length; i += 3) {
+    data[i] = r; data[i + 1] = g; data[i + 2] = b;
+  }
+  return { width, height, data };
+}
+
+// Mixes color into one pixel with the given coverage (0..1)
+function blend(img, x, y, rgb, alpha) {
+  if (x < 0 || y < 0 || x >= img.width || y >= img.height || alpha <= 0) return;
+  const i = (y * img.width + x) * 3;
+  const a = Math.min(1, alpha);
+  img.data[i] = Math.round(img.data[i] + (rgb[0] - img.data[i]) * a);
+  img.data[i + 1] = Math.round(img.data[i + 1] + (rgb[1] - img.data[i + 1]) * a);
+  img.data[i + 2] = Math.round(img.data[i + 2] + (rgb[2] - img.data[i + 2]) * a);
+}
+
+function fillRect(img, x, y, w, h, rgb) {
+  for (let py = y; py < y + h; py++) for (let px = x; px < x + w; px++) blend(img, px, py, rgb, 1);
+}
+
+/*
+  drawStroke:
+  A round-capped, round-joined polyline: every pixel takes the color with a coverage based on
+  its distance to the nearest segment (anti-aliased edge one pixel wide). Coverage is taken
+  per stroke so overlapping segments of one stroke do not darken their joints.
+*/
+function drawStroke(img, points, rgb, width) {
+  const radius = width / 2;
+  const coverage = new Map(); // pixel index -> coverage within this stroke
+  const segments = points.length > 1 ? points.slice(1).map((p, i) => [points[i], p]) : [[points[0], points[0]]];
+  for (const [a, b] of segments) {
+    const minX = Math.max(0, Math.floor(Math.min(a.x, b.x) - radius - 1));
+    const maxX = Math.min(img.width - 1, Math.ceil(Math.max(a.x, b.x) + radius + 1));
+    const minY = Math.max(0, Math.floor(Math.min(a.y, b.y) - radius - 1));
+    const maxY = Math.min(img.height - 1, Math.ceil(Math.max(a.y, b.y) + radius + 1));
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const cx = x + 0.5;
+        const cy = y + 0.5;
+        const t = lengthSq ? Math.max(0, Math.min(1, ((cx - a.x) * dx + (cy - a.y) * dy) / lengthSq)) : 0;
+        const ex = cx - (a.x + t * dx);
+        const ey = cy - (a.y + t * dy);
+        const c = radius + 0.5 - Math.sqrt(ex * ex + ey * ey);
+        if (c <= 0) continue;
+        const key = y * img.width + x;
+        if (c > (coverage.get(key) || 0)) coverage.set(key, c);
+      }
+    }
+  }
+  for (const [key, c] of coverage) blend(img, key % img.width, Math.floor(key / img.width), rgb, c);
+}
+
+function drawText(img, text, x, y, rgb) {
+  let cx = x;
+  for (const ch of String(text).toUpperCase()) {
+    const glyph = FONT[ch] || FONT['?'];
+    glyph.forEach((row, gy) => {
+      for (let gx = 0; gx < 5; gx++) {
+        if (row & (16 >> gx)) fillRect(img, cx + gx * FONT_SCALE, y + gy * FONT_SCALE, FONT_SCALE, FONT_SCALE, rgb);
+      }
+    });
+    cx += GLYPH_ADVANCE;
+    if (cx > img.width - GLYPH_ADVANCE) break;
+  }
+}
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+// 8-bit RGB, no interlace; every scanline uses filter type 0
+function encodePng(img) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(img.width, 0);
+  header.writeUInt32BE(img.height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 2;  // color type: RGB
+  const stride = img.width * 3;
+  const raw = Buffer.alloc((stride + 1) * img.height);
+  for (let y = 0; y < img.height; y++) img.data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * renderDrawingPng:
+ * Same input and options as renderDrawingSvg; returns the PNG file as a Buffer.
+ */
+function renderDrawingPng(drawing, options = {}) {
+  const strokes = usableStrokes(drawing);
+  const footer = footerLines(strokes, options);
+  const footerHeight = footer.length ? footer.length * FOOTER_LINE_HEIGHT + FOOTER_PADDING * 2 : 0;
+  const img = createImage(BOARD_WIDTH, BOARD_HEIGHT + footerHeight, BACKGROUND);
+
+  strokes.forEach(line => drawStroke(img, line.points, parseHex(line.color), LINE_WIDTH));
+
+  if (footer.length) {
+    // Strokes may run past the board edge; the footer starts clean
+    fillRect(img, 0, BOARD_HEIGHT, BOARD_WIDTH, footerHeight, parseHex(BACKGROUND));
+    fillRect(img, 0, BOARD_HEIGHT, BOARD_WIDTH, 1, parseHex('#dddddd'));
+    const text = parseHex(TEXT_COLOR);
+    footer.forEach((line, i) => {
+      const y = BOARD_HEIGHT + FOOTER_PADDING + i * FOOTER_LINE_HEIGHT + 2;
+      if (line.swatch) {
+        fillRect(img, FOOTER_PADDING, y, 14, 14, parseHex(line.swatch));
+        drawText(img, line.text, FOOTER_PADDING + 22, y, text);
+      } else {
+        drawText(img, line.text, FOOTER_PADDING, y, text);
+      }
+    });
+  }
+  return encodePng(img);
+}
+
+module.exports = {
+  renderDrawingSvg,
+  renderDrawingPng
+};
@@ -0,0 +1,50 @@
+// Coordinate format of stored drawings.
+//
+// Format 2 (current): every point is a fraction of the board, x and y from 0 to 1, so a stroke
+// lands in the same place on any screen size. Format 1: pixels on the original 800x500 canvas.
+// Snapshots and archived rounds record their drawingFormat; anything saved before the field
+// existed is format 1 and is converted with upgradeDrawing when it is read.
+//
+// Usage from server.js:
+// const { DRAWING_FORMAT, drawingFormatOf, upgradeDrawing } = require('./server-drawing-format');
+
+const DRAWING_FORMAT = 2;
+const LEGACY_DRAWING_FORMAT = 1;
+const LEGACY_WIDTH = 800;
+const LEGACY_HEIGHT = 500;
+
+function clampUnit(n) {
+  return Math.min(1, Math.max(0, n));
+}
+
+// Stored objects without a (valid) drawingFormat predate it
+function drawingFormatOf(stored) {
+  const format = stored && stored.drawingFormat;
+  return Number.isInteger(format) && format >= LEGACY_DRAWING_FORMAT ? format : LEGACY_DRAWING_FORMAT;
+}
+
+/**
+ * upgradeDrawing:
+ * - drawing: stroke list as stored ({ points: [{ x, y, t? }], ...rest })
+ * - format: the format it was stored in (drawingFormatOf)
+ * Returns the strokes in DRAWING_FORMAT; other stroke and point fields are kept.
+ */
+function upgradeDrawing(drawing, format) {
+  if (!Array.isArray(drawing)) return [];
+  if (format >= DRAWING_FORMAT) return drawing;
+  return drawing.map(line => ({
+    ...line,
+    points: (Array.isArray(line.points) ? line.points : []).map(p => ({
+      ...p,
+      x: clampUnit(Number(p.x) / LEGACY_WIDTH),
+      y: clampUnit(Number(p.y) / LEGACY_HEIGHT)
+    }))
+  }));
+}
+
+module.exports = {
+  DRAWING_FORMAT,
+  LEGACY_DRAWING_FORMAT,
+  drawingFormatOf,
+  upgradeDrawing
+};
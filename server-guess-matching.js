@@ -0,0 +1,151 @@
+// Decides whether the fake artist's guess names the secret word.
+// Players type on phones in a hurry, so a guess is accepted when it matches the secret word
+// (or one of its aliases from words.json) after forgiving:
+// - case, accents/diacritics, punctuation and spacing ("Ice-cream" == "ice cream")
+// - a leading article ("a penguin")
+// - singular/plural ("Penguins", "Butterflies", "Sandwiches")
+// - small typos: 1 edit for words of 4+ letters, 2 edits for 8+ letters
+// None of that may land on a different word: a guess that names another word in play, or is
+// within typo reach of one ("Basketball" for "Baseball"), is rejected.
+//
+// Usage from server.js:
+// const { matchGuess } = require('./server-guess-matching');
+// matchGuess('Penguins', 'Penguin', [], otherWords) -> { accepted: true, reason: 'plural', reasonText: '...' }
+
+// Human-readable explanations, shown to everyone with the round's outcome
+const REASON_TEXT = {
+  exact: 'Exact match',
+  normalized: 'Matches ignoring case, accents, spacing and punctuation',
+  plural: 'Matches apart from singular/plural',
+  typo: 'Close enough to count (small typo)',
+  empty: 'No guess was given',
+  timeout: 'Time ran out before a guess was submitted',
+  otherWord: 'Names a different word from the word list',
+  noMatch: 'Does not match the secret word'
+};
+
+/**
+ * normalizeWords:
+ * Lowercases, strips diacritics and anything that is not a letter or digit, and drops a
+ * leading article. Returns the remaining words as an array.
+ */
+function normalizeWords(text) {
+  const words = String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')   // combining accents left behind by NFKD
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  if (words.length > 1 && ['a', 'an', 'the'].includes(words[0])) words.shift();
+  return words;
+}
+
+// Rough English singular; only needs to map common plurals onto the same form as the singular
+function singularize(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && /(ches|shes|xes|zes|sses)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+// Levenshtein distance (two-row dynamic programming)
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function allowedTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+// Compares one guess against one accepted answer; returns a reason code or null
+function compareTo(guess, answer) {
+  if (guess.trim().toLowerCase() === answer.trim().toLowerCase()) return 'exact';
+  const g = normalizeWords(guess);
+  const a = normalizeWords(answer);
+  if (!g.length || !a.length) return null;
+  if (g.join('') === a.join('')) return 'normalized';
+  const gs = g.map(singularize).join('');
+  const as = a.map(singularize).join('');
+  if (gs === as) return 'plural';
+  if (editDistance(gs, as) <= allowedTypos(as.length)) return 'typo';
+  return null;
+}
+
+function rejected(reason, matched = null) {
+  return { accepted: false, reason, reasonText: REASON_TEXT[reason], matched };
+}
+
+/**
+ * matchGuess:
+ * - guess: what the fake typed (anything; non-strings count as empty)
+ * - secretWord: the round's word
+ * - aliases: other spellings/names accepted for this word (from words.json)
+ * - otherWords: the rest of the words in play (the room's enabled pool); a guess that
+ *   matches one of them, even only as a typo, names that word and is rejected
+ *
+ * The secret word itself always wins: "Baseball" is right for Baseball even though it is
+ * within typo reach of Basketball.
+ *
+ * Returns { accepted, reason, reasonText, matched } where matched is the answer the
+ * guess was matched against (the secret word, an alias or the other word), or null.
+ */
+function matchGuess(guess, secretWord, aliases = [], otherWords = []) {
+  const text = typeof guess === 'string' ? guess : '';
+  if (!normalizeWords(text).length) return rejected('empty');
+  const isWord = w => typeof w === 'string' && normalizeWords(w).length > 0;
+  const answers = [secretWord, ...(Array.isArray(aliases) ? aliases : [])].filter(isWord);
+  // The pool usually holds the secret word too, and may hold it twice across packs; an
+  // alias that is a word of its own stays in, so it names that word
+  const others = (Array.isArray(otherWords) ? otherWords : [])
+    .filter(w => isWord(w) && !['exact', 'normalized', 'plural'].includes(compareTo(w, secretWord)));
+
+  const accept = (reason, answer) => ({
+    accepted: true,
+    reason,
+    reasonText: answer === secretWord ? REASON_TEXT[reason] : `${REASON_TEXT[reason]} (accepted alias "${answer}")`,
+    matched: answer
+  });
+  const matches = answers.map(answer => ({ answer, reason: compareTo(text, answer) })).filter(m => m.reason);
+  const typos = matches.filter(m => m.reason === 'typo');
+  const spelled = matches.filter(m => m.reason !== 'typo');
+  const otherMatches = others.map(word => ({ word, reason: compareTo(text, word) })).filter(m => m.reason);
+
+  // Spelled right (apart from case, spacing or plural) beats a typo: the secret word, then
+  // another word in play, then an alias; only then the typos, other words first
+  if (spelled.length && spelled[0].answer === secretWord) return accept(spelled[0].reason, secretWord);
+  const otherSpelled = otherMatches.find(m => m.reason !== 'typo');
+  if (otherSpelled) return rejected('otherWord', otherSpelled.word);
+  if (spelled.length) return accept(spelled[0].reason, spelled[0].answer);
+  if (otherMatches.length) return rejected('otherWord', otherMatches[0].word);
+  if (typos.length) return accept('typo', typos[0].answer);
+  return rejected('noMatch');
+}
+
+// The outcome to record when the guess deadline passes with no answer
+function timedOutGuess() {
+  return rejected('timeout');
+}
+
+module.exports = {
+  matchGuess,
+  timedOutGuess,
+  normalizeWords,
+  singularize,
+  editDistance
+};
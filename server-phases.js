@@ -0,0 +1,95 @@
+// Game phases: which phase may follow which, and which client events each phase accepts.
+//
+// A game runs lobby → (wordPick →) roleReveal → drawing → voting (→ tieDecision) → results,
+// with fakeGuess between two results steps when the fake is caught. From results the room
+// starts the next game, crowns a champion (victory) or goes back to the lobby. victory is the
+// champions screen: the game is over, so it takes the lobby's events until the next game
+// starts or the host resets the scores. Any phase may return to the lobby.
+//
+// server.js only changes phase through setPhase, which refuses moves that are not listed in
+// TRANSITIONS, and phase-bound socket events check phaseAccepts before doing anything.
+//
+// Usage from server.js:
+// const { PHASES, canTransition, isGamePhase, phaseAccepts } = require('./server-phases');
+
+const PHASES = ['lobby', 'wordPick', 'roleReveal', 'drawing', 'voting', 'tieDecision', 'fakeGuess', 'results', 'victory'];
+
+const NEXT_GAME = ['wordPick', 'roleReveal'];
+
+// phase -> phases it may move to (lobby is always allowed as well)
+const TRANSITIONS = {
+  lobby: NEXT_GAME,
+  wordPick: ['roleReveal'],
+  roleReveal: ['drawing'],
+  drawing: ['drawing', 'voting'],           // drawing -> drawing: the next round of turns
+  voting: ['voting', 'tieDecision', 'results'], // voting -> voting: a tie-break run-off
+  tieDecision: ['results'],
+  fakeGuess: ['results'],
+  results: ['fakeGuess', 'victory', ...NEXT_GAME],
+  victory: NEXT_GAME
+};
+
+const LOBBY_PHASES = ['lobby', 'victory'];
+
+// client event -> phases it is accepted in; events not listed here are accepted in any phase
+const EVENT_PHASES = {
+  updateSettings: LOBBY_PHASES,
+  updateWordSelection: LOBBY_PHASES,
+  lobbyReady: LOBBY_PHASES,
+  startGame: LOBBY_PHASES,
+  forceStart: LOBBY_PHASES,
+  kickPlayer: LOBBY_PHASES,
+  addBot: LOBBY_PHASES,
+  questionMasterChoice: ['wordPick'],
+  readyToSeeRole: ['roleReveal'],
+  playerReady: ['roleReveal'],
+  drawStart: ['drawing'],
+  drawPoints: ['drawing'],
+  drawEnd: ['drawing'],
+  submitVote: ['voting'],
+  resolveTie: ['tieDecision'],
+  guessSubmitted: ['fakeGuess'],
+  startNextRoundReady: ['results'],
+  newRound: ['results'],
+  resetScoresAndStart: ['lobby', 'results', 'victory']
+};
+
+function isPhase(phase) {
+  return PHASES.includes(phase);
+}
+
+/**
+ * canTransition:
+ * Whether a room in phase `from` may move to phase `to`.
+ */
+function canTransition(from, to) {
+  if (!isPhase(from) || !isPhase(to)) return false;
+  return to === 'lobby' || TRANSITIONS[from].includes(to);
+}
+
+/**
+ * isGamePhase:
+ * True while a game is being played (gameState.gameStarted): not in the lobby, and not on
+ * the champions screen after a victory.
+ */
+function isGamePhase(phase) {
+  return isPhase(phase) && !LOBBY_PHASES.includes(phase);
+}
+
+/**
+ * phaseAccepts:
+ * Whether a client event may be handled while the room is in phase.
+ */
+function phaseAccepts(phase, event) {
+  const phases = EVENT_PHASES[event];
+  return !phases || phases.includes(phase);
+}
+
+module.exports = {
+  PHASES,
+  TRANSITIONS,
+  EVENT_PHASES,
+  canTransition,
+  isGamePhase,
+  phaseAccepts
+};
@@ -0,0 +1,138 @@
+// Career statistics per player name, rebuilt from the round archive (server-round-archive.js)
+// so they can always be recomputed from stored history and never drift from it.
+//
+// Per player (names match case-insensitively; the most recent spelling is shown):
+// - gamesPlayed, timesFake, timesArtist, timesQuestionMaster, totalPoints
+// - fakeWins / fakeWinRate: rounds won as the fake (not caught, or caught and guessed the word)
+// - timesCaught, fakeGuessedWord / fakeGuessRate: word guessed after being caught
+// - artistWins / artistWinRate: rounds won as a real artist
+// - votesCast, correctVotes / voteAccuracy: votes for the actual fake
+// - timesWronglyAccused / wronglyAccusedRate: an artist the group accused instead of the fake
+// Rates are fractions from 0 to 1, or null when there is nothing to divide by.
+//
+// Usage from server.js:
+// const { computePlayerStats, sortLeaderboard } = require('./server-player-stats');
+
+const SORTABLE_FIELDS = [
+  'name', 'gamesPlayed', 'totalPoints', 'timesFake', 'fakeWins', 'fakeWinRate', 'timesCaught',
+  'fakeGuessedWord', 'fakeGuessRate', 'timesArtist', 'artistWins', 'artistWinRate', 'votesCast',
+  'correctVotes', 'voteAccuracy', 'timesWronglyAccused', 'wronglyAccusedRate', 'timesQuestionMaster'
+];
+
+function nameKey(name) {
+  return typeof name === 'string' ? name.trim().toLowerCase() : '';
+}
+
+function emptyStats(name) {
+  return {
+    name,
+    gamesPlayed: 0,
+    totalPoints: 0,
+    timesFake: 0,
+    fakeWins: 0,
+    timesCaught: 0,
+    fakeGuessedWord: 0,
+    timesArtist: 0,
+    artistWins: 0,
+    votesCast: 0,
+    correctVotes: 0,
+    timesWronglyAccused: 0,
+    timesQuestionMaster: 0,
+    lastPlayedAt: null
+  };
+}
+
+function rate(count, total) {
+  return total > 0 ? count / total : null;
+}
+
+/**
+ * computePlayerStats:
+ * - records: archived rounds, oldest first (roundArchive.all())
+ * - options: { roomCode } to count only one room's rounds
+ *
+ * Returns an array of per-player stats (unsorted).
+ */
+function computePlayerStats(records, { roomCode = '' } = {}) {
+  const byKey = new Map();
+  const statsFor = (name) => {
+    const key = nameKey(name);
+    if (!byKey.has(key)) byKey.set(key, emptyStats(name.trim()));
+    return byKey.get(key);
+  };
+
+  for (const r of records) {
+    if (roomCode && r.roomCode !== roomCode) continue;
+    const fakeKey = nameKey(r.fakeName);
+    const fakeWon = r.winnerType === 'fake';
+    const winners = new Set((r.winners || []).map(nameKey));
+
+    for (const p of r.players) {
+      if (!nameKey(p.name)) continue;
+      const s = statsFor(p.name);
+      s.name = p.name.trim(); // latest spelling wins
+      s.gamesPlayed++;
+      s.lastPlayedAt = r.endedAt || s.lastPlayedAt;
+      if (winners.has(nameKey(p.name))) s.totalPoints += Number(r.points) || 0;
+
+      if (p.role === 'fake') {
+        s.timesFake++;
+        if (fakeWon) s.fakeWins++;
+        if (r.fakeCaught) {
+          s.timesCaught++;
+          if (r.guess && r.guess.accepted) s.fakeGuessedWord++;
+        }
+      } else if (p.role === 'questionMaster') {
+        s.timesQuestionMaster++;
+      } else {
+        s.timesArtist++;
+        if (!fakeWon) s.artistWins++;
+        if (r.accusationHeld && nameKey(r.accusedName) === nameKey(p.name)) s.timesWronglyAccused++;
+      }
+    }
+
+    for (const v of r.votes || []) {
+      if (!nameKey(v.voter)) continue;
+      const s = statsFor(v.voter);
+      s.votesCast++;
+      if (nameKey(v.votedFor) === fakeKey) s.correctVotes++;
+    }
+  }
+
+  return Array.from(byKey.values()).map(s => ({
+    ...s,
+    fakeWinRate: rate(s.fakeWins, s.timesFake),
+    fakeGuessRate: rate(s.fakeGuessedWord, s.timesCaught),
+    artistWinRate: rate(s.artistWins, s.timesArtist),
+    voteAccuracy: rate(s.correctVotes, s.votesCast),
+    wronglyAccusedRate: rate(s.timesWronglyAccused, s.timesArtist)
+  }));
+}
+
+/**
+ * sortLeaderboard:
+ * Sorts by one of SORTABLE_FIELDS ('desc' by default; names sort 'asc'). Players with no
+ * value for a rate (null) always go last. Ties fall back to gamesPlayed, then name.
+ */
+function sortLeaderboard(stats, sort = 'totalPoints', order) {
+  const field = SORTABLE_FIELDS.includes(sort) ? sort : 'totalPoints';
+  const direction = (order || (field === 'name' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+  const compare = (a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x === null && y === null) return 0;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    if (typeof x === 'string') return direction * x.localeCompare(y, undefined, { sensitivity: 'base' });
+    return direction * (x - y);
+  };
+  return stats.slice().sort((a, b) =>
+    compare(a, b) || (b.gamesPlayed - a.gamesPlayed) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  computePlayerStats,
+  sortLeaderboard,
+  nameKey
+};
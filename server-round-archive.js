@@ -0,0 +1,201 @@
+// Archive of every completed round (one secret word, from role reveal to the fake's guess),
+// kept for browsing (/api/rounds, /rounds) and for rebuilding player statistics.
+//
+// Rounds are stored one JSON record per line so finishing a round appends a line instead of
+// rewriting the whole file. A record looks like:
+// {
+//   "id": "r_1a2b3c4d5e6f", "roomCode": "ABCDE", "startedAt": "ISO", "endedAt": "ISO",
+//   "category": "Animals", "secretWord": "Penguin",
+//   "players": [{ "name": "Alice", "color": "#FF6B6B", "role": "artist" | "fake" | "questionMaster" }],
+//   "fakeName": "Bob", "questionMasterName": null,
+//   "votes": [{ "voter": "Alice", "votedFor": "Bob" }], "voteCounts": { "Bob": 2 }, "abstentions": [],
+//   "runoff": null | { candidates, firstRoundCounts }, "tieResolvedBy": null | "random" | "host" | ...,
+//   "accusedName": "Bob", "accusationHeld": true, "fakeCaught": true,
+//   "guess": null | { "guess": "penguins", "accepted": true, "reason": "plural", "reasonText": "..." },
+//   "winnerType": "fake" | "artists", "winners": ["Alice", ...], "points": 1,
+//   "scoresAfter": { "Alice": 3, ... }, "rules": {...}, "drawingFormat": 2,
+//   "drawing": [{ "playerName": "Alice", "color": "#FF6B6B", "points": [{ "x": 0.12, "y": 0.4, "t": 1700000000000 }, ...] }]
+// }
+// Records from before drawingFormat existed are marked as format 1 (pixel points) when loaded;
+// see server-drawing-format.js.
+//
+// The file is data/rounds.jsonl (DATA_DIR, as for the game state, or ROUND_ARCHIVE_FILE).
+//
+// Like the store in server-storage.js, an archive is any object with add(record), get(id),
+// list(options) and all(). Usage from server.js:
+// const { createRoundArchive } = require('./server-round-archive');
+
+const fs = require('fs');
+const path = require('path');
+const { LEGACY_DRAWING_FORMAT } = require('./server-drawing-format');
+const { DATA_DIR } = require('./server-storage');
+
+// Oldest rounds are dropped past this many; the file is compacted once it is this far over
+const ROUND_ARCHIVE_MAX = Number(process.env.ROUND_ARCHIVE_MAX) || 5000;
+const COMPACT_SLACK = 500;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// What the list endpoint shows per round (no drawing or votes)
+function roundSummary(record) {
+  return {
+    id: record.id,
+    roomCode: record.roomCode,
+    endedAt: record.endedAt,
+    category: record.category,
+    secretWord: record.secretWord,
+    fakeName: record.fakeName,
+    fakeCaught: record.fakeCaught,
+    winnerType: record.winnerType,
+    playerNames: record.players.map(p => p.name)
+  };
+}
+
+/**
+ * parseListQuery:
+ * - query: { page, pageSize, room, player } as strings (e.g. req.query)
+ *
+ * Returns { options, error }. page is 1-based; room and player filter the rounds
+ * (room code, case-insensitive player name).
+ */
+function parseListQuery(query = {}) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a whole number from 1' };
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+  const roomCode = typeof query.room === 'string' ? query.room.trim().toUpperCase() : '';
+  const player = typeof query.player === 'string' ? query.player.trim().toLowerCase() : '';
+  return { options: { page, pageSize, roomCode, player } };
+}
+
+// Shared by both backends: newest first, filtered, one page of summaries
+function listFrom(records, { page = 1, pageSize = DEFAULT_PAGE_SIZE, roomCode = '', player = '' } = {}) {
+  const matching = records.filter(r =>
+    (!roomCode || r.roomCode === roomCode) &&
+    (!player || r.players.some(p => p.name.toLowerCase() === player)));
+  const total = matching.length;
+  const start = total - page * pageSize;
+  const pageRecords = matching.slice(Math.max(0, start), Math.max(0, start + pageSize)).reverse();
+  return {
+    rounds: pageRecords.map(roundSummary),
+    page,
+    pageSize,
+    total,
+    totalPages: Math.max(1, Math.ceil(total / pageSize))
+  };
+}
+
+// A record is only usable if it has an id and a player list
+function isValidRecord(r) {
+  return isPlainObject(r) && typeof r.id === 'string' && Array.isArray(r.players);
+}
+
+/**
+ * createJsonLinesArchive:
+ * - load happens once, on creation; unreadable lines are skipped (and dropped on the next
+ *   compaction) so one bad write never loses the rest of the archive
+ * - add(record) appends a line; past ROUND_ARCHIVE_MAX + COMPACT_SLACK records the file is
+ *   rewritten (temp file + rename, as in server-storage.js) with only the newest ones
+ */
+function createJsonLinesArchive(filePath, maxRecords = ROUND_ARCHIVE_MAX) {
+  const tmpPath = filePath + '.tmp';
+  let records = [];
+  let skipped = 0;
+
+  try {
+    if (fs.existsSync(filePath)) {
+      for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          if (isValidRecord(record)) {
+            if (record.drawingFormat === undefined) record.drawingFormat = LEGACY_DRAWING_FORMAT;
+            records.push(record);
+          } else {
+            skipped++;
+          }
+        } catch (e) {
+          skipped++;
+        }
+      }
+    }
+  } catch (e) {
+    console.error('[ARCHIVE] Failed to read', filePath, e);
+  }
+  if (skipped) console.error(`[ARCHIVE] skipped ${skipped} unreadable line(s) in ${filePath}`);
+
+  function compact() {
+    records = records.slice(-maxRecords);
+    try {
+      fs.writeFileSync(tmpPath, records.map(r => JSON.stringify(r) + '\n').join(''));
+      fs.renameSync(tmpPath, filePath);
+    } catch (e) {
+      console.error('[ARCHIVE] Failed to compact', filePath, e);
+    }
+  }
+  if (records.length > maxRecords || skipped) compact();
+
+  function add(record) {
+    records.push(record);
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    } catch (e) {
+      console.error('[ARCHIVE] Failed to append to', filePath, e);
+      return false;
+    }
+    if (records.length > maxRecords + COMPACT_SLACK) compact();
+    return true;
+  }
+
+  return {
+    kind: 'jsonl',
+    add,
+    get: (id) => records.find(r => r.id === id) || null,
+    list: (options) => listFrom(records, options),
+    all: () => records.slice()
+  };
+}
+
+// Keeps rounds in process memory only (useful for local testing)
+function createMemoryArchive(maxRecords = ROUND_ARCHIVE_MAX) {
+  let records = [];
+  return {
+    kind: 'memory',
+    add: (record) => {
+      records.push(JSON.parse(JSON.stringify(record)));
+      if (records.length > maxRecords) records = records.slice(-maxRecords);
+      return true;
+    },
+    get: (id) => records.find(r => r.id === id) || null,
+    list: (options) => listFrom(records, options),
+    all: () => records.slice()
+  };
+}
+
+/**
+ * createRoundArchive:
+ * Follows the game state store: the memory backend when GAME_STATE_STORE=memory, otherwise
+ * a JSON-lines file (options.filePath, ROUND_ARCHIVE_FILE, or rounds.jsonl in DATA_DIR).
+ */
+function createRoundArchive(options = {}) {
+  const kind = options.kind || process.env.GAME_STATE_STORE || 'json';
+  if (kind === 'memory') return createMemoryArchive();
+  const filePath = options.filePath || process.env.ROUND_ARCHIVE_FILE || path.join(DATA_DIR, 'rounds.jsonl');
+  return createJsonLinesArchive(filePath);
+}
+
+module.exports = {
+  createRoundArchive,
+  createJsonLinesArchive,
+  createMemoryArchive,
+  parseListQuery,
+  roundSummary
+};
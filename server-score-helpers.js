@@ -1,12 +1,101 @@
 // Helper snippets for server.js to keep id-keyed authoritative scores
-// and to apply the updated scoring rules requested:
-// - If Fake Artist is caught and guesses the word correctly => Fake wins 2 points
-// - If Fake Artist is not caught => Fake wins 2 points
-// - If Fake Artist is caught and fails to guess => Real Artists each win 1 point
-// - First player to 5 points is crowned "The Champion" and champion titles (by name) are incremented.
+// and to apply the scoring rules of a lobby:
+// - If Fake Artist is caught and guesses the word correctly => Fake wins points.fakeGuessedWord (default 2)
+// - If Fake Artist is not caught => Fake wins points.fakeNotCaught (default 2)
+// - If Fake Artist is caught and fails to guess => Real Artists each win points.artistsCatchFake (default 1)
+// - Question Master mode (official rules): the Question Master scores together with the fake
+//   whenever the fake wins (same points), and never shares the real artists' points
+// - First player to championThreshold points (default 5) is crowned "The Champion" and champion
+//   titles (by name) are incremented.
+// - Tied votes can go to a run-off between the tied names (tieBreak: 'revote'); if that ties
+//   too, secondTieRule decides: the fake wins, a random pick, or the host decides.
+// turnSeconds, voteSeconds, guessSeconds, the tie-break settings and categoryRotation are not scoring
+// rules but live here so all lobby settings validate in one place.
 //
 // Place this file next to server.js and require it from server.js:
-// const { awardPoint, scoresIdToNameSnapshot, applyRoundOutcome } = require('./server-score-helpers');
+// const { awardPoint, scoresIdToNameSnapshot, applyRoundOutcome, DEFAULT_RULES, validateRules } = require('./server-score-helpers');
+//
+// The "ById" maps only need a stable key: server.js passes name-keyed maps.
+
+const DEFAULT_RULES = Object.freeze({
+  totalRounds: 2,
+  championThreshold: 5,
+  turnSeconds: 60,         // time limit per drawing turn; 0 = no limit
+  voteSeconds: 60,         // time limit for voting; 0 = wait for every connected player
+  guessSeconds: 30,        // time a caught fake has to guess the word; 0 = no limit
+  tieBreak: 'off',         // 'off' (a tie lets the fake off) | 'revote'
+  secondTieRule: 'fakeWins', // when the run-off ties too: 'fakeWins' | 'random' | 'host'
+  questionMaster: 'off',   // 'off' (word picked at random) | 'rotating' (a player picks it each game)
+  categoryRotation: 'off', // 'on' = every enabled category is used before any category comes back
+  points: Object.freeze({
+    fakeNotCaught: 2,
+    fakeGuessedWord: 2,
+    artistsCatchFake: 1
+  })
+});
+
+// Allowed ranges for every configurable rule (inclusive, integers only)
+const RULE_LIMITS = {
+  totalRounds: { min: 1, max: 5, label: 'Rounds' },
+  championThreshold: { min: 1, max: 50, label: 'Points to win' },
+  turnSeconds: { min: 0, max: 300, label: 'Seconds per turn' },
+  voteSeconds: { min: 0, max: 300, label: 'Seconds to vote' },
+  guessSeconds: { min: 0, max: 300, label: 'Seconds for the fake to guess' },
+  'points.fakeNotCaught': { min: 0, max: 10, label: 'Points for an uncaught fake' },
+  'points.fakeGuessedWord': { min: 0, max: 10, label: 'Points for a caught fake who guesses the word' },
+  'points.artistsCatchFake': { min: 0, max: 10, label: 'Points per real artist when the fake is caught' }
+};
+
+// Settings that pick one of a fixed set of values
+const RULE_CHOICES = {
+  tieBreak: { values: ['off', 'revote'], label: 'Tie-break' },
+  secondTieRule: { values: ['fakeWins', 'random', 'host'], label: 'Second tie rule' },
+  questionMaster: { values: ['off', 'rotating'], label: 'Question Master' },
+  categoryRotation: { values: ['off', 'on'], label: 'Category rotation' }
+};
+
+function cloneRules(rules) {
+  return { ...rules, points: { ...rules.points } };
+}
+
+/**
+ * validateRules:
+ * - input: partial rules object (e.g. from a lobby's updateSettings event)
+ * - base: rules to fall back to for fields the input leaves out (defaults to DEFAULT_RULES)
+ *
+ * Returns { rules, errors }. rules is always complete and usable; errors lists
+ * human-readable messages for every field that was present but out of range.
+ */
+function validateRules(input = {}, base = DEFAULT_RULES) {
+  const rules = cloneRules(base);
+  const errors = [];
+  const src = (input && typeof input === 'object') ? input : {};
+
+  for (const [key, limit] of Object.entries(RULE_LIMITS)) {
+    const [head, tail] = key.split('.');
+    const raw = tail ? (src[head] && src[head][tail]) : src[head];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < limit.min || n > limit.max) {
+      errors.push(`${limit.label} must be a whole number from ${limit.min} to ${limit.max}`);
+      continue;
+    }
+    if (tail) rules[head][tail] = n;
+    else rules[head] = n;
+  }
+
+  for (const [key, choice] of Object.entries(RULE_CHOICES)) {
+    const raw = src[key];
+    if (raw === undefined || raw === null || raw === '') continue;
+    if (!choice.values.includes(raw)) {
+      errors.push(`${choice.label} must be one of: ${choice.values.join(', ')}`);
+      continue;
+    }
+    rules[key] = raw;
+  }
+
+  return { rules, errors };
+}
 
 function awardPoint(scoresById, playerId, amount = 1) {
   if (!scoresById || typeof playerId === 'undefined') return scoresById || {};
@@ -29,57 +118,71 @@ function scoresIdToNameSnapshot(scoresById, playersById) {
 /**
  * applyRoundOutcome:
  * - scoresById: object mapping playerId -> score (authoritative)
- * - playersById: object mapping playerId -> { id, name, color, ... }
+ * - playersById: object mapping playerId -> { id, name, color, ... } (the round's participants)
  * - championTitlesByName: object mapping playerName -> integer (will be mutated/returned)
- * - options: { fakeId, fakeCaught (bool), fakeGuessedCorrectly (bool) }
+ * - options: { fakeId, fakeCaught (bool), fakeGuessedCorrectly (bool), rules (see DEFAULT_RULES),
+ *              questionMasterId (optional; must also be in playersById) }
  *
  * Returns an object with the updated state:
- * { scoresById, championTitlesByName, champions: [names], historyEntry }
+ * { scoresById, championTitlesByName, champions: [names], winners: [names], pointsAwarded, historyEntry }
  *
  * The function does:
- * - awards points according to the new rules (2 points to fake in win cases, 1 point to each real artist when appropriate)
- * - detects any champions (score >= 5) and increments championTitlesByName for champion names
+ * - awards points according to the rules (rules.points decides how many for each outcome)
+ * - detects any champions (score >= rules.championThreshold) and increments championTitlesByName for champion names
  * - produces a history entry (name-keyed snapshot) you can push to your champion history
  */
 function applyRoundOutcome(scoresById, playersById, championTitlesByName = {}, options = {}) {
-  const { fakeId, fakeCaught = false, fakeGuessedCorrectly = false } = options;
+  const { fakeId, fakeCaught = false, fakeGuessedCorrectly = false, questionMasterId = null } = options;
+  const rules = options.rules || DEFAULT_RULES;
   let updatedScores = Object.assign({}, scoresById || {});
   let updatedTitles = Object.assign({}, championTitlesByName || {});
   const playerIds = Object.keys(playersById || {});
   const winnersByName = [];
+  let pointsAwarded = 0;
 
   if (!fakeId || !(playersById && playersById[fakeId])) {
     // defensive: if fakeId missing, nothing to award
-    return { scoresById: updatedScores, championTitlesByName: updatedTitles, champions: [], historyEntry: null };
+    return { scoresById: updatedScores, championTitlesByName: updatedTitles, champions: [], winners: [], pointsAwarded, historyEntry: null };
   }
 
   const fakePlayer = playersById[fakeId];
+  const questionMaster = questionMasterId ? playersById[questionMasterId] : null;
+  // The Question Master wins whenever the fake does
+  const awardFakeSide = (amount) => {
+    updatedScores = awardPoint(updatedScores, fakeId, amount);
+    winnersByName.push(fakePlayer.name || fakeId);
+    if (questionMaster) {
+      updatedScores = awardPoint(updatedScores, questionMasterId, amount);
+      winnersByName.push(questionMaster.name || questionMasterId);
+    }
+  };
   // Rule application:
   if (fakeCaught) {
     if (fakeGuessedCorrectly) {
-      // Fake guessed correctly after being caught: Fake wins 2 points
-      updatedScores = awardPoint(updatedScores, fakeId, 2);
-      winnersByName.push(fakePlayer.name || fakeId);
+      // Fake guessed correctly after being caught
+      pointsAwarded = rules.points.fakeGuessedWord;
+      awardFakeSide(pointsAwarded);
     } else {
-      // Fake caught and failed to guess: each real artist wins 1 point
+      // Fake caught and failed to guess: each real artist wins
+      pointsAwarded = rules.points.artistsCatchFake;
       for (const pid of playerIds) {
-        if (pid === fakeId) continue;
-        updatedScores = awardPoint(updatedScores, pid, 1);
+        if (pid === fakeId || pid === questionMasterId) continue;
+        updatedScores = awardPoint(updatedScores, pid, pointsAwarded);
         const p = playersById[pid];
         if (p && p.name) winnersByName.push(p.name);
       }
     }
   } else {
-    // Fake not caught: Fake wins 2 points
-    updatedScores = awardPoint(updatedScores, fakeId, 2);
-    winnersByName.push(fakePlayer.name || fakeId);
+    // Fake not caught
+    pointsAwarded = rules.points.fakeNotCaught;
+    awardFakeSide(pointsAwarded);
   }
 
-  // Detect champions (first to reach 5 points). There may be ties.
+  // Detect champions (first to reach the threshold). There may be ties.
   const champions = [];
   for (const pid of Object.keys(updatedScores)) {
     const score = updatedScores[pid] || 0;
-    if (score >= 5) {
+    if (score >= rules.championThreshold) {
       const p = playersById[pid];
       const name = p && p.name ? p.name : pid;
       champions.push(name);
@@ -101,12 +204,18 @@ function applyRoundOutcome(scoresById, playersById, championTitlesByName = {}, o
     scoresById: updatedScores,
     championTitlesByName: updatedTitles,
     champions,
+    winners: winnersByName,
+    pointsAwarded,
     historyEntry
   };
 }
 
 module.exports = {
+  DEFAULT_RULES,
+  RULE_LIMITS,
+  RULE_CHOICES,
+  validateRules,
   awardPoint,
   scoresIdToNameSnapshot,
   applyRoundOutcome
-};
\ No newline at end of file
+};
@@ -0,0 +1,243 @@
+// Headless games: bots (server-bots.js) play complete games against each other on this server
+// while a referee watches the room and checks that nothing gets stuck and the rules hold:
+// - progress: the room never goes stallMs without a phase change, turn, stroke or vote
+// - turns: before voting starts, every artist in the round has drawn exactly one stroke per round
+// - scoring: each outcome moves exactly the scores the room's rules say it should, no more
+// - victory: the game ends in victory as soon as someone reaches championThreshold, crowning
+//   the top scorers, and not before; a game that needs more than MAX_WORDS_PER_GAME words is stuck
+// A game runs from the first word to its champion; the host bot then resets the scores and the
+// next game is played under the next of SIMULATION_PRESETS, so the classic rules, tie-break
+// run-offs and Question Master mode all get played.
+//
+// The referee is a spectator of the room, so it only learns the fake and the word when everyone
+// does and cannot influence the game.
+//
+// Usage from server.js (node server.js --simulate N [--verbose], or npm run simulate for five games):
+// const { runSimulation } = require('./server-simulation');
+// runSimulation({ url, botKey, games, verbose, wordsForCategory }).then(report => ...);
+// report -> { games: [{ preset, words, outcomes, champions, seconds }], failures: [messages] }
+
+const { io } = require('socket.io-client');
+const { createBot } = require('./server-bots');
+
+// Every preset sets the same keys, since updateSettings keeps whatever a preset leaves out
+const SIMULATION_PRESETS = [
+  { name: 'classic', settings: { tieBreak: 'off', secondTieRule: 'fakeWins', questionMaster: 'off' } },
+  { name: 'run-off, random second tie', settings: { tieBreak: 'revote', secondTieRule: 'random', questionMaster: 'off' } },
+  { name: 'Question Master, host settles ties', settings: { tieBreak: 'revote', secondTieRule: 'host', questionMaster: 'rotating' } }
+];
+
+// Fast bots take well under a second per move; the room's own pauses are about a second
+const DEFAULT_STALL_MS = 15 * 1000;
+const MAX_WORDS_PER_GAME = 40;
+// Question Master mode needs four players
+const DEFAULT_PLAYERS = 4;
+// Enough observant voters (and a follower) that the fake gets caught now and then, so the
+// guess and the artists' win get played as well as the uncaught fake
+const SIMULATION_STRATEGIES = ['observant', 'herd', 'observant', 'random', 'contrarian'];
+
+// { socketId: score } plus the players map of the same payload -> { name: score }
+function scoresByName(scores, players) {
+  const out = {};
+  Object.entries(players || {}).forEach(([id, p]) => { out[p.name] = (scores || {})[id] || 0; });
+  return out;
+}
+
+/**
+ * runSimulation:
+ * - url, botKey: where this server listens and its bot key (see createBot)
+ * - games: how many games to play; players: bots per game (3 or more)
+ * - wordsForCategory: passed on to the bots (the caught fake's guesses)
+ * - stallMs: how long the room may go without progress before it counts as stuck
+ * - log: where progress lines go (console.info by default)
+ * - verbose: the bots' debug lines go to console.log too (left out by default)
+ * Resolves with the report once every game is played, or early when the room got stuck.
+ */
+function runSimulation(options) {
+  const { url, botKey, games = 1, players = DEFAULT_PLAYERS, stallMs = DEFAULT_STALL_MS } = options;
+  const log = options.log || console.info;
+  const report = { games: [], failures: [] };
+  const bots = [];
+  let referee = null;
+  let watchdog = null;
+  let finished = false;
+
+  return new Promise((resolve) => {
+    let rules = null;           // the room's settings (settingsUpdated)
+    let phase = null;
+    let lastProgress = Date.now();
+    let scores = {};            // name -> points, as last announced
+    let expecting = null;       // 'fakeNotCaught' | 'guess': the scoring the last verdict calls for
+    let game = null;
+
+    const fail = (message) => {
+      const where = game ? `game ${game.index + 1}, word ${game.words}` : 'setup';
+      report.failures.push(`${where}: ${message}`);
+      log(`[SIMULATION] FAIL (${where}) ${message}`);
+    };
+    const progress = () => { lastProgress = Date.now(); };
+
+    function finish() {
+      if (finished) return;
+      finished = true;
+      clearInterval(watchdog);
+      bots.forEach(bot => bot.stop());
+      if (referee) referee.disconnect();
+      log(`[SIMULATION] ${report.games.length} of ${games} game(s) played, ` +
+        (report.failures.length ? `${report.failures.length} problem(s) found` : 'no problems found'));
+      resolve(report);
+    }
+
+    function startGame(index) {
+      const preset = SIMULATION_PRESETS[index % SIMULATION_PRESETS.length];
+      game = { index, preset: preset.name, words: 0, outcomes: { fakeNotCaught: 0, fakeGuessed: 0, artistsWon: 0 }, startedAt: Date.now() };
+      bots[0].socket.emit('updateSettings', preset.settings);
+    }
+
+    /* ---------- Checks ---------- */
+
+    // Each artist of the round drew one stroke per round (the Question Master is not in it)
+    function checkTurns(data) {
+      const strokes = {};
+      (data.drawing || []).forEach(line => { strokes[line.playerId] = (strokes[line.playerId] || 0) + 1; });
+      Object.entries(data.players || {}).forEach(([id, p]) => {
+        if ((strokes[id] || 0) !== rules.totalRounds) {
+          fail(`${p.name} drew ${strokes[id] || 0} stroke(s) in ${rules.totalRounds} round(s)`);
+        }
+      });
+    }
+
+    // winnerType 'fake': the fake and the Question Master score; 'artists': everyone else does
+    function checkScoring(kind, payload) {
+      const fakeSide = p => p.isFakeArtist || p.isQuestionMaster;
+      const cases = {
+        fakeNotCaught: { winners: fakeSide, points: rules.points.fakeNotCaught, outcome: 'fakeNotCaught' },
+        fakeGuessedWord: { winners: fakeSide, points: rules.points.fakeGuessedWord, outcome: 'fakeGuessed' },
+        artistsCatchFake: { winners: p => !fakeSide(p), points: rules.points.artistsCatchFake, outcome: 'artistsWon' }
+      };
+      const rule = cases[kind];
+      const allowed = expecting === 'guess' ? ['fakeGuessedWord', 'artistsCatchFake'] : ['fakeNotCaught'];
+      if (!allowed.includes(kind)) fail(`scored as ${kind} after a verdict that called for ${expecting || 'nothing'}`);
+      expecting = null;
+      game.outcomes[rule.outcome]++;
+
+      const after = scoresByName(payload.scores, payload.players);
+      Object.values(payload.players || {}).forEach(p => {
+        const expected = (scores[p.name] || 0) + (rule.winners(p) ? rule.points : 0);
+        if (after[p.name] !== expected) fail(`${p.name} has ${after[p.name]} point(s) after ${kind}, expected ${expected}`);
+      });
+      scores = after;
+    }
+
+    function topScorers() {
+      const max = Math.max(0, ...Object.values(scores));
+      return { max, names: Object.keys(scores).filter(name => scores[name] === max).sort() };
+    }
+
+    function checkVictory(victory) {
+      const { max, names } = topScorers();
+      if (max < rules.championThreshold) fail(`victory at ${max} point(s), below the threshold of ${rules.championThreshold}`);
+      const champions = (victory.champions || []).slice().sort();
+      if (champions.join() !== names.join()) fail(`champions ${champions.join(', ')}, expected ${names.join(', ')}`);
+    }
+
+    /* ---------- The room ---------- */
+
+    // onSeated: called once the referee is watching, so it sees the whole first game
+    function watch(roomCode, onSeated) {
+      referee = io(url, { forceNew: true, transports: ['websocket'] });
+      referee.once('spectatorAssigned', onSeated);
+      referee.on('connect', () => referee.emit('joinGame', { playerName: 'Referee', roomCode, spectate: true }));
+      referee.on('error', message => fail(`referee: ${message}`));
+      referee.on('settingsUpdated', (settings) => { rules = settings; });
+
+      referee.on('phaseChanged', (data) => {
+        progress();
+        const previous = phase;
+        phase = data.phase;
+        if ((phase === 'wordPick' || phase === 'roleReveal') && previous !== 'wordPick') {
+          if (topScorers().max >= rules.championThreshold) fail(`a new word started at ${topScorers().max} point(s) instead of a victory`);
+          game.words++;
+          if (game.words > MAX_WORDS_PER_GAME) {
+            fail(`no champion after ${MAX_WORDS_PER_GAME} words`);
+            finish();
+          }
+        }
+      });
+      ['roundStarted', 'turnChanged', 'drawStart', 'drawPoints', 'voteReceived', 'tieDecisionPending', 'waitForFakeGuess']
+        .forEach(event => referee.on(event, progress));
+
+      referee.on('startVoting', (data) => {
+        progress();
+        if (!data.runoff) checkTurns(data);
+      });
+      referee.on('votingResults', (results) => {
+        progress();
+        expecting = results.fakeArtistCaught ? 'guess' : 'fakeNotCaught';
+      });
+      referee.on('winnerCountdown', (payload) => {
+        progress();
+        checkScoring(payload.winnerType === 'artists' ? 'artistsCatchFake' : 'fakeNotCaught', payload);
+      });
+      referee.on('winnerSteal', (payload) => {
+        progress();
+        checkScoring('fakeGuessedWord', payload);
+      });
+
+      referee.on('victory', (victory) => {
+        progress();
+        // An uncaught fake who reaches the threshold goes straight to the victory
+        if (expecting === 'fakeNotCaught') checkScoring('fakeNotCaught', victory);
+        if (expecting) fail(`victory before the ${expecting} outcome was scored`);
+        checkVictory(victory);
+        const seconds = Math.round((Date.now() - game.startedAt) / 100) / 10;
+        report.games.push({ preset: game.preset, words: game.words, outcomes: game.outcomes, champions: victory.champions, seconds });
+        const { fakeNotCaught, fakeGuessed, artistsWon } = game.outcomes;
+        log(`[SIMULATION] game ${game.index + 1}/${games} (${game.preset}): ${game.words} word(s) in ${seconds}s, ` +
+          `champion(s) ${victory.champions.join(', ')} — fake not caught ${fakeNotCaught}, fake guessed ${fakeGuessed}, artists won ${artistsWon}`);
+        if (report.games.length >= games) return finish();
+
+        // The host starts the next game from scratch
+        scores = Object.fromEntries(Object.keys(scores).map(name => [name, 0]));
+        startGame(game.index + 1);
+        bots[0].socket.emit('resetScoresAndStart', { resetChampionTitles: false });
+      });
+    }
+
+    /* ---------- Setup ---------- */
+
+    const botOptions = (i) => ({
+      url,
+      botKey,
+      name: `Bot ${i + 1}`,
+      strategy: SIMULATION_STRATEGIES[i % SIMULATION_STRATEGIES.length],
+      pace: 'fast',
+      minPlayers: players,
+      wordsForCategory: options.wordsForCategory,
+      debugLog: options.verbose ? console.log : () => {},
+      onError: message => fail(`Bot ${i + 1} was refused: ${message}`)
+    });
+
+    const host = createBot({ ...botOptions(0), createRoom: true });
+    bots.push(host);
+    host.socket.once('roomCreated', ({ roomCode }) => {
+      log(`[SIMULATION] room ${roomCode}: ${games} game(s) with ${players} bots`);
+      watch(roomCode, () => {
+        startGame(0);
+        for (let i = 1; i < players; i++) bots.push(createBot({ ...botOptions(i), roomCode }));
+      });
+    });
+
+    watchdog = setInterval(() => {
+      if (Date.now() - lastProgress > stallMs) {
+        fail(`stuck in ${phase || 'the lobby'} for ${Math.round(stallMs / 1000)}s`);
+        finish();
+      }
+    }, 1000);
+  });
+}
+
+module.exports = {
+  SIMULATION_PRESETS,
+  runSimulation
+};
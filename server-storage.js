@@ -0,0 +1,232 @@
+// Persistent storage for the parts of a room that must survive a restart:
+// name-keyed scores, champion titles, champion history and the round in progress,
+// plus the user-made word packs (shared by every room).
+//
+// The state lives in data/game-state.json (DATA_DIR, or GAME_STATE_FILE for the file itself),
+// outside the tracked sources. The on-disk shape keeps the original game-state.json layout per
+// room:
+// {
+//   "rooms": {
+//     "ABCDE": { "scores": {...}, "championTitles": {...}, "history": [...], "settings": {...},
+//                "wordSelection": {...} | null, "usedWords": [...], "live": {...} | null,
+//                "updatedAt": "ISO" }
+//   },
+//   "wordPacks": { "p_1a2b3c": { "id": "p_1a2b3c", "name": "...", "categories": {...}, ... } }
+// }
+//
+// "live" is the snapshot of a round in progress (see snapshotLiveRound in server.js).
+// "wordSelection" and "wordPacks" are described in server-word-packs.js; "usedWords" lists the
+// secret words already played in the room ({ word, category, usedAt }), oldest first.
+//
+// The repo's own game-state.json predates rooms and holds one leaderboard at the top level
+// ({ scores, championTitles, history }). Until the data file exists it is read instead, and
+// that leaderboard becomes room LEGACY_ROOM_CODE; the file itself is never written.
+//
+// Rooms are kept forever unless ROOM_RETENTION_DAYS is set: then rooms nobody has touched in
+// that many days are dropped, leaderboard included, the next time the state is loaded.
+//
+// A store is any object with load() -> state and save(state) -> boolean, so another
+// backend can be dropped in via createStore(). Usage from server.js:
+// const { createStore } = require('./server-storage');
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const LEGACY_STATE_FILE = path.join(__dirname, 'game-state.json');
+const LEGACY_ROOM_CODE = 'LEGCY';
+// 0: never drop idle rooms
+const ROOM_RETENTION_MS = (Number(process.env.ROOM_RETENTION_DAYS) || 0) * 24 * 60 * 60 * 1000;
+
+function emptyState() {
+  return { rooms: {}, wordPacks: {} };
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Keep only name -> finite number entries
+function normalizeNumberMap(raw) {
+  const out = {};
+  if (!isPlainObject(raw)) return out;
+  for (const [name, value] of Object.entries(raw)) {
+    const n = Number(value);
+    if (name && Number.isFinite(n)) out[name] = n;
+  }
+  return out;
+}
+
+function normalizeHistory(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(h => isPlainObject(h) && Array.isArray(h.champions))
+    .map(h => ({
+      champions: h.champions.filter(n => typeof n === 'string'),
+      scoresSnapshot: normalizeNumberMap(h.scoresSnapshot),
+      time: typeof h.time === 'string' ? h.time : new Date(Number(h.time) || 0).toISOString()
+    }));
+}
+
+// A live snapshot is only usable if it names a phase and has a player map
+function normalizeLiveRound(raw) {
+  if (!isPlainObject(raw) || typeof raw.phase !== 'string' || !isPlainObject(raw.players)) return null;
+  if (raw.phase === 'lobby' || Object.keys(raw.players).length === 0) return null;
+  return raw;
+}
+
+// Packs are re-validated by server.js; here they only need an id and a category map
+function normalizeWordPacks(raw) {
+  const out = {};
+  if (!isPlainObject(raw)) return out;
+  for (const [id, pack] of Object.entries(raw)) {
+    if (isPlainObject(pack) && pack.id === id && isPlainObject(pack.categories)) out[id] = pack;
+  }
+  return out;
+}
+
+function normalizeUsedWords(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(u => isPlainObject(u) && typeof u.word === 'string' && typeof u.category === 'string')
+    .map(u => ({ word: u.word, category: u.category, usedAt: typeof u.usedAt === 'string' ? u.usedAt : null }));
+}
+
+function normalizeRoomRecord(raw) {
+  const rec = isPlainObject(raw) ? raw : {};
+  return {
+    scores: normalizeNumberMap(rec.scores),
+    championTitles: normalizeNumberMap(rec.championTitles),
+    history: normalizeHistory(rec.history),
+    settings: isPlainObject(rec.settings) ? rec.settings : null, // validated by server.js
+    wordSelection: isPlainObject(rec.wordSelection) ? rec.wordSelection : null, // validated by server.js
+    usedWords: normalizeUsedWords(rec.usedWords),
+    live: normalizeLiveRound(rec.live),
+    updatedAt: typeof rec.updatedAt === 'string' ? rec.updatedAt : new Date().toISOString()
+  };
+}
+
+// The single leaderboard the file held before there were rooms
+function isLegacyState(raw) {
+  return !isPlainObject(raw.rooms) && ['scores', 'championTitles', 'history'].some(key => key in raw);
+}
+
+/**
+ * normalizeState:
+ * Accepts whatever was read from storage (possibly partial or from an older version)
+ * and returns a well-formed { rooms, wordPacks } object. A pre-rooms leaderboard becomes
+ * room LEGACY_ROOM_CODE; rooms idle for longer than retentionMs (when set) are pruned.
+ */
+function normalizeState(raw, now = Date.now(), retentionMs = ROOM_RETENTION_MS) {
+  const state = emptyState();
+  if (!isPlainObject(raw)) return state;
+  state.wordPacks = normalizeWordPacks(raw.wordPacks);
+  if (isLegacyState(raw)) {
+    state.rooms[LEGACY_ROOM_CODE] = normalizeRoomRecord({ ...raw, live: null, updatedAt: new Date(now).toISOString() });
+    return state;
+  }
+  if (!isPlainObject(raw.rooms)) return state;
+  for (const [code, rec] of Object.entries(raw.rooms)) {
+    const room = normalizeRoomRecord(rec);
+    const age = now - Date.parse(room.updatedAt);
+    if (retentionMs > 0 && Number.isFinite(age) && age > retentionMs) continue;
+    state.rooms[code] = room;
+  }
+  return state;
+}
+
+/**
+ * createJsonFileStore:
+ * - load(): reads and normalizes the file; a missing file yields the state in seedPath (read
+ *   only) or empty state, and a corrupt file is moved aside (file.corrupt-<timestamp>) so it
+ *   is never overwritten blindly
+ * - save(state): writes to a temp file, fsyncs and renames over the target so a crash
+ *   mid-write leaves the previous file intact; the file's directory is created if needed
+ */
+function createJsonFileStore(filePath, { seedPath = null } = {}) {
+  const tmpPath = filePath + '.tmp';
+
+  function readSeed() {
+    try {
+      if (!seedPath || !fs.existsSync(seedPath)) return emptyState();
+      const state = normalizeState(JSON.parse(fs.readFileSync(seedPath, 'utf8') || '{}'));
+      console.log(`[STORAGE] ${filePath} does not exist yet, starting from ${seedPath}`);
+      return state;
+    } catch (e) {
+      console.error('[STORAGE] Failed to read', seedPath, e);
+      return emptyState();
+    }
+  }
+
+  function load() {
+    let raw;
+    try {
+      if (!fs.existsSync(filePath)) return readSeed();
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      console.error('[STORAGE] Failed to read', filePath, e);
+      return emptyState();
+    }
+    try {
+      return normalizeState(JSON.parse(raw || '{}'));
+    } catch (e) {
+      const aside = `${filePath}.corrupt-${Date.now()}`;
+      console.error(`[STORAGE] ${filePath} is not valid JSON, moving it to ${aside}`);
+      try { fs.renameSync(filePath, aside); } catch (err) { /* leave it in place */ }
+      return emptyState();
+    }
+  }
+
+  function save(state) {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const fd = fs.openSync(tmpPath, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify(state, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tmpPath, filePath);
+      return true;
+    } catch (e) {
+      console.error('[STORAGE] Failed to save', filePath, e);
+      return false;
+    }
+  }
+
+  return { kind: 'json', load, save };
+}
+
+// Keeps state in process memory only (useful for local testing)
+function createMemoryStore() {
+  let saved = emptyState();
+  return {
+    kind: 'memory',
+    load: () => normalizeState(JSON.parse(JSON.stringify(saved))),
+    save: (state) => { saved = JSON.parse(JSON.stringify(state)); return true; }
+  };
+}
+
+/**
+ * createStore:
+ * Picks a backend from options (or GAME_STATE_STORE / GAME_STATE_FILE env vars).
+ * Defaults to game-state.json in DATA_DIR, seeded from the repo's legacy game-state.json.
+ */
+function createStore(options = {}) {
+  const kind = options.kind || process.env.GAME_STATE_STORE || 'json';
+  if (kind === 'memory') return createMemoryStore();
+  const filePath = options.filePath || process.env.GAME_STATE_FILE;
+  if (filePath) return createJsonFileStore(filePath);
+  return createJsonFileStore(path.join(DATA_DIR, 'game-state.json'), { seedPath: LEGACY_STATE_FILE });
+}
+
+module.exports = {
+  DATA_DIR,
+  LEGACY_ROOM_CODE,
+  createStore,
+  createJsonFileStore,
+  createMemoryStore,
+  normalizeState,
+  normalizeRoomRecord
+};
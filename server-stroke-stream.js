@@ -0,0 +1,162 @@
+// Live stroke streaming: checks, clamps and thins the points players draw.
+//
+// Wire format: the drawing player sends drawStart { x, y } and then drawPoints { points } once
+// per animation frame, where points is a flat list [x1, y1, x2, y2, ...] of whole numbers from
+// 0 to POINT_SCALE (fractions of the board, see server-drawing-format.js, at 1/10000 precision).
+// The server rebroadcasts batches in the same form and stores them as { x, y, t } points.
+//
+// Limits (STROKE_LIMITS): coordinates are clamped to the board, a batch holds at most
+// maxBatchPoints, a player may send maxPointsPerSecond, and a stroke keeps at most
+// maxStrokePoints (it is simplified first, so long scribbles lose detail rather than ink).
+// Strokes are simplified again when the turn ends, before they are stored, sent to voting,
+// archived or replayed.
+//
+// Usage from server.js:
+// const { decodePoint, decodeBatch, encodeBatch, createRateLimiter, appendPoints, simplifyStroke } = require('./server-stroke-stream');
+
+const POINT_SCALE = 10000;
+
+const STROKE_LIMITS = {
+  maxBatchPoints: 64,
+  maxPointsPerSecond: 240,
+  maxStrokePoints: 2000,
+  // Douglas-Peucker tolerance as a fraction of the board: under a pixel on an 800px board
+  simplifyTolerance: 0.001
+};
+
+function toUnit(n) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return null;
+  return Math.min(1, Math.max(0, v));
+}
+
+/**
+ * decodePoint:
+ * The drawStart payload { x, y } (fractions of the board). Returns { x, y } clamped to the
+ * board, or null when either coordinate is not a number.
+ */
+function decodePoint(data) {
+  if (!data || typeof data !== 'object') return null;
+  const x = toUnit(data.x);
+  const y = toUnit(data.y);
+  return x === null || y === null ? null : { x, y };
+}
+
+/**
+ * decodeBatch:
+ * The drawPoints payload { points: [x1, y1, ...] } in POINT_SCALE units. Returns the usable
+ * points as fractions ({ x, y }), clamped, at most maxBatchPoints; pairs that are not numbers
+ * are skipped. Returns null when the payload is not a batch at all.
+ */
+function decodeBatch(data) {
+  const flat = data && Array.isArray(data.points) ? data.points : null;
+  if (!flat) return null;
+  const points = [];
+  for (let i = 0; i + 1 < flat.length && points.length < STROKE_LIMITS.maxBatchPoints; i += 2) {
+    const x = toUnit(flat[i] / POINT_SCALE);
+    const y = toUnit(flat[i + 1] / POINT_SCALE);
+    if (x !== null && y !== null) points.push({ x, y });
+  }
+  return points;
+}
+
+// Back to the wire format for rebroadcasting
+function encodeBatch(points) {
+  const flat = [];
+  points.forEach(p => flat.push(Math.round(p.x * POINT_SCALE), Math.round(p.y * POINT_SCALE)));
+  return flat;
+}
+
+/**
+ * createRateLimiter:
+ * Per-player budget of maxPointsPerSecond over a one-second window. take(count) returns how
+ * many of count points may still be sent this second (0 once the budget is spent).
+ */
+function createRateLimiter(perSecond = STROKE_LIMITS.maxPointsPerSecond) {
+  let windowStart = 0;
+  let used = 0;
+  return {
+    take(count, now = Date.now()) {
+      if (now - windowStart >= 1000) {
+        windowStart = now;
+        used = 0;
+      }
+      const allowed = Math.max(0, Math.min(count, perSecond - used));
+      used += allowed;
+      return allowed;
+    }
+  };
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * simplifyStroke:
+ * Douglas-Peucker over a stroke's points (iterative, so long strokes cannot overflow the
+ * stack). Keeps the first and last point and every point that bends the line by more than
+ * tolerance; kept points are the original objects, timestamps included.
+ */
+function simplifyStroke(points, tolerance = STROKE_LIMITS.simplifyTolerance) {
+  if (!Array.isArray(points) || points.length < 3) return points;
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const d = distanceToSegment(points[i], points[first], points[last]);
+      if (d > maxDistance) {
+        maxDistance = d;
+        farthest = i;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+  return points.filter((p, i) => keep[i]);
+}
+
+/**
+ * appendPoints:
+ * Adds decoded points (stamped with time t) to a stored stroke, skipping points that repeat
+ * the previous one. A stroke that reaches maxStrokePoints is simplified; if it is still full,
+ * the rest is dropped. Returns the points actually added (to rebroadcast).
+ */
+function appendPoints(line, points, t = Date.now()) {
+  const added = [];
+  let prev = line.points[line.points.length - 1];
+  for (const p of points) {
+    if (prev && prev.x === p.x && prev.y === p.y) continue;
+    if (line.points.length >= STROKE_LIMITS.maxStrokePoints) {
+      line.points = simplifyStroke(line.points);
+      if (line.points.length >= STROKE_LIMITS.maxStrokePoints) break;
+    }
+    const point = { x: p.x, y: p.y, t };
+    line.points.push(point);
+    added.push(point);
+    prev = point;
+  }
+  return added;
+}
+
+module.exports = {
+  POINT_SCALE,
+  STROKE_LIMITS,
+  decodePoint,
+  decodeBatch,
+  encodeBatch,
+  createRateLimiter,
+  simplifyStroke,
+  appendPoints
+};
@@ -0,0 +1,289 @@
+// Word packs: named sets of categories -> words (plus optional word -> [aliases] for guess
+// matching). words.json is the built-in "Classic" pack and cannot be changed; user packs are
+// created through the /api/packs endpoints and persisted alongside the rooms.
+//
+// A pack looks like:
+// { id, name, builtIn, categories: { "Animals": ["Lion", ...] }, aliases: { "Lion": ["Lioness"] },
+//   createdAt, updatedAt, editToken }
+//
+// editToken is handed out once, to whoever created the pack, and is needed to change or delete
+// it; publicPack strips it from everything else that is sent. Packs stored without one are
+// read-only.
+//
+// A lobby's word selection maps pack ids to the categories it draws from:
+// { "default": ["Animals", "Food"], "p_1a2b3c": ["Movies"] }
+//
+// Usage from server.js:
+// const { validatePack, buildWordPool, ... } = require('./server-word-packs');
+
+const crypto = require('crypto');
+
+const BUILT_IN_PACK_ID = 'default';
+const PACK_EXPORT_FORMAT = 'fake-artist-word-pack';
+const PACK_EXPORT_VERSION = 1;
+
+const LIMITS = {
+  packs: 50,
+  packNameLength: 40,
+  categoriesPerPack: 30,
+  categoryNameLength: 30,
+  wordsPerCategory: 200,
+  wordsPerPack: 2000,
+  wordLength: 40,
+  aliasesPerWord: 10
+};
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Pack ids and category names come from clients, so never look them up through the prototype
+function hasOwn(obj, key) {
+  return !!obj && Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// Same whitespace clean-up as player names
+function cleanText(v) {
+  return typeof v === 'string' ? v.replace(/[\s\u0000-\u001f\u007f]+/g, ' ').trim() : '';
+}
+
+// Key used to detect duplicates regardless of case and accents
+function dedupeKey(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function generatePackId() {
+  return 'p_' + crypto.randomBytes(6).toString('hex');
+}
+
+function generateEditToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Whether token (from the request) is the pack's edit token
+function canEditPack(pack, token) {
+  if (!pack || typeof pack.editToken !== 'string' || typeof token !== 'string') return false;
+  const expected = Buffer.from(pack.editToken);
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// The pack as anyone may see it
+function publicPack(pack) {
+  const { editToken, ...rest } = pack;
+  return rest;
+}
+
+function builtInPack(wordsData) {
+  return {
+    id: BUILT_IN_PACK_ID,
+    name: 'Classic (built-in)',
+    builtIn: true,
+    categories: wordsData.categories,
+    aliases: wordsData.aliases || {}
+  };
+}
+
+/**
+ * validatePack:
+ * - input: { name, categories: { category: [words] }, aliases? } from a request body
+ *
+ * Returns { pack, errors }. pack holds the cleaned name/categories/aliases (no id or
+ * timestamps) and is only usable when errors is empty. Checked: names and lengths, empty
+ * categories, duplicate categories, duplicate words anywhere in the pack, and size limits.
+ */
+function validatePack(input) {
+  const errors = [];
+  const src = isPlainObject(input) ? input : {};
+
+  const name = cleanText(src.name);
+  if (!name) errors.push('The pack needs a name');
+  else if (name.length > LIMITS.packNameLength) errors.push(`Pack names can be at most ${LIMITS.packNameLength} characters`);
+
+  const categories = new Map();
+  const rawCategories = isPlainObject(src.categories) ? src.categories : {};
+  const categoryNames = Object.keys(rawCategories);
+  if (categoryNames.length === 0) errors.push('The pack needs at least one category');
+  if (categoryNames.length > LIMITS.categoriesPerPack) errors.push(`A pack can have at most ${LIMITS.categoriesPerPack} categories`);
+
+  const seenCategories = new Set();
+  const seenWords = new Map(); // dedupe key -> category it first appeared in
+  let totalWords = 0;
+  for (const rawCategory of categoryNames) {
+    const category = cleanText(rawCategory);
+    if (!category) {
+      errors.push('Category names cannot be empty');
+      continue;
+    }
+    if (category.length > LIMITS.categoryNameLength) {
+      errors.push(`Category "${category}" is longer than ${LIMITS.categoryNameLength} characters`);
+      continue;
+    }
+    if (seenCategories.has(dedupeKey(category))) {
+      errors.push(`Category "${category}" appears more than once`);
+      continue;
+    }
+    seenCategories.add(dedupeKey(category));
+
+    const rawWords = Array.isArray(rawCategories[rawCategory]) ? rawCategories[rawCategory] : [];
+    const words = [];
+    for (const rawWord of rawWords) {
+      const word = cleanText(rawWord);
+      if (!word) continue;
+      if (word.length > LIMITS.wordLength) {
+        errors.push(`"${word}" in ${category} is longer than ${LIMITS.wordLength} characters`);
+        continue;
+      }
+      const key = dedupeKey(word);
+      if (seenWords.has(key)) {
+        errors.push(`"${word}" appears more than once (in ${seenWords.get(key)}${seenWords.get(key) === category ? '' : ' and ' + category})`);
+        continue;
+      }
+      seenWords.set(key, category);
+      words.push(word);
+    }
+    if (words.length === 0) errors.push(`Category "${category}" has no words`);
+    if (words.length > LIMITS.wordsPerCategory) errors.push(`Category "${category}" has more than ${LIMITS.wordsPerCategory} words`);
+    totalWords += words.length;
+    categories.set(category, words);
+  }
+  if (totalWords > LIMITS.wordsPerPack) errors.push(`A pack can have at most ${LIMITS.wordsPerPack} words`);
+
+  // Aliases are optional and only kept for words that are in the pack
+  const aliases = new Map();
+  if (src.aliases !== undefined && !isPlainObject(src.aliases)) errors.push('Aliases must map a word to a list of alternatives');
+  const byKey = new Map(Array.from(categories.values()).flat().map(w => [dedupeKey(w), w]));
+  for (const [rawWord, rawAliases] of Object.entries(isPlainObject(src.aliases) ? src.aliases : {})) {
+    const word = byKey.get(dedupeKey(cleanText(rawWord)));
+    if (!word) {
+      errors.push(`Aliases given for "${cleanText(rawWord)}", which is not in the pack`);
+      continue;
+    }
+    const list = (Array.isArray(rawAliases) ? rawAliases : []).map(cleanText).filter(Boolean);
+    if (list.length > LIMITS.aliasesPerWord) {
+      errors.push(`"${word}" has more than ${LIMITS.aliasesPerWord} aliases`);
+      continue;
+    }
+    if (list.some(a => a.length > LIMITS.wordLength)) {
+      errors.push(`An alias of "${word}" is longer than ${LIMITS.wordLength} characters`);
+      continue;
+    }
+    if (list.length) aliases.set(word, list);
+  }
+
+  return { pack: { name, categories: Object.fromEntries(categories), aliases: Object.fromEntries(aliases) }, errors };
+}
+
+// Accepts the file produced by exportPack, or a bare pack object
+function unwrapImport(body) {
+  if (isPlainObject(body) && body.format === PACK_EXPORT_FORMAT) {
+    if (body.version !== PACK_EXPORT_VERSION) return { error: `Unsupported pack file version ${body.version}` };
+    return { input: body.pack };
+  }
+  return { input: body };
+}
+
+function exportPack(pack) {
+  return {
+    format: PACK_EXPORT_FORMAT,
+    version: PACK_EXPORT_VERSION,
+    pack: { name: pack.name, categories: pack.categories, aliases: pack.aliases || {} }
+  };
+}
+
+// Pack names stay unique (case-insensitive): imports get " (2)", " (3)", ... appended
+function uniquePackName(name, packs, exceptId = null) {
+  const taken = new Set(packs.filter(p => p.id !== exceptId).map(p => p.name.toLowerCase()));
+  if (!taken.has(name.toLowerCase())) return name;
+  for (let n = 2; ; n++) {
+    const candidate = `${name.slice(0, LIMITS.packNameLength - 5)} (${n})`;
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+function packSummary(pack) {
+  const categories = Object.keys(pack.categories);
+  return {
+    id: pack.id,
+    name: pack.name,
+    builtIn: !!pack.builtIn,
+    categories,
+    wordCount: categories.reduce((n, c) => n + pack.categories[c].length, 0),
+    updatedAt: pack.updatedAt || null
+  };
+}
+
+/**
+ * validateSelection:
+ * - input: { packId: [categoryNames] } from a lobby
+ * - packsById: every known pack (built-in included)
+ *
+ * Returns { selection, errors }. Unknown packs/categories are errors; at least one
+ * category must be enabled.
+ */
+function validateSelection(input, packsById) {
+  const errors = [];
+  const selection = {};
+  const src = isPlainObject(input) ? input : {};
+  for (const [packId, categories] of Object.entries(src)) {
+    const pack = hasOwn(packsById, packId) ? packsById[packId] : null;
+    if (!pack) {
+      errors.push('One of the selected word packs no longer exists');
+      continue;
+    }
+    const list = Array.isArray(categories) ? categories.filter(c => typeof c === 'string') : [];
+    const unknown = list.filter(c => !hasOwn(pack.categories, c));
+    if (unknown.length) errors.push(`${pack.name} has no category ${unknown.map(c => `"${c}"`).join(', ')}`);
+    const valid = Array.from(new Set(list.filter(c => hasOwn(pack.categories, c))));
+    if (valid.length) selection[packId] = valid;
+  }
+  if (!errors.length && Object.keys(selection).length === 0) errors.push('Enable at least one category');
+  return { selection, errors };
+}
+
+/**
+ * buildWordPool:
+ * Every { packId, category, word, aliases } the selection enables. Packs or categories
+ * deleted since the selection was made are skipped; an empty result falls back to the
+ * whole built-in pack so a game can always start.
+ */
+function buildWordPool(selection, packsById) {
+  const pool = [];
+  for (const [packId, categories] of Object.entries(selection || {})) {
+    if (!hasOwn(packsById, packId)) continue;
+    const pack = packsById[packId];
+    for (const category of categories) {
+      if (!hasOwn(pack.categories, category)) continue;
+      for (const word of pack.categories[category]) {
+        pool.push({ packId, category, word, aliases: hasOwn(pack.aliases, word) ? pack.aliases[word] : [] });
+      }
+    }
+  }
+  if (pool.length || !packsById[BUILT_IN_PACK_ID]) return pool;
+  return buildWordPool(defaultSelection(packsById), packsById);
+}
+
+// The built-in pack with all of its categories
+function defaultSelection(packsById) {
+  const pack = packsById[BUILT_IN_PACK_ID];
+  return pack ? { [BUILT_IN_PACK_ID]: Object.keys(pack.categories) } : {};
+}
+
+module.exports = {
+  BUILT_IN_PACK_ID,
+  hasOwn,
+  LIMITS,
+  builtInPack,
+  generatePackId,
+  generateEditToken,
+  canEditPack,
+  publicPack,
+  validatePack,
+  unwrapImport,
+  exportPack,
+  uniquePackName,
+  packSummary,
+  validateSelection,
+  buildWordPool,
+  defaultSelection
+};
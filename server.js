@@ -1,8 +1,12 @@
 /*
-  server.js (patched: championsData sends authoritative name-keyed scores)
-  - CHAMPION_THRESHOLD, logging, and other improvements retained from previous patch
-  - Only change here (relative to the prior server.js) is that getChampions now emits
-    scores: { ...gameState.scores } (authoritative name-keyed scores) instead of buildScoresById()
+  server.js
+  The game server: serves the single-page client (public/) and the REST APIs for rounds,
+  stats and word packs, and runs every room's game over socket.io. What can be reasoned
+  about without a room lives in the server-*.js helpers: storage, rules and scoring, phases,
+  guess matching, word packs, the round archive, drawings, strokes and bots.
+
+  node server.js serves on PORT (3000); node server.js --simulate N plays N bot-only games
+  instead and reports what went wrong (server-simulation.js).
 */
 
 const express = require('express');
@@ -10,42 +14,53 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { createStore } = require('./server-storage');
+const { applyRoundOutcome, DEFAULT_RULES, validateRules } = require('./server-score-helpers');
+const { matchGuess, timedOutGuess } = require('./server-guess-matching');
+const { createRoundArchive, parseListQuery } = require('./server-round-archive');
+const { SORTABLE_FIELDS, computePlayerStats, sortLeaderboard, nameKey } = require('./server-player-stats');
+const { renderDrawingSvg, renderDrawingPng } = require('./server-drawing-export');
+const { DRAWING_FORMAT, drawingFormatOf, upgradeDrawing } = require('./server-drawing-format');
+const {
+  decodePoint, decodeBatch, encodeBatch, createRateLimiter, simplifyStroke, appendPoints
+} = require('./server-stroke-stream');
+const { canTransition, isGamePhase, phaseAccepts } = require('./server-phases');
+const { BOT_STRATEGIES, createBot } = require('./server-bots');
+const { runSimulation } = require('./server-simulation');
+const {
+  BUILT_IN_PACK_ID, LIMITS: PACK_LIMITS, hasOwn, builtInPack, generatePackId, generateEditToken, canEditPack, publicPack,
+  validatePack, unwrapImport, exportPack, uniquePackName, packSummary, validateSelection, buildWordPool, defaultSelection
+} = require('./server-word-packs');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
-const PORT = process.env.PORT || 3000;
+// node server.js --simulate N (or --simulate=N; SIMULATE_GAMES=N works too) plays N bot games
+function simulateGamesFromArgs(args) {
+  const at = args.findIndex(arg => arg === '--simulate' || arg.startsWith('--simulate='));
+  if (at < 0) return 0;
+  const value = args[at].includes('=') ? args[at].split('=')[1] : args[at + 1];
+  return Math.max(1, Math.floor(Number(value)) || 1);
+}
+
+// A simulation plays on its own: any free port, and nothing is written to disk
+const SIMULATE_GAMES = simulateGamesFromArgs(process.argv.slice(2)) || Number(process.env.SIMULATE_GAMES) || 0;
+const PORT = process.env.PORT || (SIMULATE_GAMES ? 0 : 3000);
+// The report is a simulation's output, so it leaves out the per-event debug log unless it
+// runs with --verbose (or SIMULATE_VERBOSE=1)
+const SIMULATE_VERBOSE = process.argv.slice(2).includes('--verbose') || process.env.SIMULATE_VERBOSE === '1';
+
+function debugLog(...args) {
+  if (!SIMULATE_GAMES || SIMULATE_VERBOSE) console.log(...args);
+}
 
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Load words.json
+// Load words.json (categories -> words, plus optional word -> [aliases] for guess matching).
+// It is the built-in word pack; user packs are kept in the store.
 const wordsData = JSON.parse(fs.readFileSync(path.join(__dirname, 'words.json'), 'utf8'));
-
-// Authoritative game state (scores keyed by player NAME)
-let gameState = {
-  players: {},           // socketId -> player object { id, name, color, ... }
-  gameStarted: false,
-  currentRound: 0,
-  totalRounds: 2,
-  currentTurn: null,
-  secretWord: null,
-  category: null,
-  fakeArtist: null,      // socket id
-  drawing: [],
-  votes: {},             // voterSocketId -> votedPlayerName (string)
-  scores: {},            // playerName -> number (authoritative)
-  readyPlayers: new Set(),
-  lobbyReadies: new Set(),
-  // Champion tracking/history
-  championTitles: {},    // name -> count
-  history: []            // array of { champions: [...], scoresSnapshot: {...}, time: ISO }
-};
-
-let votingCache = { players: {}, drawing: [] };
-
-// Name-based next-round consensus
-let nextRoundRequiredNames = new Set(); // set of player NAMES required to click to continue
-let nextRoundReadyNames = new Set();    // set of player NAMES that have clicked
+const BUILT_IN_PACK = builtInPack(wordsData);
 
 // Colors for players
 const colors = [
@@ -53,13 +68,415 @@ const colors = [
   '#00A8E8', '#FFA500', '#7CFC00', '#FF69B4'
 ];
 
-/* ---------------- Champion threshold & diagnostics ---------------- */
+/* ---------------- Rooms ---------------- */
+
+// Every room has its own gameState, votingCache and next-round consensus sets, and its
+// broadcasts only reach its own sockets. Scores, titles, history and the live round are
+// persisted per room code, so a code keeps its leaderboard across restarts.
+
+// Room codes skip look-alike characters (0/O, 1/I) so they can be read out loud
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+// How long a room with no connected sockets is kept before it is garbage-collected; long
+// enough for a group whose wifi went down to come back to their game
+const ROOM_IDLE_TIMEOUT_MS = Number(process.env.ROOM_IDLE_TIMEOUT_MS) || 10 * 60 * 1000;
+// How long a host may be gone (a reload, a phone switching networks) before someone else becomes host
+const HOST_GRACE_MS = Number(process.env.HOST_GRACE_MS) || 30 * 1000;
+// A reload reconnects within a couple of seconds, so the role reveal, a drawing turn and
+// voting only stop waiting for a player who dropped out once they have been gone this long
+const RECONNECT_GRACE_MS = 3 * 1000;
+// A run-off gets half the normal voting time, but never less than this
+const RUNOFF_MIN_SECONDS = 10;
+// How long the host has to settle a tied run-off before a random pick is made
+const HOST_TIE_DECISION_MS = 30 * 1000;
+// Question Master mode needs the QM plus at least three artists
+const QUESTION_MASTER_MIN_PLAYERS = 4;
+// How long the Question Master has to pick the word before one is picked at random
+const WORD_PICK_TIMEOUT_MS = 60 * 1000;
+// Used words a room remembers (oldest drop off first); a deck is never bigger than this in practice
+const USED_WORDS_MAX = 1000;
+const CATEGORY_MAX_LENGTH = 30;
+const WORD_MAX_LENGTH = 40;
+// 'afterVoting': spectators see the word and the fake when everyone does (votingResults);
+// 'live': as soon as the roles are dealt, for commentated or delayed streams
+const SPECTATOR_REVEAL = process.env.SPECTATOR_REVEAL === 'live' ? 'live' : 'afterVoting';
+const MAX_SPECTATORS = 50;
+// Bots sign their handshake with this key; it only lives as long as the process
+const BOT_KEY = crypto.randomBytes(16).toString('hex');
+const BOT_NAMES = ['Monet', 'Frida', 'Dali', 'Klimt', 'Goya', 'Hopper', 'Turner', 'Matisse', 'Kahlo', 'Vermeer'];
+const MAX_BOTS = 6;
+// How long bots wait for a person to come back (a page reload) before leaving the room
+const BOT_ALONE_GRACE_MS = 30 * 1000;
+
+const rooms = new Map(); // roomCode -> room
+
+// Persisted leaderboard data, keyed by room code (see server-storage.js)
+const store = createStore(SIMULATE_GAMES ? { kind: 'memory' } : {});
+const persisted = store.load();
+debugLog(`[SERVER DEBUG] loaded ${Object.keys(persisted.rooms).length} persisted room(s) from ${store.kind} store`);
+
+// Completed rounds, newest last (see server-round-archive.js)
+const roundArchive = createRoundArchive(SIMULATE_GAMES ? { kind: 'memory' } : {});
+debugLog(`[SERVER DEBUG] round archive (${roundArchive.kind}) holds ${roundArchive.list({ pageSize: 1 }).total} round(s)`);
+
+// A stored pack that no longer validates (e.g. edited by hand) is skipped rather than half-used
+for (const [id, pack] of Object.entries(persisted.wordPacks)) {
+  const { errors } = validatePack(pack);
+  if (errors.length) {
+    console.error(`[SERVER ERROR] ignoring invalid word pack ${id}: ${errors.join('; ')}`);
+    delete persisted.wordPacks[id];
+  }
+}
 
-const CHAMPION_THRESHOLD = 5;
-let victoryInProgress = false;
+function createRoomState(code) {
+  const saved = persisted.rooms[code];
+  return {
+    code,
+    // Authoritative game state (scores keyed by player NAME)
+    gameState: {
+      players: {},           // socketId -> player object { id, name, color, ... }
+      gameStarted: false,    // isGamePhase(phase); kept in step by setPhase
+      phase: 'lobby',        // see server-phases.js; only setPhase changes it
+      currentRound: 0,
+      roundStartedAt: null,  // ISO time the current word was dealt (for the round archive)
+      totalRounds: DEFAULT_RULES.totalRounds, // copied from settings when a game starts
+      currentTurn: null,
+      turnDeadline: null,    // epoch ms when the current drawing turn ends (null = untimed)
+      voteDeadline: null,    // epoch ms when voting closes (null = untimed)
+      guessDeadline: null,   // epoch ms when the caught fake's time to guess runs out
+      secretWord: null,
+      secretAliases: [],     // other accepted answers for secretWord (from its word pack)
+      category: null,
+      fakeArtist: null,      // socket id
+      drawing: [],
+      votes: {},             // voterSocketId -> votedPlayerName (string)
+      scores: saved ? { ...saved.scores } : {}, // playerName -> number (authoritative)
+      readyPlayers: new Set(),
+      lobbyReadies: new Set(),
+      // Champion tracking/history
+      championTitles: saved ? { ...saved.championTitles } : {}, // name -> count
+      history: saved ? saved.history.slice() : [] // array of { champions: [...], scoresSnapshot: {...}, time: ISO }
+    },
+    // Lobby rules (see DEFAULT_RULES in server-score-helpers.js)
+    settings: validateRules(saved && saved.settings).rules,
+    // Enabled packs and categories ({ packId: [categories] }); null = the whole built-in pack
+    wordSelection: saved ? saved.wordSelection : null,
+    usedWords: saved ? saved.usedWords.slice() : [], // { word, category, usedAt } already played, oldest first
+    // Host is tracked by NAME so it survives the socket id changing between pages
+    hostName: null,
+    hostTimer: null,
+    turnTimer: null,
+    voteTimer: null,
+    runoff: null,            // { candidates, firstRoundCounts } while a tie-break revote is on
+    pendingTie: null,        // { tally } while the host settles a tied run-off
+    tieTimer: null,
+    guessTimer: null,
+    wordPickTimer: null,
+    wordPickDeadline: null,
+    lastQuestionMasterName: null, // rotation pointer for Question Master mode
+    locked: false,           // locked lobbies only accept players reclaiming a seat
+    spectators: {},          // socketId -> { id, name }; watching only, never persisted
+    waitingPlayers: {},      // socketId -> { id, name, sessionToken, disconnected }; seated at the next game
+    bots: {},                // name -> bot (server-bots.js) playing in this room
+    botTimer: null,          // BOT_ALONE_GRACE_MS countdown once no person is connected
+    votingCache: { players: {}, drawing: [] },
+    // Last result payloads, re-sent to players who rejoin during the results phase
+    lastVotingResults: null,
+    lastOutcome: null,       // { event: 'winnerCountdown' | 'winnerSteal', payload }
+    lastVictory: null,       // the victory payload, re-sent in syncState while on the champions screen
+    // Name-based next-round consensus
+    nextRoundRequiredNames: new Set(), // set of player NAMES required to click to continue
+    nextRoundReadyNames: new Set(),    // set of player NAMES that have clicked
+    victoryInProgress: false,
+    idleTimer: null
+  };
+}
 
-function buildScoresById() {
+function normalizeRoomCode(code) {
+  return (typeof code === 'string') ? code.trim().toUpperCase() : '';
+}
+
+function generateRoomCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+    }
+  } while (rooms.has(code) || persisted.rooms[code]);
+  return code;
+}
+
+function createRoom() {
+  const code = generateRoomCode();
+  const room = createRoomState(code);
+  rooms.set(code, room);
+  debugLog(`[SERVER DEBUG] room created: ${code} (${rooms.size} active)`);
+  return room;
+}
+
+// Rooms are dropped from memory when idle, but a persisted code can be reopened
+function getOrReviveRoom(code) {
+  if (rooms.has(code)) return rooms.get(code);
+  if (!persisted.rooms[code]) return null;
+  const room = createRoomState(code);
+  rooms.set(code, room);
+  debugLog(`[SERVER DEBUG] room revived from storage: ${code}`);
+  return room;
+}
+
+// Serializable copy of everything needed to pick a started game back up
+function snapshotLiveRound(room) {
+  const { gameState } = room;
+  return {
+    phase: gameState.phase,
+    players: gameState.players,
+    currentRound: gameState.currentRound,
+    roundStartedAt: gameState.roundStartedAt,
+    totalRounds: gameState.totalRounds,
+    currentTurn: gameState.currentTurn,
+    secretWord: gameState.secretWord,
+    secretAliases: gameState.secretAliases,
+    category: gameState.category,
+    fakeArtist: gameState.fakeArtist,
+    drawing: gameState.drawing,
+    drawingFormat: DRAWING_FORMAT,
+    votes: gameState.votes,
+    readyPlayers: Array.from(gameState.readyPlayers),
+    votingCache: room.votingCache,
+    lastVotingResults: room.lastVotingResults,
+    lastOutcome: room.lastOutcome,
+    nextRoundRequiredNames: Array.from(room.nextRoundRequiredNames),
+    nextRoundReadyNames: Array.from(room.nextRoundReadyNames),
+    hostName: room.hostName,
+    locked: room.locked,
+    runoff: room.runoff,
+    pendingTie: room.pendingTie,
+    lastQuestionMasterName: room.lastQuestionMasterName,
+    waitingPlayers: room.waitingPlayers
+  };
+}
+
+// Puts the room straight into the snapshot's phase (restoreLiveRooms checked it is a game phase)
+function restoreLiveRound(room, live) {
+  const { gameState } = room;
+  gameState.gameStarted = true;
+  gameState.phase = live.phase;
+  gameState.players = live.players;
+  gameState.currentRound = Number(live.currentRound) || 0;
+  gameState.roundStartedAt = typeof live.roundStartedAt === 'string' ? live.roundStartedAt : null;
+  gameState.totalRounds = Number(live.totalRounds) || gameState.totalRounds;
+  gameState.currentTurn = live.currentTurn || null;
+  gameState.secretWord = live.secretWord || null;
+  gameState.secretAliases = Array.isArray(live.secretAliases) ? live.secretAliases : [];
+  gameState.category = live.category || null;
+  gameState.fakeArtist = live.fakeArtist || null;
+  const drawingFormat = drawingFormatOf(live);
+  gameState.drawing = upgradeDrawing(live.drawing, drawingFormat);
+  gameState.votes = (live.votes && typeof live.votes === 'object') ? live.votes : {};
+  gameState.readyPlayers = new Set(live.readyPlayers || []);
+  room.votingCache = live.votingCache || { players: {}, drawing: [] };
+  room.votingCache.drawing = upgradeDrawing(room.votingCache.drawing, drawingFormat);
+  room.lastVotingResults = live.lastVotingResults || null;
+  room.lastOutcome = live.lastOutcome || null;
+  room.nextRoundRequiredNames = new Set(live.nextRoundRequiredNames || []);
+  room.nextRoundReadyNames = new Set(live.nextRoundReadyNames || []);
+  room.hostName = typeof live.hostName === 'string' ? live.hostName : null;
+  room.locked = live.locked === true;
+  room.runoff = live.runoff || null;
+  room.pendingTie = live.pendingTie || null;
+  room.lastQuestionMasterName = live.lastQuestionMasterName || null;
+  room.waitingPlayers = (live.waitingPlayers && typeof live.waitingPlayers === 'object') ? live.waitingPlayers : {};
+
+  // Every socket id in the snapshot is dead now; players reclaim their seat by rejoining
+  Object.values(gameState.players).forEach(p => { p.disconnected = true; });
+  Object.values(room.waitingPlayers).forEach(w => { w.disconnected = true; });
+}
+
+// Write this room's scores, champion titles, history and live round to the store
+function persistRoom(room, reason = '') {
+  const { gameState } = room;
+  persisted.rooms[room.code] = {
+    scores: { ...gameState.scores },
+    championTitles: { ...gameState.championTitles },
+    history: gameState.history.slice(),
+    settings: room.settings,
+    wordSelection: room.wordSelection,
+    usedWords: room.usedWords,
+    live: gameState.gameStarted ? snapshotLiveRound(room) : null,
+    updatedAt: (new Date()).toISOString()
+  };
+  if (!store.save(persisted)) {
+    console.error(`[SERVER ERROR] failed to persist room ${room.code} (${reason})`);
+  }
+}
+
+function getSocketRoom(socket) {
+  const code = socket.data.roomCode;
+  return code ? (rooms.get(code) || null) : null;
+}
+
+function countRoomSockets(room) {
+  const sockets = io.sockets.adapter.rooms.get(room.code);
+  return sockets ? sockets.size : 0;
+}
+
+// Keep a room alive while anyone is connected; drop it once it has been empty for a while
+function scheduleRoomCleanup(room) {
+  if (room.idleTimer) {
+    clearTimeout(room.idleTimer);
+    room.idleTimer = null;
+  }
+  if (countRoomSockets(room) > 0) return;
+
+  room.idleTimer = setTimeout(() => {
+    room.idleTimer = null;
+    if (countRoomSockets(room) > 0) return;
+    rooms.delete(room.code);
+    // Nobody came back for the round in progress: don't resurrect it on the next boot
+    if (persisted.rooms[room.code] && persisted.rooms[room.code].live) {
+      persisted.rooms[room.code].live = null;
+      store.save(persisted);
+    }
+    debugLog(`[SERVER DEBUG] room ${room.code} garbage-collected (${rooms.size} active)`);
+  }, ROOM_IDLE_TIMEOUT_MS);
+}
+
+// Bring back every room that was mid-game when the server went down
+function restoreLiveRooms() {
+  for (const [code, rec] of Object.entries(persisted.rooms)) {
+    if (!rec.live) continue;
+    if (!isGamePhase(rec.live.phase)) {
+      console.error(`[SERVER ERROR] not restoring room ${code}: unknown live phase "${rec.live.phase}"`);
+      continue;
+    }
+    const room = createRoomState(code);
+    restoreLiveRound(room, rec.live);
+    rooms.set(code, room);
+    scheduleRoomCleanup(room);
+    // Give the host the usual grace period to come back before handing it on
+    if (room.hostName) scheduleHostHandover(room);
+    // The old deadline passed while the server was down: the current artist gets a fresh turn
+    if (room.gameState.phase === 'drawing') {
+      // Nobody holds the turn between two rounds: the next round starts right away
+      if (room.gameState.currentTurn) startTurnTimer(room);
+      else startRound(room);
+    }
+    if (room.gameState.phase === 'voting') startVoteTimer(room);
+    if (room.gameState.phase === 'tieDecision' && room.pendingTie) askHostToSettleTie(room, room.pendingTie.tally);
+    if (room.gameState.phase === 'fakeGuess') startGuessTimer(room);
+    if (room.gameState.phase === 'wordPick') startWordPickTimer(room);
+    debugLog(`[SERVER DEBUG] restored live round in room ${code} (phase: ${room.gameState.phase})`);
+  }
+}
+
+/* ---------------- Word packs ---------------- */
+
+// The built-in pack plus every user pack, keyed by id
+function getPacksById() {
+  return { [BUILT_IN_PACK_ID]: BUILT_IN_PACK, ...persisted.wordPacks };
+}
+
+function savePacks(reason) {
+  if (!store.save(persisted)) console.error(`[SERVER ERROR] failed to persist word packs (${reason})`);
+}
+
+// The lobby's selection minus anything deleted since; the whole built-in pack if nothing is left
+function effectiveWordSelection(room) {
+  const packsById = getPacksById();
+  if (!room.wordSelection) return defaultSelection(packsById);
+  const { selection } = validateSelection(room.wordSelection, packsById);
+  return Object.keys(selection).length ? selection : defaultSelection(packsById);
+}
+
+function wordPacksPayload(room) {
+  return {
+    packs: Object.values(getPacksById()).map(packSummary),
+    selection: effectiveWordSelection(room)
+  };
+}
+
+// A pack was created, edited or deleted: every lobby gets the new list
+function broadcastWordPacks() {
+  for (const room of rooms.values()) io.to(room.code).emit('wordPacksUpdated', wordPacksPayload(room));
+}
+
+function getWordPool(room) {
+  return buildWordPool(effectiveWordSelection(room), getPacksById());
+}
+
+/* ---------------- Word deck ---------------- */
+
+function usedWordKey(word) {
+  return word.toLowerCase();
+}
+
+// Enabled words that have not been played in this room yet
+function unusedWords(room, pool = getWordPool(room)) {
+  const used = new Set(room.usedWords.map(u => usedWordKey(u.word)));
+  return pool.filter(e => !used.has(usedWordKey(e.word)));
+}
+
+/*
+  drawWordFromDeck:
+  Deals { packId, category, word, aliases } from the enabled words nobody has played yet, so
+  the room works through a shuffled deck. Once the deck is empty the used list starts over
+  (the word just played is still held back). With categoryRotation on, the draw is limited
+  to the categories that have gone longest without being played.
+*/
+function drawWordFromDeck(room) {
+  const pool = getWordPool(room);
+  let remaining = unusedWords(room, pool);
+  if (remaining.length === 0) {
+    debugLog(`[SERVER DEBUG] every enabled word has been played in ${room.code}, reshuffling the deck`);
+    const last = room.usedWords[room.usedWords.length - 1];
+    room.usedWords = [];
+    remaining = pool.filter(e => !last || usedWordKey(e.word) !== usedWordKey(last.word));
+    if (remaining.length === 0) remaining = pool;
+  }
+  if (room.settings.categoryRotation === 'on') {
+    const lastPlayed = {}; // category -> index of its latest word in usedWords
+    room.usedWords.forEach((u, i) => { lastPlayed[u.category] = i; });
+    const age = e => (hasOwn(lastPlayed, e.category) ? lastPlayed[e.category] : -1);
+    const oldest = remaining.reduce((min, e) => Math.min(min, age(e)), Infinity);
+    remaining = remaining.filter(e => age(e) === oldest);
+  }
+  return remaining[Math.floor(Math.random() * remaining.length)];
+}
+
+function markWordUsed(room, category, word) {
+  room.usedWords.push({ word, category, usedAt: new Date().toISOString() });
+  if (room.usedWords.length > USED_WORDS_MAX) room.usedWords.splice(0, room.usedWords.length - USED_WORDS_MAX);
+}
+
+function usedWordsPayload(room) {
+  const pool = getWordPool(room);
+  return { usedWords: room.usedWords, remaining: unusedWords(room, pool).length, total: pool.length };
+}
+
+// Enabled categories -> unplayed words (merged across packs), offered to the Question Master
+function enabledCategories(room) {
+  const out = {};
+  const unused = unusedWords(room);
+  for (const { category, word } of (unused.length ? unused : getWordPool(room))) {
+    if (!hasOwn(out, category)) out[category] = [];
+    if (!out[category].includes(word)) out[category].push(word);
+  }
+  return out;
+}
+
+// Aliases of a word the Question Master typed, if it is one of the enabled words
+function aliasesForWord(room, word) {
+  const key = word.toLowerCase();
+  const entry = getWordPool(room).find(e => e.word.toLowerCase() === key);
+  return entry ? entry.aliases : [];
+}
+
+/* ---------------- Champion threshold & diagnostics ---------------- */
+
+function buildScoresById(room) {
   // Map authoritative name-keyed scores to socket-id keyed scores (for legacy clients)
+  const { gameState } = room;
   const out = {};
   for (const [id, p] of Object.entries(gameState.players)) {
     const name = p && p.name ? p.name : null;
@@ -68,24 +485,26 @@ function buildScoresById() {
   return out;
 }
 
-function logScoresContext(reason = '') {
+function logScoresContext(room, reason = '') {
   try {
-    console.log('[SERVER DEBUG] Scores snapshot (' + reason + '):', JSON.stringify({
-      byName: { ...gameState.scores },
-      byId: buildScoresById()
+    debugLog('[SERVER DEBUG] Scores snapshot (' + room.code + ' ' + reason + '):', JSON.stringify({
+      byName: { ...room.gameState.scores },
+      byId: buildScoresById(room)
     }));
   } catch (e) {
-    console.log('[SERVER DEBUG] Scores snapshot error', e);
+    debugLog('[SERVER DEBUG] Scores snapshot error', e);
   }
 }
 
-function checkChampionAndTriggerIfHit(context = '') {
+function checkChampionAndTriggerIfHit(room, context = '') {
   // Always use authoritative name-keyed gameState.scores here
-  const champions = Object.keys(gameState.scores).filter(n => (gameState.scores[n] || 0) >= CHAMPION_THRESHOLD);
+  const { gameState } = room;
+  const threshold = room.settings.championThreshold;
+  const champions = Object.keys(gameState.scores).filter(n => (gameState.scores[n] || 0) >= threshold);
   if (champions.length > 0) {
-    console.log('[SERVER DEBUG] Champion threshold reached (' + CHAMPION_THRESHOLD + ') in context:', context, 'champions:', champions);
-    logScoresContext('before-triggerVictoryOrLobby-' + context);
-    triggerVictoryOrLobby();
+    debugLog('[SERVER DEBUG] Champion threshold reached (' + threshold + ') in context:', context, 'champions:', champions);
+    logScoresContext(room, 'before-triggerVictoryOrLobby-' + context);
+    triggerVictoryOrLobby(room);
     return true;
   }
   return false;
@@ -93,16 +512,18 @@ function checkChampionAndTriggerIfHit(context = '') {
 
 /* ---------------- Helpers ---------------- */
 
-function ensureScoresForCurrentPlayers() {
+function ensureScoresForCurrentPlayers(room) {
+  const { gameState } = room;
   Object.values(gameState.players).forEach(p => {
     if (p && p.name && gameState.scores[p.name] === undefined) gameState.scores[p.name] = 0;
   });
 }
 
-function remapPlayerId(oldId, newId) {
+function remapPlayerId(room, oldId, newId) {
+  const { gameState } = room;
   if (gameState.fakeArtist === oldId) {
     gameState.fakeArtist = newId;
-    console.log(`[SERVER DEBUG] fakeArtist id remapped to new socket: ${newId}`);
+    debugLog(`[SERVER DEBUG] fakeArtist id remapped to new socket: ${newId}`);
   }
   if (gameState.currentTurn === oldId) {
     gameState.currentTurn = newId;
@@ -126,11 +547,12 @@ function remapPlayerId(oldId, newId) {
   }
 }
 
-function getFakeArtistName() {
+function getFakeArtistName(room) {
+  const { gameState } = room;
   return (gameState.fakeArtist && gameState.players[gameState.fakeArtist]) ? gameState.players[gameState.fakeArtist].name : "(Unknown)";
 }
 
-function getIdByNameInPlayers(theName, playersObj = gameState.players) {
+function getIdByNameInPlayers(theName, playersObj) {
   if (!theName) return null;
   const target = theName.trim().toLowerCase();
   for (const [id, p] of Object.entries(playersObj || {})) {
@@ -139,152 +561,600 @@ function getIdByNameInPlayers(theName, playersObj = gameState.players) {
   return null;
 }
 
-function updateAllPlayers() {
-  const playersList = Object.values(gameState.players);
-  io.emit('updatePlayers', playersList);
-  io.emit('enableStartButton', playersList.length >= 3);
+/*
+  Player objects carry private state (isFakeArtist). Anything broadcast before the
+  reveal goes through publicPlayers, which copies only whitelisted fields, so new
+  private fields stay private by default. The fake flag reaches a client through its
+  own roleAssigned, or through revealedPlayers once votingResults has gone out.
+*/
+const PUBLIC_PLAYER_FIELDS = ['id', 'name', 'color', 'ready', 'hasSeenRole', 'lobbyReady', 'disconnected', 'isQuestionMaster', 'isBot'];
+
+function publicPlayer(p) {
+  const out = {};
+  PUBLIC_PLAYER_FIELDS.forEach(k => { if (p[k] !== undefined) out[k] = p[k]; });
+  return out;
+}
+
+function publicPlayers(playersObj) {
+  const out = {};
+  for (const [id, p] of Object.entries(playersObj || {})) out[id] = publicPlayer(p);
+  return out;
+}
+
+function revealedPlayers(playersObj) {
+  const out = {};
+  for (const [id, p] of Object.entries(playersObj || {})) {
+    out[id] = { ...publicPlayer(p), isFakeArtist: p.isFakeArtist === true };
+  }
+  return out;
+}
+
+function nextRoundReadyPayload(room) {
+  return {
+    readyNames: Array.from(room.nextRoundReadyNames),
+    readyCount: room.nextRoundReadyNames.size,
+    totalNeeded: room.nextRoundRequiredNames.size,
+    requiredNames: Array.from(room.nextRoundRequiredNames),
+    players: publicPlayers(room.gameState.players)
+  };
+}
+
+function emitNextRoundReadyUpdate(room) {
+  io.to(room.code).emit('nextRoundReadyUpdate', nextRoundReadyPayload(room));
+}
+
+function updateAllPlayers(room) {
+  const playersList = Object.values(publicPlayers(room.gameState.players));
+  io.to(room.code).emit('updatePlayers', playersList);
+  io.to(room.code).emit('enableStartButton', playersList.length >= 3);
+}
+
+/* ---------------- Host ---------------- */
+
+// The first player to join is the host: only they change settings, kick, hand over host,
+// lock the lobby, force-start and reset scores.
+
+function getHostId(room) {
+  return getIdByNameInPlayers(room.hostName, room.gameState.players);
+}
+
+function isHost(room, socket) {
+  return !!room.hostName && getHostId(room) === socket.id;
+}
+
+// Host-only events call this first; anyone else gets an 'error'
+function requireHost(room, socket, action) {
+  if (isHost(room, socket)) return true;
+  debugLog(`[SERVER DEBUG] ${action} refused (${room.code}): ${socket.id} is not host`);
+  socket.emit('error', `Only the host can ${action}`);
+  return false;
+}
+
+function emitRoomUpdated(room) {
+  io.to(room.code).emit('roomUpdated', { hostId: getHostId(room), hostName: room.hostName, locked: room.locked });
+}
+
+function setHost(room, name) {
+  if (room.hostTimer) {
+    clearTimeout(room.hostTimer);
+    room.hostTimer = null;
+  }
+  room.hostName = name;
+  debugLog(`[SERVER DEBUG] host of ${room.code} is now ${name}`);
+  emitRoomUpdated(room);
+  // A new host inherits an open tie decision
+  if (room.gameState.phase === 'tieDecision' && room.pendingTie) emitTieDecision(room);
+}
+
+/*
+  scheduleHostHandover:
+  Called when the host leaves or disconnects. If they are not back (connected) after
+  HOST_GRACE_MS, the longest-seated connected person (a bot only if nobody else is left)
+  becomes host.
+*/
+function scheduleHostHandover(room) {
+  if (room.hostTimer) clearTimeout(room.hostTimer);
+  room.hostTimer = setTimeout(() => {
+    room.hostTimer = null;
+    const hostId = getHostId(room);
+    if (hostId && !room.gameState.players[hostId].disconnected) return;
+    const connected = Object.values(room.gameState.players).filter(p => !p.disconnected);
+    const next = connected.find(p => !p.isBot) || connected[0];
+    if (next) setHost(room, next.name);
+  }, HOST_GRACE_MS);
+}
+
+// Take a player out of the room entirely and send them back to the start page
+function removePlayerFromRoom(room, playerId, message) {
+  const { gameState } = room;
+  delete gameState.players[playerId];
+  gameState.readyPlayers.delete(playerId);
+  gameState.lobbyReadies.delete(playerId);
+  const target = io.sockets.sockets.get(playerId);
+  if (target) {
+    target.emit('removedFromRoom', { message });
+    target.leave(room.code);
+    target.data.roomCode = null;
+  }
+}
+
+/* ---------------- Phases ---------------- */
+
+/*
+  setPhase:
+  The only place a room changes phase (apart from restoring a snapshot). Moves that
+  server-phases.js does not allow are logged and refused; gameStarted follows the phase.
+  Returns whether the room is now in phase next.
+*/
+function setPhase(room, next) {
+  const { gameState } = room;
+  if (!canTransition(gameState.phase, next)) {
+    console.error(`[SERVER ERROR] refused phase change ${gameState.phase} -> ${next} in ${room.code}`);
+    return false;
+  }
+  debugLog(`[SERVER DEBUG] phase ${gameState.phase} -> ${next} (${room.code})`);
+  gameState.phase = next;
+  gameState.gameStarted = isGamePhase(next);
+  io.to(room.code).emit('phaseChanged', { phase: next });
+  return true;
+}
+
+// Phase-bound events call this first. With a message the sender gets an 'error'; without
+// one the event is dropped quietly (strokes still in flight when a turn ends are normal).
+function requirePhase(room, socket, event, message = null) {
+  if (phaseAccepts(room.gameState.phase, event)) return true;
+  debugLog(`[SERVER DEBUG] ${event} refused (${room.code}): not accepted during ${room.gameState.phase}`);
+  if (message) socket.emit('error', message);
+  return false;
 }
 
 /* ---------------- Game flow ---------------- */
 
-function startNewGame() {
-  console.log('[SERVER DEBUG] startNewGame');
-  nextRoundRequiredNames.clear();
-  nextRoundReadyNames.clear();
+// Private role message; the secret word only goes to real artists and the Question Master
+function rolePayload(room, player) {
+  const { gameState } = room;
+  const qm = getQuestionMaster(room);
+  const questionMasterName = qm ? qm.name : null;
+  if (player.isFakeArtist === true) {
+    return { role: 'fake', category: gameState.category, rules: room.settings, questionMasterName };
+  }
+  const role = player.isQuestionMaster === true ? 'questionMaster' : 'artist';
+  return { role, category: gameState.category, secretWord: gameState.secretWord, rules: room.settings, questionMasterName };
+}
+
+/* ---------------- Question Master ---------------- */
+
+// settings.questionMaster 'rotating': each game a different player picks the category and
+// word, then sits out drawing and voting and scores with the fake (official rules).
+
+function getQuestionMaster(room) {
+  return Object.values(room.gameState.players).find(p => p.isQuestionMaster === true) || null;
+}
+
+// Next player in seat order after the previous Question Master (null when the mode is off
+// or there are too few players for it this game)
+function pickQuestionMaster(room) {
+  const { gameState } = room;
+  if (room.settings.questionMaster !== 'rotating') return null;
+  const ids = Object.keys(gameState.players);
+  const connected = connectedPlayerIds(room);
+  if (connected.length < QUESTION_MASTER_MIN_PLAYERS) {
+    debugLog(`[SERVER DEBUG] ${room.code}: only ${connected.length} players, playing this game without a Question Master`);
+    return null;
+  }
+  // Seats of players who are gone are passed over
+  const lastIndex = ids.findIndex(id => gameState.players[id].name === room.lastQuestionMasterName);
+  const id = ids.slice(lastIndex + 1).concat(ids.slice(0, lastIndex + 1)).find(pid => !gameState.players[pid].disconnected);
+  room.lastQuestionMasterName = gameState.players[id].name;
+  return id;
+}
+
+/*
+  validateWordChoice:
+  The Question Master may pick from the lobby's enabled categories or type their own
+  category and word.
+  Returns { category, word } or { error }.
+*/
+function validateWordChoice(input) {
+  const data = (input && typeof input === 'object') ? input : {};
+  const clean = v => (typeof v === 'string' ? v.replace(/[\s\u0000-\u001f\u007f]+/g, ' ').trim() : '');
+  const category = clean(data.category);
+  const word = clean(data.word);
+  if (!category || !word) return { error: 'Please enter both a category and a secret word' };
+  if (category.length > CATEGORY_MAX_LENGTH) return { error: `Categories can be at most ${CATEGORY_MAX_LENGTH} characters` };
+  if (word.length > WORD_MAX_LENGTH) return { error: `Secret words can be at most ${WORD_MAX_LENGTH} characters` };
+  return { category, word };
+}
+
+function questionMasterPromptPayload(room) {
+  return { categories: enabledCategories(room), deadline: room.wordPickDeadline, serverTime: Date.now() };
+}
+
+function emitWordPickState(room, target) {
+  const qm = getQuestionMaster(room);
+  target.emit('waitingForQuestionMaster', { questionMasterName: qm ? qm.name : null });
+  if (qm) io.to(qm.id).emit('questionMasterPrompt', questionMasterPromptPayload(room));
+}
+
+function startWordPickTimer(room) {
+  if (room.wordPickTimer) clearTimeout(room.wordPickTimer);
+  room.wordPickDeadline = Date.now() + WORD_PICK_TIMEOUT_MS;
+  room.wordPickTimer = setTimeout(() => {
+    room.wordPickTimer = null;
+    if (room.gameState.phase !== 'wordPick') return;
+    debugLog(`[SERVER DEBUG] Question Master did not pick a word in ${room.code}, picking at random`);
+    const { category, word, aliases } = drawWordFromDeck(room);
+    finishWordPick(room, category, word, aliases);
+  }, WORD_PICK_TIMEOUT_MS);
+}
+
+// The word is set: everyone moves on to the role reveal
+function finishWordPick(room, category, word, aliases = []) {
+  const { gameState } = room;
+  if (room.wordPickTimer) {
+    clearTimeout(room.wordPickTimer);
+    room.wordPickTimer = null;
+  }
+  gameState.category = category;
+  gameState.secretWord = word;
+  gameState.secretAliases = aliases;
+  setPhase(room, 'roleReveal');
+  markWordUsed(room, category, word);
+  persistRoom(room, 'wordPicked');
+  Object.values(gameState.players).forEach(p => {
+    if (p.isQuestionMaster) {
+      io.to(p.id).emit('roleAssigned', rolePayload(room, p));
+      p.hasSeenRole = true;
+    } else {
+      io.to(p.id).emit('promptRevealRole');
+    }
+  });
+  revealToSpectators(room);
+  io.to(room.code).emit('playerReadyUpdate', { readyPlayers: Array.from(gameState.readyPlayers), players: publicPlayers(gameState.players) });
+}
+
+/* ---------------- Turn timer ---------------- */
+
+function clearTurnTimer(room) {
+  if (room.turnTimer) {
+    clearTimeout(room.turnTimer);
+    room.turnTimer = null;
+  }
+  room.gameState.turnDeadline = null;
+}
+
+// Arms the timer for whoever holds currentTurn; when it fires the turn ends as if they sent drawEnd
+function startTurnTimer(room) {
+  const { gameState } = room;
+  clearTurnTimer(room);
+  const seconds = room.settings.turnSeconds;
+  if (!seconds) return;
+  const turnId = gameState.currentTurn;
+  gameState.turnDeadline = Date.now() + seconds * 1000;
+  room.turnTimer = setTimeout(() => {
+    room.turnTimer = null;
+    if (gameState.phase !== 'drawing' || gameState.currentTurn !== turnId) return;
+    const name = gameState.players[turnId] ? gameState.players[turnId].name : turnId;
+    debugLog(`[SERVER DEBUG] turn timed out (${room.code}): ${name}`);
+    nextTurn(room);
+  }, seconds * 1000);
+}
+
+function turnChangedPayload(room) {
+  const { gameState } = room;
+  return {
+    currentTurn: gameState.currentTurn,
+    players: publicPlayers(gameState.players),
+    turnDeadline: gameState.turnDeadline,
+    turnSeconds: room.settings.turnSeconds,
+    serverTime: Date.now() // lets clients correct for clock skew
+  };
+}
+
+function connectedPlayerIds(room) {
+  const { players } = room.gameState;
+  return Object.keys(players).filter(id => !players[id].disconnected);
+}
+
+// The lobby starts a game once every connected player (at least three) has pressed start
+function allConnectedLobbyReady(room) {
+  const connected = connectedPlayerIds(room);
+  return connected.length >= 3 && connected.every(id => room.gameState.lobbyReadies.has(id));
+}
+
+// Drawing starts once every connected player has seen their role; nobody waits for whoever dropped out
+function startDrawingIfAllReady(room) {
+  const { gameState } = room;
+  if (gameState.phase !== 'roleReveal') return false;
+  const connected = connectedPlayerIds(room);
+  if (!connected.length || !connected.every(id => gameState.readyPlayers.has(id))) return false;
+  debugLog('[SERVER DEBUG] All players ready, starting drawing phase.');
+  startDrawingPhase(room);
+  return true;
+}
+
+// Drawing turns go to connected players; the Question Master never draws
+function takesTurns(p) {
+  return !p.disconnected && !p.isQuestionMaster;
+}
+
+// First player in seat order who takes turns (falls back to the first artist's seat)
+function firstActivePlayerId(room) {
+  const { players } = room.gameState;
+  const ids = Object.keys(players);
+  return ids.find(id => takesTurns(players[id])) || ids.find(id => !players[id].isQuestionMaster);
+}
+
+function startNewGame(room) {
+  const { gameState } = room;
+  debugLog(`[SERVER DEBUG] startNewGame (${room.code})`);
+  // A game starts in wordPick or roleReveal, which are allowed from the same phases
+  if (!canTransition(gameState.phase, 'roleReveal')) {
+    console.error(`[SERVER ERROR] startNewGame refused in ${room.code}: the room is in ${gameState.phase}`);
+    return;
+  }
+  room.nextRoundRequiredNames.clear();
+  room.nextRoundReadyNames.clear();
+  admitWaitingPlayers(room);
 
-  gameState.gameStarted = true;
   gameState.currentRound = 0;
+  gameState.roundStartedAt = new Date().toISOString();
+  gameState.totalRounds = room.settings.totalRounds;
   gameState.readyPlayers.clear();
+  room.lastVotingResults = null;
+  room.lastOutcome = null;
+  room.runoff = null;
+  room.pendingTie = null;
 
   Object.keys(gameState.players).forEach(pid => {
     gameState.players[pid].isFakeArtist = false;
+    gameState.players[pid].isQuestionMaster = false;
     gameState.players[pid].ready = false;
     gameState.players[pid].hasSeenRole = false;
-    gameState.players[pid].disconnected = false;
   });
 
   const playerIds = Object.keys(gameState.players);
   if (playerIds.length === 0) return;
 
-  const fakeArtistId = playerIds[Math.floor(Math.random() * playerIds.length)];
+  // In Question Master mode the QM is chosen first and is never the fake
+  const questionMasterId = pickQuestionMaster(room);
+  if (questionMasterId) gameState.players[questionMasterId].isQuestionMaster = true;
+  const artistIds = playerIds.filter(id => id !== questionMasterId);
+
+  // Someone who is gone cannot be the fake: nobody would be left to catch
+  const connectedArtistIds = artistIds.filter(id => !gameState.players[id].disconnected);
+  const fakePool = connectedArtistIds.length ? connectedArtistIds : artistIds;
+  const fakeArtistId = fakePool[Math.floor(Math.random() * fakePool.length)];
   gameState.fakeArtist = fakeArtistId;
   gameState.players[fakeArtistId].isFakeArtist = true;
 
-  const categories = Object.keys(wordsData.categories);
-  gameState.category = categories[Math.floor(Math.random() * categories.length)];
-  const words = wordsData.categories[gameState.category];
-  gameState.secretWord = words[Math.floor(Math.random() * words.length)];
-
   gameState.drawing = [];
   gameState.votes = {};
 
   // Ensure score entries for current players exist
-  ensureScoresForCurrentPlayers();
-
-  // Set initial turn
-  gameState.currentTurn = playerIds[0];
-
-  // Send roles
-  Object.keys(gameState.players).forEach(playerId => {
-    const p = gameState.players[playerId];
-    if (p.isFakeArtist) {
-      io.to(playerId).emit('roleAssigned', { role: 'fake', category: gameState.category });
-    } else {
-      io.to(playerId).emit('roleAssigned', { role: 'artist', category: gameState.category, secretWord: gameState.secretWord });
-    }
-    gameState.players[playerId].hasSeenRole = true;
-  });
+  ensureScoresForCurrentPlayers(room);
+
+  // Set initial turn (the clock only starts with the drawing phase)
+  clearTurnTimer(room);
+  gameState.currentTurn = artistIds[0];
+
+  if (questionMasterId) {
+    // The Question Master picks the word before anyone sees a role
+    setPhase(room, 'wordPick');
+    gameState.category = null;
+    gameState.secretWord = null;
+    gameState.secretAliases = [];
+    startWordPickTimer(room);
+    persistRoom(room, 'startNewGame');
+    emitWordPickState(room, io.to(room.code));
+  } else {
+    setPhase(room, 'roleReveal');
+    const { category, word, aliases } = drawWordFromDeck(room);
+    gameState.category = category;
+    gameState.secretWord = word;
+    gameState.secretAliases = aliases;
+    markWordUsed(room, category, word);
+    persistRoom(room, 'startNewGame');
+
+    // Send roles
+    Object.keys(gameState.players).forEach(playerId => {
+      io.to(playerId).emit('roleAssigned', rolePayload(room, gameState.players[playerId]));
+      gameState.players[playerId].hasSeenRole = true;
+    });
+    revealToSpectators(room);
+  }
 
   // Broadcast scores (socket-id keyed) so clients update immediately
-  io.emit('scoresUpdated', { scores: buildScoresById(), players: gameState.players });
-
-  // Notify voting clients to redirect if needed
-  io.emit('startNewGame');
+  io.to(room.code).emit('scoresUpdated', { scores: buildScoresById(room), players: publicPlayers(gameState.players) });
 
-  // Start drawing
-  io.emit('startDrawing', {
-    currentTurn: gameState.currentTurn,
-    drawing: gameState.drawing
-  });
-  io.emit('turnChanged', { currentTurn: gameState.currentTurn, players: gameState.players });
+  // Clients drop what they still show of the previous game (results, spectator reveal);
+  // the drawing itself starts once everyone is ready (startDrawingPhase)
+  io.to(room.code).emit('startNewGame');
 }
 
-function startRound() {
+function startRound(room) {
+  const { gameState } = room;
+  if (!setPhase(room, 'drawing')) return;
   gameState.currentRound++;
-  gameState.currentTurn = Object.keys(gameState.players)[0];
-  io.emit('roundStarted', {
+  gameState.currentTurn = firstActivePlayerId(room);
+  startTurnTimer(room);
+  persistRoom(room, 'startRound');
+  io.to(room.code).emit('roundStarted', {
     round: gameState.currentRound,
     totalRounds: gameState.totalRounds,
     currentTurn: gameState.currentTurn,
-    players: gameState.players,
+    players: publicPlayers(gameState.players),
     drawing: gameState.drawing
   });
-  io.emit('turnChanged', { currentTurn: gameState.currentTurn, players: gameState.players });
+  io.to(room.code).emit('turnChanged', turnChangedPayload(room));
 }
 
-function startDrawingPhase() {
-  startRound();
-  io.emit('startDrawing', {
-    currentTurn: gameState.currentTurn,
-    drawing: gameState.drawing
+function startDrawingPhase(room) {
+  startRound(room);
+  io.to(room.code).emit('startDrawing', {
+    currentTurn: room.gameState.currentTurn,
+    drawing: room.gameState.drawing
   });
 }
 
-function nextTurn() {
-  const playerIds = Object.keys(gameState.players);
-  const currentIndex = playerIds.indexOf(gameState.currentTurn);
-  const nextIndex = (currentIndex + 1) % playerIds.length;
-  gameState.currentTurn = playerIds[nextIndex];
+// Simplifies the stroke(s) the player whose turn is ending drew, now that they are complete
+function finishTurnStrokes(room) {
+  const { gameState } = room;
+  for (let i = gameState.drawing.length - 1; i >= 0; i--) {
+    const line = gameState.drawing[i];
+    if (line.playerId !== gameState.currentTurn) break;
+    const before = line.points.length;
+    line.points = simplifyStroke(line.points);
+    if (line.points.length < before) {
+      debugLog(`[SERVER DEBUG] stroke by ${line.playerName} simplified ${before} -> ${line.points.length} points (${room.code})`);
+    }
+  }
+}
 
-  io.emit('turnChanged', {
-    currentTurn: gameState.currentTurn,
-    players: gameState.players
-  });
+function nextTurn(room) {
+  const { gameState } = room;
+  clearTurnTimer(room);
+  finishTurnStrokes(room);
+  const playerIds = Object.keys(gameState.players);
+  let nextIndex = playerIds.indexOf(gameState.currentTurn);
+  // Walk the seat order, skipping disconnected players; passing seat 0 ends the round
+  let lastPlayer = false;
+  for (let step = 0; step < playerIds.length; step++) {
+    nextIndex = (nextIndex + 1) % playerIds.length;
+    if (nextIndex === 0) lastPlayer = true;
+    if (takesTurns(gameState.players[playerIds[nextIndex]])) break;
+  }
+  // Once the round is over nobody holds the turn (and can draw) until startRound hands it out
+  gameState.currentTurn = lastPlayer ? null : playerIds[nextIndex];
 
   const roundsCompleted = gameState.currentRound >= gameState.totalRounds;
-  const lastPlayer = nextIndex === 0;
+  if (!lastPlayer) startTurnTimer(room);
+
+  io.to(room.code).emit('turnChanged', turnChangedPayload(room));
 
   if (lastPlayer && roundsCompleted) {
-    votingCache = {
-      players: JSON.parse(JSON.stringify(gameState.players)),
+    setPhase(room, 'voting');
+    // The Question Master neither votes nor can be voted for
+    const voters = Object.fromEntries(Object.entries(gameState.players).filter(([, p]) => !p.isQuestionMaster));
+    room.votingCache = {
+      players: JSON.parse(JSON.stringify(voters)),
       drawing: gameState.drawing.slice()
     };
-    io.emit('startVoting', {
-      players: votingCache.players,
-      drawing: votingCache.drawing
-    });
+    startVoteTimer(room);
+    persistRoom(room, 'startVoting');
+    io.to(room.code).emit('startVoting', startVotingPayload(room));
   } else if (lastPlayer && !roundsCompleted) {
-    setTimeout(() => { startRound(); }, 1000);
+    setTimeout(() => {
+      if (gameState.phase === 'drawing') startRound(room);
+    }, 1000);
+  } else {
+    persistRoom(room, 'nextTurn');
   }
 }
 
 /* ---------------- Voting & scoring ---------------- */
 
+// Votes are checked against the round's participants and can be changed until the deadline
+// (settings.voteSeconds); whoever did not vote is an abstention. With tieBreak 'revote' a tie
+// starts a run-off, and settings.secondTieRule settles a tied run-off.
+
+function clearVoteTimer(room) {
+  if (room.voteTimer) {
+    clearTimeout(room.voteTimer);
+    room.voteTimer = null;
+  }
+  room.gameState.voteDeadline = null;
+}
+
+function startVoteTimer(room, seconds = room.settings.voteSeconds) {
+  const { gameState } = room;
+  clearVoteTimer(room);
+  if (!seconds) return;
+  gameState.voteDeadline = Date.now() + seconds * 1000;
+  room.voteTimer = setTimeout(() => {
+    room.voteTimer = null;
+    if (gameState.phase !== 'voting') return;
+    debugLog(`[SERVER DEBUG] voting deadline passed (${room.code}), calculating results.`);
+    calculateResults(room);
+  }, seconds * 1000);
+}
+
+function startVotingPayload(room) {
+  return {
+    players: publicPlayers(room.votingCache.players),
+    drawing: room.votingCache.drawing,
+    voteDeadline: room.gameState.voteDeadline,
+    voteSeconds: room.settings.voteSeconds,
+    runoff: room.runoff ? { candidates: room.runoff.candidates } : null,
+    questionMasterName: getQuestionMaster(room) ? getQuestionMaster(room).name : null,
+    serverTime: Date.now()
+  };
+}
+
+// Names of everyone who took part in the round (they are the candidates and the voters)
+function votingParticipantNames(room) {
+  return Object.values(room.votingCache.players || {}).map(p => p.name).filter(Boolean);
+}
+
+// Participants who are connected right now but have not voted
+function pendingVoterNames(room) {
+  const { gameState } = room;
+  return votingParticipantNames(room).filter(name => {
+    const id = getIdByNameInPlayers(name, gameState.players);
+    return id && !gameState.players[id].disconnected && !gameState.votes[id];
+  });
+}
+
+// Everyone connected has voted: no point waiting for the deadline
+function calculateResultsIfAllVoted(room) {
+  if (room.gameState.phase !== 'voting') return;
+  if (Object.keys(room.gameState.votes).length === 0) return;
+  if (pendingVoterNames(room).length > 0) return;
+  debugLog('[SERVER DEBUG] All connected players voted, calculating results.');
+  calculateResults(room);
+}
+
 /*
   calculateResults:
   - Tally votes by name
   - Determine top names (handle ties)
   - Require strict majority of votes cast to mark the fake as caught
 */
-function calculateResults() {
+function calculateResults(room) {
+  const { gameState } = room;
+  clearVoteTimer(room);
+
+  // Participants who never voted (disconnected or out of time)
+  const voterNames = new Set(Object.keys(gameState.votes).map(id => gameState.players[id] && gameState.players[id].name));
+  const abstentions = votingParticipantNames(room).filter(name => !voterNames.has(name));
+
   if (!gameState.players[gameState.fakeArtist]) {
-    console.log('[SERVER DEBUG] Fake artist disconnected during round.');
-    io.emit('votingResults', {
+    debugLog('[SERVER DEBUG] Fake artist disconnected during round.');
+    setPhase(room, 'results');
+    room.lastVotingResults = {
       votes: gameState.votes,
       voteCounts: {},
       accusedPlayer: null,
       fakeArtist: gameState.fakeArtist,
       fakeName: "(disconnected)",
       fakeArtistCaught: false,
-      players: gameState.players,
+      players: revealedPlayers(gameState.players),
+      abstentions,
       error: "Fake Artist disconnected"
-    });
-    io.emit('winnerCountdown', {
-      winnerType: 'none',
-      fakeName: "(disconnected)",
-      scores: buildScoresById(),
-      players: gameState.players
-    });
+    };
+    room.lastOutcome = {
+      event: 'winnerCountdown',
+      payload: {
+        winnerType: 'none',
+        fakeName: "(disconnected)",
+        scores: buildScoresById(room),
+        players: revealedPlayers(gameState.players)
+      }
+    };
+    persistRoom(room, 'results-fake-disconnected');
+    io.to(room.code).emit('votingResults', room.lastVotingResults);
+    revealToSpectators(room);
+    io.to(room.code).emit(room.lastOutcome.event, room.lastOutcome.payload);
     return;
   }
 
@@ -311,18 +1181,107 @@ function calculateResults() {
     }
   }
 
-  let accusedName = null;
-  if (topNames.length === 1) accusedName = topNames[0];
+  const tally = { voteCounts, totalVotes, maxVotes, topNames, abstentions };
+
+  if (topNames.length > 1 && room.settings.tieBreak === 'revote') {
+    if (!room.runoff) startRunoff(room, tally);
+    else settleSecondTie(room, tally);
+    return;
+  }
+  finishVoting(room, tally, topNames.length === 1 ? topNames[0] : null, null);
+}
+
+/* A tie in the first vote: everyone votes again, choosing only between the tied names */
+function startRunoff(room, tally) {
+  const { gameState } = room;
+  room.runoff = { candidates: tally.topNames.slice(), firstRoundCounts: tally.voteCounts };
+  gameState.votes = {};
+  setPhase(room, 'voting');
+  const seconds = room.settings.voteSeconds
+    ? Math.max(RUNOFF_MIN_SECONDS, Math.ceil(room.settings.voteSeconds / 2))
+    : 0;
+  startVoteTimer(room, seconds);
+  debugLog(`[SERVER DEBUG] tie in ${room.code} between ${room.runoff.candidates.join(', ')}: starting run-off`);
+  persistRoom(room, 'runoff');
+  io.to(room.code).emit('startVoting', startVotingPayload(room));
+}
+
+/* The run-off tied as well: settings.secondTieRule decides */
+function settleSecondTie(room, tally) {
+  const { gameState } = room;
+  const randomPick = () => tally.topNames[Math.floor(Math.random() * tally.topNames.length)];
+  switch (room.settings.secondTieRule) {
+    case 'random':
+      finishVoting(room, tally, randomPick(), 'random');
+      return;
+    case 'host': {
+      const hostId = getHostId(room);
+      if (hostId && !gameState.players[hostId].disconnected) {
+        askHostToSettleTie(room, tally);
+      } else {
+        // nobody to ask
+        finishVoting(room, tally, randomPick(), 'random');
+      }
+      return;
+    }
+    default:
+      finishVoting(room, tally, null, 'fakeWins');
+  }
+}
+
+function emitTieDecision(room) {
+  const candidates = room.pendingTie.tally.topNames;
+  io.to(room.code).emit('tieDecisionPending', { candidates, hostName: room.hostName });
+  const hostId = getHostId(room);
+  if (hostId) io.to(hostId).emit('tieDecisionPrompt', { candidates });
+}
+
+// Waits for resolveTie from the host; falls back to a random pick if they take too long
+function askHostToSettleTie(room, tally) {
+  const { gameState } = room;
+  // A restored room is in tieDecision already and only needs its timer and prompt again
+  if (gameState.phase !== 'tieDecision') setPhase(room, 'tieDecision');
+  room.pendingTie = { tally };
+  if (room.tieTimer) clearTimeout(room.tieTimer);
+  room.tieTimer = setTimeout(() => {
+    room.tieTimer = null;
+    if (gameState.phase !== 'tieDecision') return;
+    debugLog(`[SERVER DEBUG] host did not settle the tie in ${room.code}, picking at random`);
+    const names = tally.topNames;
+    finishVoting(room, tally, names[Math.floor(Math.random() * names.length)], 'random');
+  }, HOST_TIE_DECISION_MS);
+  persistRoom(room, 'tieDecision');
+  emitTieDecision(room);
+}
+
+/*
+  finishVoting:
+  Turns the tally into a verdict. accusedName is the single top name (or null); when
+  tieResolvedBy is set, the accusation came from the tie rule and counts as a verdict
+  without needing a majority.
+*/
+function finishVoting(room, tally, accusedName, tieResolvedBy) {
+  const { gameState } = room;
+  const { voteCounts, totalVotes, maxVotes, topNames, abstentions } = tally;
+  const runoff = room.runoff;
+  room.runoff = null;
+  room.pendingTie = null;
+  if (room.tieTimer) {
+    clearTimeout(room.tieTimer);
+    room.tieTimer = null;
+  }
+  setPhase(room, 'results');
 
-  const accusedPlayer = getIdByNameInPlayers(accusedName);
-  const fakeName = getFakeArtistName();
+  const accusedPlayer = getIdByNameInPlayers(accusedName, gameState.players);
+  const fakeName = getFakeArtistName(room);
   const normalizeName = x => (typeof x === "string" ? x.trim().toLowerCase() : "");
 
   // require strict majority (>50% of votes cast)
-  const hasMajority = (maxVotes > totalVotes / 2);
+  const hasMajority = !!tieResolvedBy || (maxVotes > totalVotes / 2);
   const fakeArtistCaught = accusedName && hasMajority && (normalizeName(accusedName) === normalizeName(fakeName));
 
-  console.log('[SERVER DEBUG] votingResults', {
+  debugLog('[SERVER DEBUG] votingResults', {
+    room: room.code,
     votes: { ...gameState.votes },
     voteCounts: { ...voteCounts },
     totalVotes,
@@ -334,10 +1293,13 @@ function calculateResults() {
     fakeName,
     hasMajority,
     fakeArtistCaught,
+    abstentions,
+    runoff,
+    tieResolvedBy,
     players: Object.fromEntries(Object.entries(gameState.players).map(([id, p]) => [id, p.name]))
   });
 
-  io.emit('votingResults', {
+  room.lastVotingResults = {
     votes: gameState.votes,
     voteCounts,
     accusedPlayer,
@@ -345,156 +1307,341 @@ function calculateResults() {
     fakeArtist: gameState.fakeArtist,
     fakeArtistName: fakeName,
     fakeArtistCaught,
-    players: gameState.players,
+    players: revealedPlayers(gameState.players),
     totalVotes,
     maxVotes,
-    topNames
-  });
+    topNames,
+    abstentions,
+    runoff: runoff ? { candidates: runoff.candidates, firstRoundCounts: runoff.firstRoundCounts } : null,
+    tieResolvedBy
+  };
+  io.to(room.code).emit('votingResults', room.lastVotingResults);
+  revealToSpectators(room);
 
   // Build required set of NAMES for next-round unanimous click
-  nextRoundRequiredNames.clear();
-  nextRoundReadyNames.clear();
+  room.nextRoundRequiredNames.clear();
+  room.nextRoundReadyNames.clear();
 
+  const { votingCache } = room;
+  // Only connected players: whoever left mid-round must not hold everyone on the results
   if (votingCache && votingCache.players && Object.keys(votingCache.players).length) {
     Object.values(votingCache.players).forEach(p => {
-      if (p && p.name) nextRoundRequiredNames.add(p.name);
+      const seat = p && p.name ? gameState.players[getIdByNameInPlayers(p.name, gameState.players)] : null;
+      if (seat && !seat.disconnected) room.nextRoundRequiredNames.add(p.name);
     });
   } else {
     Object.values(gameState.players).forEach(p => {
-      if (p && !p.disconnected && p.name) nextRoundRequiredNames.add(p.name);
+      if (p && !p.disconnected && p.name) room.nextRoundRequiredNames.add(p.name);
     });
   }
 
   // Emit readiness update
-  io.emit('nextRoundReadyUpdate', {
-    readyNames: Array.from(nextRoundReadyNames),
-    readyCount: nextRoundReadyNames.size,
-    totalNeeded: nextRoundRequiredNames.size,
-    requiredNames: Array.from(nextRoundRequiredNames),
-    players: gameState.players
-  });
+  emitNextRoundReadyUpdate(room);
 
+  const votingResults = room.lastVotingResults;
   setTimeout(() => {
+    // The host may have reset the room to the lobby during the pause
+    if (gameState.phase !== 'results' || room.lastVotingResults !== votingResults) return;
     if (fakeArtistCaught) {
+      setPhase(room, 'fakeGuess');
+      startGuessTimer(room);
+      persistRoom(room, 'fakeGuess');
+
       // Prompt fake artist to guess
-      io.to(gameState.fakeArtist).emit('fakeGuessPrompt', { secretCategory: gameState.category });
+      io.to(gameState.fakeArtist).emit('fakeGuessPrompt', fakeGuessPromptPayload(room));
 
-      io.emit('waitForFakeGuess', {
-        fakeName,
-        message: `${fakeName} was Caught!`,
-        subMessage: `Waiting for ${fakeName} to guess the Secret Word`
-      });
+      io.to(room.code).emit('waitForFakeGuess', waitForFakeGuessPayload(room));
     } else {
-      // Fake not caught: award fake +2 (by name)
-      const fName = getFakeArtistName();
-      if (fName) {
-        if (gameState.scores[fName] === undefined) gameState.scores[fName] = 0;
-        gameState.scores[fName] += 2;
-        console.log(`[SERVER DEBUG] Awarded points to fake (by name): ${fName} => ${gameState.scores[fName]}`);
-        logScoresContext('after-award-fake-in-calculateResults');
-      } else {
-        console.log('[SERVER DEBUG] Unable to determine fake name to award points.');
-      }
+      // Fake not caught: fake wins points.fakeNotCaught (by name)
+      const result = scoreRound(room, { fakeCaught: false });
+      debugLog(`[SERVER DEBUG] Awarded ${result.pointsAwarded} point(s) to fake (by name): ${fakeName} => ${gameState.scores[fakeName]}`);
+      logScoresContext(room, 'after-award-fake-in-calculateResults');
+      persistRoom(room, 'award-fake');
 
       // Immediately check for champion and announce if threshold reached
-      if (checkChampionAndTriggerIfHit('calculateResults-after-award-fake')) {
+      if (checkChampionAndTriggerIfHit(room, 'calculateResults-after-award-fake')) {
         return; // triggerVictoryOrLobby performed inside check
       }
 
       // Broadcast updated scores (socket-id keyed)
-      io.emit('scoresUpdated', { scores: buildScoresById(), players: gameState.players });
+      io.to(room.code).emit('scoresUpdated', { scores: buildScoresById(room), players: publicPlayers(gameState.players) });
 
       // Emit winner modal and wait for unanimous clients to click.
-      io.emit('winnerCountdown', {
-        winnerType: 'fake',
-        fakeName,
-        scores: buildScoresById(),
-        players: gameState.players
-      });
+      room.lastOutcome = {
+        event: 'winnerCountdown',
+        payload: {
+          winnerType: 'fake',
+          fakeName,
+          points: result.pointsAwarded,
+          roundId: result.roundId,
+          championThreshold: room.settings.championThreshold,
+          scores: buildScoresById(room),
+          players: revealedPlayers(gameState.players)
+        }
+      };
+      persistRoom(room, 'results-fake-not-caught');
+      io.to(room.code).emit(room.lastOutcome.event, room.lastOutcome.payload);
     }
   }, 1000);
 }
 
-/* When fake artist submits a guess (after being prompted) */
-function handleFakeGuess(socket, guessText) {
-  const normalizedGuess = (guessText ?? '').trim().toLowerCase();
-  const normalizedSecret = (gameState.secretWord ?? '').trim().toLowerCase();
-  const fakeName = getFakeArtistName();
+/*
+  scoreRound:
+  Runs the lobby's rules (applyRoundOutcome) over the round's participants by name and
+  stores the new authoritative scores, then archives the round (result.roundId, null if
+  archiving failed). outcome.guess is the
+  guessInfo of handleFakeGuess (absent when the fake was not caught). Champion titles are
+  not taken from the helper: triggerVictoryOrLobby crowns the top scorers once the
+  threshold is hit.
+*/
+function scoreRound(room, outcome) {
+  const { gameState, votingCache } = room;
+  const fakeName = getFakeArtistName(room);
+
+  // Participants: the voting snapshot if available, otherwise the connected players
+  let source;
+  if (votingCache && votingCache.players && Object.keys(votingCache.players).length) {
+    source = Object.values(votingCache.players);
+  } else {
+    source = Object.values(gameState.players).filter(p => p && !p.disconnected);
+  }
+  const participants = {};
+  source.forEach(p => {
+    if (p && p.name) participants[p.name.trim()] = { name: p.name.trim() };
+  });
+  participants[fakeName] = { name: fakeName };
+  const qm = getQuestionMaster(room);
+  if (qm) participants[qm.name] = { name: qm.name };
+
+  const result = applyRoundOutcome(gameState.scores, participants, {}, {
+    fakeId: fakeName,
+    fakeCaught: !!outcome.fakeCaught,
+    fakeGuessedCorrectly: !!outcome.fakeGuessedCorrectly,
+    questionMasterId: qm ? qm.name : null,
+    rules: room.settings
+  });
+  gameState.scores = result.scoresById;
+  result.roundId = archiveRound(room, outcome, result);
+  return result;
+}
+
+/* ---------------- Round archive ---------------- */
+
+function buildRoundRecord(room, outcome, result) {
+  const { gameState, votingCache } = room;
+  const results = room.lastVotingResults || {};
+  const voters = (votingCache && Object.keys(votingCache.players || {}).length) ? votingCache.players : gameState.players;
+  const nameOf = id => (gameState.players[id] || voters[id] || {}).name || null;
+  const qm = getQuestionMaster(room);
+
+  const players = Object.values(voters).map(p => ({
+    name: p.name,
+    color: p.color,
+    role: p.isFakeArtist ? 'fake' : 'artist'
+  }));
+  if (qm) players.push({ name: qm.name, color: qm.color, role: 'questionMaster' });
+
+  const guess = outcome.guess
+    ? { guess: outcome.guess.guess, accepted: outcome.guess.guessAccepted, reason: outcome.guess.guessReason, reasonText: outcome.guess.guessReasonText }
+    : null;
+  const fakeWon = !outcome.fakeCaught || !!outcome.fakeGuessedCorrectly;
+
+  return {
+    id: 'r_' + crypto.randomBytes(6).toString('hex'),
+    roomCode: room.code,
+    startedAt: gameState.roundStartedAt,
+    endedAt: new Date().toISOString(),
+    category: gameState.category,
+    secretWord: gameState.secretWord,
+    players,
+    fakeName: getFakeArtistName(room),
+    questionMasterName: qm ? qm.name : null,
+    votes: Object.entries(gameState.votes).map(([voterId, votedFor]) => ({ voter: nameOf(voterId) || voterId, votedFor })),
+    voteCounts: results.voteCounts || {},
+    abstentions: results.abstentions || [],
+    runoff: results.runoff || null,
+    tieResolvedBy: results.tieResolvedBy || null,
+    accusedName: results.accusedPlayerName || null,
+    // Same rule as finishVoting: a strict majority, or a settled tie
+    accusationHeld: !!results.accusedPlayerName && (!!results.tieResolvedBy || results.maxVotes > results.totalVotes / 2),
+    fakeCaught: !!outcome.fakeCaught,
+    guess,
+    winnerType: fakeWon ? 'fake' : 'artists',
+    winners: result.winners,
+    points: result.pointsAwarded,
+    scoresAfter: { ...gameState.scores },
+    rules: room.settings,
+    drawingFormat: DRAWING_FORMAT,
+    drawing: gameState.drawing.map(line => ({
+      playerName: line.playerName || nameOf(line.playerId),
+      color: line.color,
+      points: line.points
+    }))
+  };
+}
+
+// Returns the archived round's id, or null when it could not be archived
+function archiveRound(room, outcome, result) {
+  try {
+    const record = buildRoundRecord(room, outcome, result);
+    if (!roundArchive.add(record)) {
+      console.error(`[SERVER ERROR] failed to archive round in ${room.code}`);
+      return null;
+    }
+    debugLog(`[SERVER DEBUG] archived round ${record.id} (${room.code}): ${record.secretWord}, ${record.winnerType} won`);
+    return record.id;
+  } catch (e) {
+    // The archive must never get in the way of finishing the round
+    console.error('[SERVER ERROR] in archiveRound', e);
+    return null;
+  }
+}
+
+/* ---------------- Fake guess ---------------- */
+
+function clearGuessTimer(room) {
+  if (room.guessTimer) {
+    clearTimeout(room.guessTimer);
+    room.guessTimer = null;
+  }
+  room.gameState.guessDeadline = null;
+}
+
+// When the deadline passes without a guess, the fake loses the round as if they guessed wrong
+function startGuessTimer(room) {
+  const { gameState } = room;
+  clearGuessTimer(room);
+  const seconds = room.settings.guessSeconds;
+  if (!seconds) return;
+  gameState.guessDeadline = Date.now() + seconds * 1000;
+  room.guessTimer = setTimeout(() => {
+    room.guessTimer = null;
+    if (gameState.phase !== 'fakeGuess') return;
+    debugLog(`[SERVER DEBUG] fake guess timed out (${room.code})`);
+    handleFakeGuess(room, null, { timedOut: true });
+  }, seconds * 1000);
+}
 
-  if (normalizedGuess && normalizedGuess === normalizedSecret) {
-    // Fake guessed correctly -> fake gets +2
-    if (fakeName) {
-      if (gameState.scores[fakeName] === undefined) gameState.scores[fakeName] = 0;
-      gameState.scores[fakeName] += 2;
-      console.log(`[SERVER DEBUG] fake guessed correctly: ${fakeName} => ${gameState.scores[fakeName]}`);
-      logScoresContext('after-fake-correct-guess');
-    }
-    io.emit('scoresUpdated', { scores: buildScoresById(), players: gameState.players });
-    io.emit('winnerSteal', { winnerType: 'fake', fakeName, scores: buildScoresById(), players: gameState.players });
+function fakeGuessPromptPayload(room) {
+  return {
+    secretCategory: room.gameState.category,
+    guessDeadline: room.gameState.guessDeadline,
+    serverTime: Date.now()
+  };
+}
+
+function waitForFakeGuessPayload(room) {
+  const fakeName = getFakeArtistName(room);
+  return {
+    fakeName,
+    message: `${fakeName} was Caught!`,
+    subMessage: `Waiting for ${fakeName} to guess the Secret Word`,
+    guessDeadline: room.gameState.guessDeadline,
+    serverTime: Date.now()
+  };
+}
+
+/*
+  handleFakeGuess:
+  Scores the caught fake's guess (or the lack of one: pass { timedOut: true }). The
+  outcome payload carries the guess, whether it was accepted, and why.
+*/
+function handleFakeGuess(room, guessText, { timedOut = false } = {}) {
+  const { gameState } = room;
+  const fakeName = getFakeArtistName(room);
+  clearGuessTimer(room);
+  setPhase(room, 'results');
+
+  const guess = timedOut ? '' : (typeof guessText === 'string' ? guessText.trim() : '');
+  const match = timedOut
+    ? timedOutGuess()
+    : matchGuess(guess, gameState.secretWord, gameState.secretAliases, getWordPool(room).map(e => e.word));
+  debugLog(`[SERVER DEBUG] fake guess in ${room.code}: "${guess}" vs "${gameState.secretWord}" => ${match.reason}`);
+  const guessInfo = {
+    guess,
+    secretWord: gameState.secretWord,
+    guessAccepted: match.accepted,
+    guessReason: match.reason,
+    guessReasonText: match.reasonText
+  };
+
+  if (match.accepted) {
+    // Fake guessed correctly -> fake wins points.fakeGuessedWord
+    const result = scoreRound(room, { fakeCaught: true, fakeGuessedCorrectly: true, guess: guessInfo });
+    debugLog(`[SERVER DEBUG] fake guessed correctly: ${fakeName} => ${gameState.scores[fakeName]}`);
+    logScoresContext(room, 'after-fake-correct-guess');
+
+    room.lastOutcome = {
+      event: 'winnerSteal',
+      payload: {
+        winnerType: 'fake',
+        fakeName,
+        points: result.pointsAwarded,
+        roundId: result.roundId,
+        championThreshold: room.settings.championThreshold,
+        ...guessInfo,
+        scores: buildScoresById(room),
+        players: revealedPlayers(gameState.players)
+      }
+    };
+    persistRoom(room, 'fake-correct-guess');
+    io.to(room.code).emit('scoresUpdated', { scores: buildScoresById(room), players: publicPlayers(gameState.players) });
+    io.to(room.code).emit(room.lastOutcome.event, room.lastOutcome.payload);
 
     // Check champion after awarding
-    if (checkChampionAndTriggerIfHit('handleFakeGuess-fake-correct')) {
-      return;
-    }
+    checkChampionAndTriggerIfHit(room, 'handleFakeGuess-fake-correct');
     return;
   }
 
-  // Fake guessed wrong: award every other participant +1 (use votingCache snapshot if available)
-  let participantNames = [];
-  if (votingCache && votingCache.players && Object.keys(votingCache.players).length) {
-    participantNames = Object.values(votingCache.players).map(p => p && p.name ? p.name.trim() : null).filter(Boolean);
-  } else {
-    participantNames = Object.values(gameState.players)
-      .filter(p => p && p.name && !p.disconnected)
-      .map(p => p.name.trim());
-  }
-
-  const fakeNorm = (fakeName || '').trim().toLowerCase();
-  const awarded = [];
-  participantNames.forEach(name => {
-    if (!name) return;
-    if (name.trim().toLowerCase() === fakeNorm) return;
-    if (gameState.scores[name] === undefined) gameState.scores[name] = 0;
-    gameState.scores[name] += 1;
-    awarded.push(name);
-  });
-
-  console.log('[SERVER DEBUG] Awarded points to (real artists):', awarded);
-  console.log('[SERVER DEBUG] SCORES after fake wrong guess (by name):', JSON.stringify(gameState.scores));
-  logScoresContext('after-award-real-artists-fake-wrong');
+  // Fake guessed wrong: every other participant wins points.artistsCatchFake
+  const result = scoreRound(room, { fakeCaught: true, fakeGuessedCorrectly: false, guess: guessInfo });
+  const awarded = result.winners;
+
+  debugLog('[SERVER DEBUG] Awarded points to (real artists):', awarded);
+  debugLog('[SERVER DEBUG] SCORES after fake wrong guess (by name):', JSON.stringify(gameState.scores));
+  logScoresContext(room, 'after-award-real-artists-fake-wrong');
+
+  room.lastOutcome = {
+    event: 'winnerCountdown',
+    payload: {
+      winnerType: 'artists',
+      winnerNames: awarded,
+      fakeName: fakeName,
+      points: result.pointsAwarded,
+      roundId: result.roundId,
+      championThreshold: room.settings.championThreshold,
+      ...guessInfo,
+      scores: buildScoresById(room),
+      players: revealedPlayers(gameState.players)
+    }
+  };
+  persistRoom(room, 'award-real-artists');
 
-  io.emit('scoresUpdated', { scores: buildScoresById(), players: gameState.players });
+  io.to(room.code).emit('scoresUpdated', { scores: buildScoresById(room), players: publicPlayers(gameState.players) });
 
-  io.emit('winnerCountdown', {
-    winnerType: 'artists',
-    winnerNames: awarded,
-    fakeName: fakeName,
-    scores: buildScoresById(),
-    players: gameState.players
-  });
+  io.to(room.code).emit(room.lastOutcome.event, room.lastOutcome.payload);
 
   // Check champion after awarding
-  if (checkChampionAndTriggerIfHit('handleFakeGuess-fake-wrong')) {
-    return;
-  }
+  checkChampionAndTriggerIfHit(room, 'handleFakeGuess-fake-wrong');
 }
 
 /* ---------------- Victory / Lobby ---------------- */
 
-function triggerVictoryOrLobby() {
-  if (victoryInProgress) {
-    console.log('[SERVER DEBUG] triggerVictoryOrLobby called but victory already in progress — ignoring.');
+function triggerVictoryOrLobby(room) {
+  const { gameState } = room;
+  if (room.victoryInProgress) {
+    debugLog('[SERVER DEBUG] triggerVictoryOrLobby called but victory already in progress — ignoring.');
     return;
   }
-  victoryInProgress = true;
+  room.victoryInProgress = true;
 
   try {
-    logScoresContext('triggerVictoryOrLobby-entry');
+    logScoresContext(room, 'triggerVictoryOrLobby-entry');
 
-    if (Object.values(gameState.scores).some(score => score >= CHAMPION_THRESHOLD)) {
+    if (Object.values(gameState.scores).some(score => score >= room.settings.championThreshold)) {
       const maxScore = Math.max(...Object.values(gameState.scores));
       const winners = Object.keys(gameState.scores).filter(n => gameState.scores[n] === maxScore);
-      console.log('[SERVER DEBUG] victory', { champions: winners, scores: { ...gameState.scores } });
+      debugLog('[SERVER DEBUG] victory', { room: room.code, champions: winners, scores: { ...gameState.scores } });
 
       // Update champion titles and history
       winners.forEach(name => {
@@ -507,302 +1654,1247 @@ function triggerVictoryOrLobby() {
         time: (new Date()).toISOString()
       });
 
-      io.emit('victory', {
+      room.lastVictory = {
         champions: winners,
-        scores: buildScoresById(),
-        players: gameState.players,
-        championTitles: gameState.championTitles
-      });
-
-      resetGame();
+        scores: buildScoresById(room),
+        players: revealedPlayers(gameState.players),
+        championTitles: gameState.championTitles,
+        championThreshold: room.settings.championThreshold
+      };
+      io.to(room.code).emit('victory', room.lastVictory);
+
+      resetGame(room);
+      setPhase(room, 'victory');
+      persistRoom(room, 'victory');
     } else {
-      gameState.gameStarted = false;
+      setPhase(room, 'lobby');
       gameState.readyPlayers.clear();
-      io.emit('returnToLobby');
-      victoryInProgress = false; // no champion: clear flag
+      admitWaitingPlayers(room);
+      persistRoom(room, 'returnToLobby');
+      io.to(room.code).emit('returnToLobby');
+      room.victoryInProgress = false; // no champion: clear flag
     }
   } catch (e) {
     console.error('[SERVER ERROR] in triggerVictoryOrLobby', e);
-    victoryInProgress = false;
+    room.victoryInProgress = false;
   }
 }
 
-function resetGame() {
-  gameState.gameStarted = false;
+// Clears the finished game's round state; the caller moves the room on (setPhase 'victory')
+function resetGame(room) {
+  const { gameState } = room;
   gameState.currentRound = 0;
   gameState.currentTurn = null;
+  clearTurnTimer(room);
+  clearGuessTimer(room);
+  if (room.wordPickTimer) {
+    clearTimeout(room.wordPickTimer);
+    room.wordPickTimer = null;
+  }
   gameState.secretWord = null;
+  gameState.secretAliases = [];
   gameState.category = null;
   gameState.fakeArtist = null;
   gameState.drawing = [];
   gameState.votes = {};
   gameState.readyPlayers.clear();
   gameState.lobbyReadies.clear();
+  room.runoff = null;
+  room.pendingTie = null;
 
   Object.keys(gameState.players).forEach(playerId => {
     gameState.players[playerId].ready = false;
     gameState.players[playerId].hasSeenRole = false;
     gameState.players[playerId].isFakeArtist = false;
+    gameState.players[playerId].isQuestionMaster = false;
     gameState.players[playerId].lobbyReady = false;
-    gameState.players[playerId].disconnected = false;
   });
 
+  admitWaitingPlayers(room);
+
   // KEEP gameState.scores (persist across rounds until victory)
   // Clear victoryInProgress so new games can trigger new victories later
-  victoryInProgress = false;
+  room.victoryInProgress = false;
+}
+
+/* ---------------- Joining & leaving ---------------- */
+
+const NAME_MAX_LENGTH = 20;
+// Names that would read like system messages or roles in the UI
+const RESERVED_NAMES = new Set([
+  'admin', 'host', 'server', 'system', 'moderator', 'spectator', 'nobody', 'everyone',
+  'fake', 'fake artist', 'the fake artist', 'real artist', 'unknown', '(unknown)', '(disconnected)', '?', '(?)'
+]);
+
+function generateSessionToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// bot: socket.data.bot of a bot's socket ({ strategy }), null for people
+function createPlayer(room, id, name, sessionToken, bot = null) {
+  const color = colors[Object.keys(room.gameState.players).length % colors.length];
+  const player = { id, name, color, isFakeArtist:false, ready:false, hasSeenRole:false, lobbyReady:false, disconnected:false, sessionToken };
+  if (bot) {
+    player.isBot = true;
+    player.botStrategy = bot.strategy; // so a restored game can bring the bot back as it was
+  }
+  return player;
+}
+
+/*
+  validatePlayerName:
+  Returns { name } with the cleaned-up name, or { error } with a message index.html can show.
+*/
+function validatePlayerName(raw) {
+  if (typeof raw !== 'string') return { error: 'Please enter your name' };
+  // collapse whitespace (including control characters) and trim
+  const name = raw.replace(/[\s\u0000-\u001f\u007f]+/g, ' ').trim();
+  if (!name) return { error: 'Please enter your name' };
+  if (name.length > NAME_MAX_LENGTH) return { error: `Names can be at most ${NAME_MAX_LENGTH} characters` };
+  if (RESERVED_NAMES.has(name.toLowerCase())) return { error: `"${name}" is reserved, please pick another name` };
+  return { name };
+}
+
+/*
+  addPlayerToRoom:
+  - a name already seated in the room can only be reclaimed with that seat's session token
+  - otherwise the name must be unique in the room (case-insensitive)
+  Returns false (after emitting 'error') when the join is refused.
+*/
+function addPlayerToRoom(room, socket, playerName, sessionToken) {
+  const { gameState } = room;
+
+  const existingId = getIdByNameInPlayers(playerName, gameState.players);
+  const existing = existingId ? gameState.players[existingId] : null;
+  if (existing && (!sessionToken || existing.sessionToken !== sessionToken)) {
+    debugLog(`[SERVER DEBUG] join refused (${room.code}): name "${playerName}" is taken and token does not match`);
+    socket.emit('error', `The name "${existing.name}" is already taken in this room`);
+    return false;
+  }
+  const waitingId = existing ? null : getIdByNameInPlayers(playerName, room.waitingPlayers);
+  const waiting = waitingId ? room.waitingPlayers[waitingId] : null;
+  if (waiting && (!sessionToken || waiting.sessionToken !== sessionToken)) {
+    debugLog(`[SERVER DEBUG] join refused (${room.code}): name "${playerName}" is waiting and token does not match`);
+    socket.emit('error', `The name "${waiting.name}" is already taken in this room`);
+    return false;
+  }
+  // Bots are only ever added by the host, so the lock is not meant for them
+  if (!existing && !waiting && room.locked && !socket.data.bot) {
+    debugLog(`[SERVER DEBUG] join refused (${room.code}): room is locked`);
+    socket.emit('error', `Room ${room.code} is locked by the host`);
+    return false;
+  }
+
+  // A socket belongs to at most one room: leave the previous one first
+  const previous = getSocketRoom(socket);
+  if (previous && previous !== room) {
+    handlePlayerLeave(previous, socket);
+    socket.leave(previous.code);
+  }
+  socket.data.roomCode = room.code;
+  scheduleRoomCleanup(room);
+
+  // Mid-game newcomers wait for the next game instead of taking a seat in this one
+  if (!existing && gameState.gameStarted) {
+    addToWaitingList(room, socket, playerName, waiting);
+    return true;
+  }
+  if (waiting) delete room.waitingPlayers[waiting.id];
+  socket.join(room.code);
+
+  // reconnect with a valid session token
+  if (existing) {
+    remapPlayerId(room, existing.id, socket.id);
+    delete gameState.players[existing.id];
+    existing.id = socket.id;
+    existing.disconnected = false;
+    gameState.players[socket.id] = existing;
+  } else {
+    gameState.players[socket.id] = createPlayer(room, socket.id, playerName, generateSessionToken(), socket.data.bot);
+  }
+
+  // Ensure score entry for name
+  if (playerName && gameState.scores[playerName] === undefined) {
+    gameState.scores[playerName] = 0;
+    debugLog('[SERVER DEBUG] Initialized score for', playerName, '=> 0');
+    persistRoom(room, 'new-player');
+  }
+
+  const outPlayer = gameState.players[socket.id];
+  socket.emit('playerAssigned', { playerId: outPlayer.id, color: outPlayer.color, playerName: outPlayer.name, roomCode: room.code, sessionToken: outPlayer.sessionToken });
+
+  socket.emit('settingsUpdated', room.settings);
+  socket.emit('wordPacksUpdated', wordPacksPayload(room));
+
+  // First joiner hosts; a returning host (by name) takes the role back
+  const hostId = getHostId(room);
+  const hostPresent = hostId && !gameState.players[hostId].disconnected;
+  if (!room.hostName || hostId === socket.id || (!hostPresent && !room.hostTimer)) {
+    setHost(room, outPlayer.name);
+  } else {
+    socket.emit('roomUpdated', { hostId, hostName: room.hostName, locked: room.locked });
+  }
+
+  updateAllPlayers(room);
+  socket.emit('syncState', syncStatePayload(room, socket));
+  return true;
+}
+
+/*
+  syncStatePayload:
+  Everything a page needs to render the room's current phase, sent as syncState to players
+  and spectators whenever they (re)join and on requestState. Only the current phase's
+  section is filled in. Secrets follow the live events: the role once the player is past
+  "Reveal Your Role" (never for spectators), the fake and the votes from the results on.
+*/
+function syncStatePayload(room, socket) {
+  const { gameState } = room;
+  const { phase } = gameState;
+  const player = gameState.players[socket.id] || null;
+  const spectator = room.spectators[socket.id] || null;
+  const hostId = getHostId(room);
+  const state = {
+    phase,
+    roomCode: room.code,
+    you: { kind: player ? 'player' : 'spectator', id: socket.id, name: (player || spectator || {}).name || null },
+    hostId,
+    hostName: room.hostName,
+    locked: room.locked,
+    settings: room.settings,
+    players: publicPlayers(gameState.players),
+    scores: buildScoresById(room),
+    spectators: Object.values(room.spectators).map(s => s.name),
+    round: {
+      round: gameState.currentRound,
+      totalRounds: gameState.totalRounds,
+      currentTurn: gameState.currentTurn,
+      turnDeadline: gameState.turnDeadline,
+      turnSeconds: room.settings.turnSeconds
+    },
+    drawing: [],
+    role: null,
+    reveal: spectator ? spectatorRevealPayload(room) : null,
+    serverTime: Date.now()
+  };
+
+  // The board while it is drawn on, then the drawing the round is voted on
+  if (phase === 'drawing') state.drawing = gameState.drawing;
+  else if (['voting', 'tieDecision', 'fakeGuess', 'results'].includes(phase)) state.drawing = room.votingCache.drawing;
+
+  // During role reveal, keep the "Reveal Your Role" step unless they already got past it;
+  // while the Question Master is still picking there is no role to show yet
+  if (player && isGamePhase(phase) && phase !== 'wordPick' && (phase !== 'roleReveal' || player.ready)) {
+    state.role = rolePayload(room, player);
+  }
+
+  switch (phase) {
+    case 'lobby':
+      state.lobby = { lobbyReadies: Array.from(gameState.lobbyReadies) };
+      break;
+    case 'victory':
+      state.lobby = { lobbyReadies: Array.from(gameState.lobbyReadies) };
+      state.victory = room.lastVictory;
+      break;
+    case 'wordPick': {
+      const qm = getQuestionMaster(room);
+      state.wordPick = {
+        questionMasterName: qm ? qm.name : null,
+        prompt: player && player.isQuestionMaster ? questionMasterPromptPayload(room) : null
+      };
+      break;
+    }
+    case 'roleReveal':
+      state.roleReveal = { readyPlayers: Array.from(gameState.readyPlayers) };
+      break;
+    case 'voting':
+      state.voting = {
+        ...startVotingPayload(room),
+        pendingNames: pendingVoterNames(room),
+        myVote: gameState.votes[socket.id] || null
+      };
+      break;
+    case 'tieDecision':
+      state.tie = {
+        candidates: room.pendingTie ? room.pendingTie.tally.topNames : [],
+        hostName: room.hostName,
+        prompt: !!hostId && hostId === socket.id
+      };
+      break;
+    case 'fakeGuess':
+      state.fakeGuess = {
+        ...waitForFakeGuessPayload(room),
+        prompt: socket.id === gameState.fakeArtist ? fakeGuessPromptPayload(room) : null
+      };
+      state.results = { votingResults: room.lastVotingResults, outcome: null, nextRound: null };
+      break;
+    case 'results':
+      state.results = {
+        votingResults: room.lastVotingResults,
+        outcome: room.lastOutcome,
+        nextRound: nextRoundReadyPayload(room)
+      };
+      break;
+    default:
+      break;
+  }
+  return state;
+}
+
+function handlePlayerLeave(room, socket) {
+  const { gameState } = room;
+  if (room.spectators[socket.id]) {
+    delete room.spectators[socket.id];
+    emitSpectatorsUpdated(room);
+    return;
+  }
+  // Keep a waiting place across reloads and dropped connections; admitWaitingPlayers skips it if they never return
+  if (room.waitingPlayers[socket.id]) {
+    room.waitingPlayers[socket.id].disconnected = true;
+    emitWaitingListUpdated(room);
+    return;
+  }
+  if (!gameState.players[socket.id]) return;
+  const pname = gameState.players[socket.id].name;
+  if (isHost(room, socket)) scheduleHostHandover(room);
+
+  if (!gameState.gameStarted) {
+    debugLog(`[SERVER DEBUG] disconnect in lobby (${room.code}): remove ${socket.id}`);
+    delete gameState.players[socket.id];
+    gameState.readyPlayers.delete(socket.id);
+    gameState.lobbyReadies.delete(socket.id);
+    updateAllPlayers(room);
+  } else {
+    debugLog(`[SERVER DEBUG] disconnect in game (${room.code}): mark as disconnected ${socket.id}`);
+    gameState.players[socket.id].disconnected = true;
+    updateAllPlayers(room);
+    // They may have been the last one we were waiting on
+    if (gameState.phase === 'voting') {
+      setTimeout(() => calculateResultsIfAllVoted(room), RECONNECT_GRACE_MS);
+    } else if (gameState.phase === 'roleReveal') {
+      setTimeout(() => startDrawingIfAllReady(room), RECONNECT_GRACE_MS);
+    } else if (gameState.phase === 'drawing' && gameState.currentTurn === socket.id) {
+      // Without a turn limit nothing else would pass their turn on (a reconnect remaps currentTurn)
+      setTimeout(() => {
+        if (gameState.phase === 'drawing' && gameState.currentTurn === socket.id) nextTurn(room);
+      }, RECONNECT_GRACE_MS);
+    }
+  }
+
+  // If disconnected player's NAME was required to continue, remove them so they don't block
+  if (pname && room.nextRoundRequiredNames.has(pname)) {
+    room.nextRoundRequiredNames.delete(pname);
+    room.nextRoundReadyNames.delete(pname);
+
+    emitNextRoundReadyUpdate(room);
+
+    // if removal makes everyone else ready (and the round's outcome is in), start the game
+    const canContinue = gameState.phase === 'results' && !!room.lastOutcome;
+    if (canContinue && room.nextRoundRequiredNames.size > 0 && room.nextRoundReadyNames.size === room.nextRoundRequiredNames.size) {
+      debugLog('[SERVER DEBUG] After disconnect removal, all remaining required players are ready. Starting new game.');
+      room.nextRoundReadyNames.clear();
+      room.nextRoundRequiredNames.clear();
+      startNewGame(room);
+    }
+  }
+}
+
+/* ---------------- Waiting list ---------------- */
+
+// Players who join mid-game wait in room.waitingPlayers until the next game starts or the
+// room returns to the lobby, so turns, ready-ups and votes never wait on them.
+
+function waitingListPayload(room) {
+  const waiting = Object.values(room.waitingPlayers)
+    .filter(w => !w.disconnected)
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+  return { waitingNames: waiting.map(w => w.name) };
+}
+
+function emitWaitingListUpdated(room) {
+  const payload = waitingListPayload(room);
+  Object.values(room.waitingPlayers).forEach(w => {
+    if (!w.disconnected) io.to(w.id).emit('waitingListUpdated', payload);
+  });
+}
+
+/*
+  addToWaitingList:
+  Someone joined while a game is running. They stay out of the room's broadcasts and
+  gameState.players (so nextTurn, playerReady and submitVote never count them) until
+  admitWaitingPlayers seats them. previous is their own waiting entry when they come back
+  with its session token (a reload or a new connection); it keeps its place in the queue.
+*/
+function addToWaitingList(room, socket, name, previous = null) {
+  const entry = previous || { name, sessionToken: generateSessionToken(), joinedAt: Date.now() };
+  if (previous) delete room.waitingPlayers[previous.id];
+  entry.id = socket.id;
+  entry.disconnected = false;
+  room.waitingPlayers[socket.id] = entry;
+  debugLog(`[SERVER DEBUG] ${entry.name} (${socket.id}) waits for the next game in ${room.code}`);
+  persistRoom(room, 'waitingPlayer');
+
+  socket.emit('waitingForNextGame', {
+    playerName: entry.name,
+    roomCode: room.code,
+    sessionToken: entry.sessionToken,
+    phase: room.gameState.phase,
+    players: Object.values(publicPlayers(room.gameState.players)).map(p => p.name)
+  });
+  socket.emit('settingsUpdated', room.settings);
+  emitWaitingListUpdated(room);
+}
+
+/*
+  admitWaitingPlayers:
+  Called when the next game starts (startNewGame) and when the room goes back to the lobby.
+  Connected waiting players get a seat, a score entry and the room's broadcasts; places
+  left by people who closed the page are dropped.
+*/
+function admitWaitingPlayers(room) {
+  const { gameState } = room;
+  const waiting = Object.values(room.waitingPlayers).sort((a, b) => a.joinedAt - b.joinedAt);
+  if (!waiting.length) return;
+  room.waitingPlayers = {};
+  waiting.forEach(w => {
+    const socket = io.sockets.sockets.get(w.id);
+    if (w.disconnected || !socket) {
+      debugLog(`[SERVER DEBUG] dropping ${w.name} from the waiting list in ${room.code} (gone)`);
+      return;
+    }
+    const player = createPlayer(room, w.id, w.name, w.sessionToken, socket.data.bot);
+    gameState.players[w.id] = player;
+    socket.join(room.code);
+    debugLog(`[SERVER DEBUG] ${w.name} (${w.id}) leaves the waiting list and joins ${room.code}`);
+    socket.emit('playerAssigned', { playerId: player.id, color: player.color, playerName: player.name, roomCode: room.code, sessionToken: player.sessionToken });
+    socket.emit('wordPacksUpdated', wordPacksPayload(room));
+    socket.emit('roomUpdated', { hostId: getHostId(room), hostName: room.hostName, locked: room.locked });
+  });
+  ensureScoresForCurrentPlayers(room);
+  updateAllPlayers(room);
+}
+
+/* ---------------- Spectators ---------------- */
+
+// Spectators (joinGame with spectate: true) are kept out of gameState.players, so they take
+// no turn, vote or ready-up; they learn the word and the fake with votingResults, or at once
+// with SPECTATOR_REVEAL=live.
+
+function emitSpectatorsUpdated(room) {
+  io.to(room.code).emit('spectatorsUpdated', { names: Object.values(room.spectators).map(s => s.name) });
+}
+
+function spectatorsMaySeeSecrets(room) {
+  return SPECTATOR_REVEAL === 'live' || !!room.lastVotingResults;
+}
+
+// The round's secrets for spectators, or null while they may not see them yet
+function spectatorRevealPayload(room) {
+  const { gameState } = room;
+  if (!gameState.gameStarted || !gameState.secretWord || !spectatorsMaySeeSecrets(room)) return null;
+  const qm = getQuestionMaster(room);
+  return {
+    category: gameState.category,
+    secretWord: gameState.secretWord,
+    fakeName: getFakeArtistName(room),
+    questionMasterName: qm ? qm.name : null
+  };
+}
+
+// Sends the round's secrets to every spectator, if they may see them yet
+function revealToSpectators(room) {
+  const payload = spectatorRevealPayload(room);
+  if (!payload) return;
+  Object.keys(room.spectators).forEach(id => io.to(id).emit('spectatorReveal', payload));
+}
+
+/*
+  addSpectatorToRoom:
+  Joins the room's broadcasts (live strokes, turns, votes as they are counted) without a
+  seat. Spectators may join locked rooms and running games, but not under a player's name.
+*/
+function addSpectatorToRoom(room, socket, name) {
+  if (getIdByNameInPlayers(name, room.gameState.players) || getIdByNameInPlayers(name, room.waitingPlayers)) {
+    socket.emit('error', `"${name}" is playing in this room; pick another name to watch`);
+    return false;
+  }
+  if (Object.keys(room.spectators).length >= MAX_SPECTATORS) {
+    socket.emit('error', `Room ${room.code} already has ${MAX_SPECTATORS} spectators`);
+    return false;
+  }
+
+  const previous = getSocketRoom(socket);
+  if (previous && previous !== room) {
+    handlePlayerLeave(previous, socket);
+    socket.leave(previous.code);
+  }
+  socket.data.roomCode = room.code;
+  socket.join(room.code);
+  scheduleRoomCleanup(room);
+
+  room.spectators[socket.id] = { id: socket.id, name };
+  debugLog(`[SERVER DEBUG] spectator ${name} (${socket.id}) is watching ${room.code}`);
+  socket.emit('spectatorAssigned', {
+    playerName: name,
+    roomCode: room.code,
+    phase: room.gameState.phase,
+    reveal: SPECTATOR_REVEAL
+  });
+  socket.emit('settingsUpdated', room.settings);
+  socket.emit('roomUpdated', { hostId: getHostId(room), hostName: room.hostName, locked: room.locked });
+  socket.emit('updatePlayers', Object.values(publicPlayers(room.gameState.players)));
+  emitSpectatorsUpdated(room);
+  socket.emit('syncState', syncStatePayload(room, socket));
+  return true;
+}
+
+/* ---------------- Bots ---------------- */
+
+// The host adds bots in the lobby (addBot); they play over their own sockets like a browser
+// and leave once no person has been connected for BOT_ALONE_GRACE_MS.
+
+// Bots (server-bots.js) identify themselves with BOT_KEY; anyone else is a person
+function botFromHandshake(socket) {
+  const auth = socket.handshake.auth || {};
+  if (typeof auth.botKey !== 'string' || auth.botKey !== BOT_KEY) return null;
+  return { strategy: BOT_STRATEGIES.includes(auth.strategy) ? auth.strategy : BOT_STRATEGIES[0] };
+}
+
+// What a caught fake bot can think of for the category: the room's enabled words
+function botWordsForCategory(roomCode, category) {
+  const room = rooms.get(roomCode);
+  if (!room) return [];
+  return getWordPool(room).filter(e => e.category === category).map(e => e.word);
+}
+
+function botServerUrl() {
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function startRoomBot(room, name, strategy, sessionToken = null) {
+  const bot = createBot({
+    url: botServerUrl(),
+    botKey: BOT_KEY,
+    roomCode: room.code,
+    name,
+    strategy,
+    sessionToken,
+    wordsForCategory: botWordsForCategory,
+    onStop: () => { if (room.bots[name] === bot) delete room.bots[name]; }
+  });
+  room.bots[name] = bot;
+  return bot;
+}
+
+// A painter's name nobody in the room (or on its way in) has taken yet
+function pickBotName(room) {
+  const taken = n => getIdByNameInPlayers(n, room.gameState.players) || getIdByNameInPlayers(n, room.waitingPlayers)
+    || Object.keys(room.bots).some(b => b.toLowerCase() === n.toLowerCase())
+    || Object.values(room.spectators).some(s => s.name.toLowerCase() === n.toLowerCase());
+  const free = BOT_NAMES.map(n => `Bot ${n}`).filter(n => !taken(n));
+  return free[Math.floor(Math.random() * free.length)] || null;
+}
+
+function hasPeopleConnected(room) {
+  const ids = io.sockets.adapter.rooms.get(room.code) || new Set();
+  return Array.from(ids).some(id => {
+    const socket = io.sockets.sockets.get(id);
+    return socket && !socket.data.bot;
+  });
+}
+
+/*
+  scheduleBotShutdown:
+  Called whenever someone disconnects. Bots only play with people: if nobody but bots is
+  left in the room after BOT_ALONE_GRACE_MS (long enough for a reload), its bots leave.
+*/
+function scheduleBotShutdown(room) {
+  if (room.botTimer || !Object.keys(room.bots).length || hasPeopleConnected(room)) return;
+  room.botTimer = setTimeout(() => {
+    room.botTimer = null;
+    if (hasPeopleConnected(room)) return;
+    debugLog(`[SERVER DEBUG] nobody left to play with in ${room.code}: ${Object.keys(room.bots).length} bot(s) leave`);
+    Object.values(room.bots).forEach(bot => bot.stop());
+  }, BOT_ALONE_GRACE_MS);
+}
+
+// Bots seated in a restored game reconnect with their session tokens, like everyone else
+function restoreRoomBots() {
+  for (const room of rooms.values()) {
+    Object.values(room.gameState.players)
+      .filter(p => p.isBot)
+      .forEach(p => startRoomBot(room, p.name, p.botStrategy, p.sessionToken));
+    scheduleBotShutdown(room);
+  }
 }
 
 /* ---------------- HTTP routes ---------------- */
 
-app.get('/', (req, res) => res.sendFile(path.join(__dirname,'public','index.html')));
-app.get('/lobby', (req, res) => res.sendFile(path.join(__dirname,'public','lobby.html')));
-app.get('/game', (req, res) => res.sendFile(path.join(__dirname,'public','game.html')));
-app.get('/voting', (req, res) => res.sendFile(path.join(__dirname,'public','voting.html')));
-app.get('/results', (req, res) => res.sendFile(path.join(__dirname,'public','results.html')));
-app.get('/champions', (req, res) => res.sendFile(path.join(__dirname,'public','champions.html')));
+// The game itself is one page; its views have their own paths so they can be linked and
+// reloaded (/results is an old link and opens whatever the room is doing)
+const APP_ROUTES = ['/', '/lobby', '/game', '/voting', '/results', '/champions'];
+app.get(APP_ROUTES, (req, res) => res.sendFile(path.join(__dirname,'public','index.html')));
+app.get('/packs', (req, res) => res.sendFile(path.join(__dirname,'public','packs.html')));
+app.get('/rounds', (req, res) => res.sendFile(path.join(__dirname,'public','rounds.html')));
+app.get('/leaderboard', (req, res) => res.sendFile(path.join(__dirname,'public','leaderboard.html')));
+
+/* ---------------- Round archive API ---------------- */
+
+// ?page=1&pageSize=20&room=ABCDE&player=Alice -> newest rounds first, summaries only
+app.get('/api/rounds', (req, res) => {
+  const { options, error } = parseListQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  res.json(roundArchive.list(options));
+});
+
+// Archived rounds keep the drawing format they were saved in; clients only get the current one
+function roundWithCurrentDrawing(record) {
+  return { ...record, drawingFormat: DRAWING_FORMAT, drawing: upgradeDrawing(record.drawing, drawingFormatOf(record)) };
+}
+
+app.get('/api/rounds/:id', (req, res) => {
+  const record = roundArchive.get(req.params.id);
+  if (!record) return res.status(404).json({ error: 'No round with that id' });
+  res.json(roundWithCurrentDrawing(record));
+});
+
+// ?legend=0 leaves out the category/word and artist legend; ?download=1 saves it as a file
+function sendRoundDrawing(req, res, format) {
+  const stored = roundArchive.get(req.params.id);
+  if (!stored) return res.status(404).json({ error: 'No round with that id' });
+  const record = roundWithCurrentDrawing(stored);
+  const options = req.query.legend === '0'
+    ? { legend: false }
+    : { legend: true, category: record.category, secretWord: record.secretWord };
+  if (req.query.download === '1') res.attachment(`fake-artist-${record.roomCode}-${record.id}.${format}`);
+  res.set('Cache-Control', 'public, max-age=86400'); // archived rounds never change
+  try {
+    if (format === 'svg') res.type('image/svg+xml').send(renderDrawingSvg(record.drawing, options));
+    else res.type('image/png').send(renderDrawingPng(record.drawing, options));
+  } catch (e) {
+    console.error(`[SERVER ERROR] rendering ${format} for round ${record.id}`, e);
+    res.status(500).json({ error: 'Could not render the drawing' });
+  }
+}
+
+app.get('/api/rounds/:id/drawing.svg', (req, res) => sendRoundDrawing(req, res, 'svg'));
+app.get('/api/rounds/:id/drawing.png', (req, res) => sendRoundDrawing(req, res, 'png'));
+
+/* ---------------- Player stats API ---------------- */
+
+// Stats are recomputed from the archive, and only when a round has been added since. Each
+// room filter ('' for all rooms) has its own entry; the oldest drops off past STATS_CACHE_MAX.
+const STATS_CACHE_MAX = 50;
+let statsCache = { key: null, byRoom: new Map() };
+
+function getPlayerStats(roomCode = '') {
+  const records = roundArchive.all();
+  const last = records[records.length - 1];
+  const key = `${records.length}:${last ? last.id : ''}`;
+  if (statsCache.key !== key) statsCache = { key, byRoom: new Map() };
+  if (!statsCache.byRoom.has(roomCode)) {
+    if (statsCache.byRoom.size >= STATS_CACHE_MAX) statsCache.byRoom.delete(statsCache.byRoom.keys().next().value);
+    statsCache.byRoom.set(roomCode, computePlayerStats(records, { roomCode }));
+  }
+  return statsCache.byRoom.get(roomCode);
+}
+
+// ?room=ABCDE limits the stats to one room's rounds
+function statsRoomFilter(req) {
+  return typeof req.query.room === 'string' ? normalizeRoomCode(req.query.room) : '';
+}
+
+// ?sort=voteAccuracy&order=desc&room=ABCDE&minGames=3
+app.get('/api/stats', (req, res) => {
+  const sort = req.query.sort === undefined ? 'totalPoints' : req.query.sort;
+  const order = req.query.order;
+  const minGames = req.query.minGames === undefined ? 1 : Number(req.query.minGames);
+  if (!SORTABLE_FIELDS.includes(sort)) return res.status(400).json({ error: `sort must be one of: ${SORTABLE_FIELDS.join(', ')}` });
+  if (order !== undefined && order !== 'asc' && order !== 'desc') return res.status(400).json({ error: 'order must be asc or desc' });
+  if (!Number.isInteger(minGames) || minGames < 0) return res.status(400).json({ error: 'minGames must be a whole number' });
+  const players = getPlayerStats(statsRoomFilter(req)).filter(s => s.gamesPlayed >= minGames);
+  res.json({ players: sortLeaderboard(players, sort, order), sort, order: order || (sort === 'name' ? 'asc' : 'desc'), sortableFields: SORTABLE_FIELDS });
+});
+
+// ?room=ABCDE
+app.get('/api/stats/:name', (req, res) => {
+  const stats = getPlayerStats(statsRoomFilter(req)).find(s => nameKey(s.name) === nameKey(req.params.name));
+  if (!stats) return res.status(404).json({ error: 'No rounds recorded for that player' });
+  res.json(stats);
+});
+
+/* ---------------- Word pack API ---------------- */
+
+// Exported pack files are small; this leaves room for a full-size pack with aliases
+app.use('/api/packs', express.json({ limit: '256kb' }));
+
+function sendPackErrors(res, errors) {
+  res.status(400).json({ error: errors.join('\n'), errors });
+}
+
+// Looks up a pack by id and answers 404; when editing, 403 for the built-in pack and for
+// anyone without the pack's edit token (X-Edit-Token header)
+function findPackForRequest(req, res, { editing = false } = {}) {
+  const packsById = getPacksById();
+  if (!hasOwn(packsById, req.params.id)) {
+    res.status(404).json({ error: 'No word pack with that id' });
+    return null;
+  }
+  const pack = packsById[req.params.id];
+  if (editing && pack.builtIn) {
+    res.status(403).json({ error: 'The built-in word pack cannot be changed' });
+    return null;
+  }
+  if (editing && !canEditPack(pack, req.get('X-Edit-Token'))) {
+    res.status(403).json({ error: 'Only whoever created this word pack can change it' });
+    return null;
+  }
+  return pack;
+}
+
+// Validates a request body and stores it as a new pack (create and import)
+function createPackFromInput(input, res, { renameOnConflict }) {
+  if (Object.keys(persisted.wordPacks).length >= PACK_LIMITS.packs) {
+    sendPackErrors(res, [`There can be at most ${PACK_LIMITS.packs} word packs; delete one first`]);
+    return;
+  }
+  const { pack, errors } = validatePack(input);
+  if (errors.length) return sendPackErrors(res, errors);
+  const name = uniquePackName(pack.name, Object.values(getPacksById()));
+  if (name !== pack.name && !renameOnConflict) return sendPackErrors(res, [`A pack named "${pack.name}" already exists`]);
+  const now = new Date().toISOString();
+  const created = { id: generatePackId(), ...pack, name, createdAt: now, updatedAt: now, editToken: generateEditToken() };
+  persisted.wordPacks[created.id] = created;
+  savePacks('createPack');
+  debugLog(`[SERVER DEBUG] word pack created: ${created.id} "${created.name}"`);
+  broadcastWordPacks();
+  // The only time the edit token is sent
+  res.status(201).json({ ...publicPack(created), editToken: created.editToken });
+}
+
+app.get('/api/packs', (req, res) => {
+  res.json({ packs: Object.values(getPacksById()).map(packSummary), limits: PACK_LIMITS });
+});
+
+app.get('/api/packs/:id', (req, res) => {
+  const pack = findPackForRequest(req, res);
+  if (pack) res.json(publicPack(pack));
+});
+
+app.post('/api/packs', (req, res) => {
+  createPackFromInput(req.body, res, { renameOnConflict: false });
+});
+
+// Accepts a file from GET /api/packs/:id/export (or a bare pack); clashing names get a suffix
+app.post('/api/packs/import', (req, res) => {
+  const { input, error } = unwrapImport(req.body);
+  if (error) return sendPackErrors(res, [error]);
+  createPackFromInput(input, res, { renameOnConflict: true });
+});
+
+app.put('/api/packs/:id', (req, res) => {
+  const existing = findPackForRequest(req, res, { editing: true });
+  if (!existing) return;
+  const { pack, errors } = validatePack(req.body);
+  if (errors.length) return sendPackErrors(res, errors);
+  if (uniquePackName(pack.name, Object.values(getPacksById()), existing.id) !== pack.name) {
+    return sendPackErrors(res, [`A pack named "${pack.name}" already exists`]);
+  }
+  const updated = { ...existing, ...pack, updatedAt: new Date().toISOString() };
+  persisted.wordPacks[existing.id] = updated;
+  savePacks('updatePack');
+  debugLog(`[SERVER DEBUG] word pack updated: ${updated.id} "${updated.name}"`);
+  broadcastWordPacks();
+  res.json(publicPack(updated));
+});
+
+// Lobbies that had the pack enabled fall back to their other packs (or the built-in one)
+app.delete('/api/packs/:id', (req, res) => {
+  const pack = findPackForRequest(req, res, { editing: true });
+  if (!pack) return;
+  delete persisted.wordPacks[pack.id];
+  savePacks('deletePack');
+  debugLog(`[SERVER DEBUG] word pack deleted: ${pack.id} "${pack.name}"`);
+  broadcastWordPacks();
+  res.status(204).end();
+});
+
+app.get('/api/packs/:id/export', (req, res) => {
+  const pack = findPackForRequest(req, res);
+  if (!pack) return;
+  const fileName = pack.name.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'word-pack';
+  res.attachment(`${fileName}.json`);
+  res.json(exportPack(pack));
+});
+
+// Malformed or oversized JSON bodies get a JSON error instead of express's HTML page
+app.use('/api', (err, req, res, next) => {
+  if (!err) return next();
+  const tooLarge = err.type === 'entity.too.large';
+  res.status(tooLarge ? 413 : (err.status || 400)).json({ error: tooLarge ? 'That word pack file is too large' : 'The request body is not valid JSON' });
+});
 
 /* ---------------- Socket.io ---------------- */
 
 io.on('connection', (socket) => {
-  console.log(`[SERVER DEBUG] socket connected: ${socket.id}`);
-  socket.emit('updatePlayers', Object.values(gameState.players));
-  socket.emit('enableStartButton', Object.keys(gameState.players).length >= 3);
-
-  socket.on('joinGame', (playerName) => {
-    console.log(`[SERVER DEBUG] joinGame: playerName=${playerName}, id=${socket.id}`);
-    // reconnect by name?
-    let existing = null;
-    for (const [pid, p] of Object.entries(gameState.players)) {
-      if (p.name === playerName) { existing = p; break; }
-    }
-
-    if (existing) {
-      remapPlayerId(existing.id, socket.id);
-      delete gameState.players[existing.id];
-      existing.id = socket.id;
-      gameState.players[socket.id] = existing;
-    } else {
-      const assignedColor = colors[Object.keys(gameState.players).length % colors.length];
-      const player = { id: socket.id, name: playerName, color: assignedColor, isFakeArtist:false, ready:false, hasSeenRole:false, lobbyReady:false, disconnected:false };
-      gameState.players[socket.id] = player;
+  debugLog(`[SERVER DEBUG] socket connected: ${socket.id}`);
+  socket.data.bot = botFromHandshake(socket);
+
+  socket.on('createRoom', (playerName) => {
+    const { name, error } = validatePlayerName(playerName);
+    if (error) {
+      socket.emit('error', error);
+      return;
     }
+    const room = createRoom();
+    debugLog(`[SERVER DEBUG] createRoom: playerName=${name}, id=${socket.id}, room=${room.code}`);
+    socket.emit('roomCreated', { roomCode: room.code });
+    addPlayerToRoom(room, socket, name);
+  });
+
+  socket.on('joinGame', (payload) => {
+    // Accepts { playerName, roomCode, sessionToken, spectate }
+    const data = (payload && typeof payload === 'object') ? payload : {};
+    const roomCode = normalizeRoomCode(data.roomCode);
+    debugLog(`[SERVER DEBUG] joinGame: playerName=${data.playerName}, room=${roomCode}, id=${socket.id}`);
+
+    const { name: playerName, error } = validatePlayerName(data.playerName);
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+    if (!roomCode) {
+      socket.emit('error', 'Please enter a room code');
+      return;
+    }
+    const room = getOrReviveRoom(roomCode);
+    if (!room) {
+      socket.emit('error', `Room ${roomCode} does not exist`);
+      return;
+    }
+    if (data.spectate === true) {
+      addSpectatorToRoom(room, socket, playerName);
+      return;
+    }
+    addPlayerToRoom(room, socket, playerName, typeof data.sessionToken === 'string' ? data.sessionToken : null);
+  });
+
+  // Lobby rules: partial updates are merged over the current settings after validation
+  socket.on('updateSettings', (input) => {
+    const room = getSocketRoom(socket); if (!room) return;
+    if (!room.gameState.players[socket.id]) return;
+    if (!requireHost(room, socket, 'change the settings')) return;
+    if (!requirePhase(room, socket, 'updateSettings', 'Settings can only be changed in the lobby')) return;
+    const { rules, errors } = validateRules(input, room.settings);
+    if (errors.length) {
+      socket.emit('error', errors.join('\n'));
+      return;
+    }
+    room.settings = rules;
+    debugLog(`[SERVER DEBUG] settings updated in ${room.code} by ${socket.id}:`, JSON.stringify(rules));
+    persistRoom(room, 'updateSettings');
+    io.to(room.code).emit('settingsUpdated', room.settings);
+  });
 
-    // Ensure score entry for name
-    if (playerName && gameState.scores[playerName] === undefined) {
-      gameState.scores[playerName] = 0;
-      console.log('[SERVER DEBUG] Initialized score for', playerName, '=> 0');
+  // Which packs and categories the next games draw words from ({ packId: [categories] })
+  socket.on('updateWordSelection', (input) => {
+    const room = getSocketRoom(socket); if (!room) return;
+    if (!room.gameState.players[socket.id]) return;
+    if (!requireHost(room, socket, 'choose the word packs')) return;
+    if (!requirePhase(room, socket, 'updateWordSelection', 'Word packs can only be changed in the lobby')) return;
+    const { selection, errors } = validateSelection(input, getPacksById());
+    if (errors.length) {
+      socket.emit('error', errors.join('\n'));
+      return;
     }
+    room.wordSelection = selection;
+    debugLog(`[SERVER DEBUG] word selection updated in ${room.code}:`, JSON.stringify(selection));
+    persistRoom(room, 'updateWordSelection');
+    io.to(room.code).emit('wordPacksUpdated', wordPacksPayload(room));
+  });
 
-    const outPlayer = gameState.players[socket.id];
-    socket.emit('playerAssigned', { playerId: outPlayer.id, color: outPlayer.color, playerName: outPlayer.name });
+  // The host's view of the deck: words played so far and how many are left
+  socket.on('requestUsedWords', () => {
+    const room = getSocketRoom(socket); if (!room) return;
+    if (!room.gameState.players[socket.id]) return;
+    if (!requireHost(room, socket, 'see the used words')) return;
+    socket.emit('usedWordsUpdated', usedWordsPayload(room));
+  });
 
-    updateAllPlayers();
+  socket.on('resetUsedWords', () => {
+    const room = getSocketRoom(socket); if (!room) return;
+    if (!room.gameState.players[socket.id]) return;
+    if (!requireHost(room, socket, 'reset the used words')) return;
+    room.usedWords = [];
+    debugLog(`[SERVER DEBUG] used words reset in ${room.code}`);
+    persistRoom(room, 'resetUsedWords');
+    socket.emit('usedWordsUpdated', usedWordsPayload(room));
   });
 
   socket.on('lobbyReady', () => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
     if (!gameState.players[socket.id]) return;
+    if (!requirePhase(room, socket, 'lobbyReady', 'The game has already started')) return;
     gameState.players[socket.id].lobbyReady = true;
     gameState.lobbyReadies.add(socket.id);
 
-    io.emit('lobbyReadyUpdate', { lobbyReadies: Array.from(gameState.lobbyReadies), players: gameState.players });
+    io.to(room.code).emit('lobbyReadyUpdate', { lobbyReadies: Array.from(gameState.lobbyReadies), players: publicPlayers(gameState.players) });
 
-    if (gameState.lobbyReadies.size === Object.keys(gameState.players).length && Object.keys(gameState.players).length >= 3) {
-      console.log('[SERVER DEBUG] All players in lobby ready, starting new game.');
-      startNewGame();
+    if (allConnectedLobbyReady(room)) {
+      debugLog('[SERVER DEBUG] All players in lobby ready, starting new game.');
+      startNewGame(room);
       gameState.lobbyReadies.clear();
       for (const pid in gameState.players) gameState.players[pid].lobbyReady = false;
     }
   });
 
   socket.on('startGame', () => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
     if (!gameState.players[socket.id]) return;
+    if (!requirePhase(room, socket, 'startGame', 'The game has already started')) return;
     if (!gameState.players[socket.id].lobbyReady) {
       gameState.players[socket.id].lobbyReady = true;
       gameState.lobbyReadies.add(socket.id);
     }
-    io.emit('lobbyReadyUpdate', { lobbyReadies: Array.from(gameState.lobbyReadies), players: gameState.players });
+    io.to(room.code).emit('lobbyReadyUpdate', { lobbyReadies: Array.from(gameState.lobbyReadies), players: publicPlayers(gameState.players) });
 
-    const totalPlayers = Object.keys(gameState.players).length;
-    if (gameState.lobbyReadies.size === totalPlayers && totalPlayers >= 3) {
-      console.log('[SERVER DEBUG] All players in lobby ready (startGame), starting new game.');
-      startNewGame();
+    const totalPlayers = connectedPlayerIds(room).length;
+    if (allConnectedLobbyReady(room)) {
+      debugLog('[SERVER DEBUG] All players in lobby ready (startGame), starting new game.');
+      startNewGame(room);
       gameState.lobbyReadies.clear();
       for (const pid in gameState.players) gameState.players[pid].lobbyReady = false;
     } else {
-      console.log(`[SERVER DEBUG] startGame: ${socket.id} ready. ${gameState.lobbyReadies.size}/${totalPlayers} ready.`);
+      debugLog(`[SERVER DEBUG] startGame: ${socket.id} ready. ${gameState.lobbyReadies.size}/${totalPlayers} ready.`);
     }
   });
 
   socket.on('readyToSeeRole', () => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
     const player = gameState.players[socket.id]; if (!player) return;
+    if (!requirePhase(room, socket, 'readyToSeeRole')) return; // e.g. no word yet
     player.hasSeenRole = true;
-    if (player.isFakeArtist === true) {
-      io.to(socket.id).emit('roleAssigned', { role: "fake", category: gameState.category });
-    } else {
-      io.to(socket.id).emit('roleAssigned', { role: "artist", category: gameState.category, secretWord: gameState.secretWord });
+    io.to(socket.id).emit('roleAssigned', rolePayload(room, player));
+  });
+
+  // Question Master picks (or types) the category and secret word
+  socket.on('questionMasterChoice', (input) => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
+    const player = gameState.players[socket.id];
+    const refusal = 'Only the Question Master can pick the word, and only before the roles are revealed';
+    if (!requirePhase(room, socket, 'questionMasterChoice', refusal)) return;
+    if (!player || !player.isQuestionMaster) {
+      socket.emit('error', refusal);
+      return;
+    }
+    const { category, word, error } = validateWordChoice(input);
+    if (error) {
+      socket.emit('error', error);
+      return;
     }
+    debugLog(`[SERVER DEBUG] Question Master ${player.name} picked a word in ${room.code}`);
+    finishWordPick(room, category, word, aliasesForWord(room, word));
   });
 
   socket.on('playerReady', () => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
     if (!gameState.players[socket.id]) return;
+    if (!requirePhase(room, socket, 'playerReady')) return;
     gameState.readyPlayers.add(socket.id);
     gameState.players[socket.id].ready = true;
 
-    io.emit('playerReadyUpdate', { playerId: socket.id, readyPlayers: Array.from(gameState.readyPlayers), players: gameState.players });
+    io.to(room.code).emit('playerReadyUpdate', { playerId: socket.id, readyPlayers: Array.from(gameState.readyPlayers), players: publicPlayers(gameState.players) });
 
-    if (gameState.readyPlayers.size === Object.keys(gameState.players).length) {
-      console.log('[SERVER DEBUG] All players ready, starting drawing phase.');
-      startDrawingPhase();
-    }
+    if (!startDrawingIfAllReady(room)) persistRoom(room, 'playerReady');
   });
 
-  // Drawing handlers
+  // Drawing handlers. Points carry the server time they arrived (t) so the drawing can be
+  // replayed at real speed; see server-stroke-stream.js for the batch format and limits.
+  socket.data.drawLimiter = createRateLimiter();
+
   socket.on('drawStart', (data) => {
-    if (!gameState.gameStarted) return;
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
+    if (!requirePhase(room, socket, 'drawStart')) return;
     if (socket.id !== gameState.currentTurn) return;
-    gameState.drawing.push({ type: 'line', points: [data], color: gameState.players[socket.id].color, playerId: socket.id });
-    io.emit('drawStart', { ...data, color: gameState.players[socket.id].color, playerId: socket.id });
+    const point = decodePoint(data);
+    if (!point || !socket.data.drawLimiter.take(1)) return;
+    const player = gameState.players[socket.id];
+    gameState.drawing.push({ type: 'line', points: [{ ...point, t: Date.now() }], color: player.color, playerId: socket.id, playerName: player.name });
+    io.to(room.code).emit('drawStart', { ...point, color: player.color, playerId: socket.id });
   });
 
-  socket.on('drawMove', (data) => {
-    if (!gameState.gameStarted) return;
+  socket.on('drawPoints', (data) => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
+    if (!requirePhase(room, socket, 'drawPoints')) return;
     if (socket.id !== gameState.currentTurn) return;
     const currentLine = gameState.drawing[gameState.drawing.length - 1];
-    if (currentLine && currentLine.type === 'line') {
-      currentLine.points.push(data);
-      io.emit('drawMove', { ...data, color: gameState.players[socket.id].color, playerId: socket.id });
-    }
+    if (!currentLine || currentLine.playerId !== socket.id) return;
+    const points = decodeBatch(data);
+    if (!points || !points.length) return;
+    const allowed = socket.data.drawLimiter.take(points.length);
+    if (allowed < points.length) debugLog(`[SERVER DEBUG] drawPoints rate limit: dropped ${points.length - allowed} point(s) from ${socket.id}`);
+    const added = appendPoints(currentLine, points.slice(0, allowed));
+    if (added.length) io.to(room.code).emit('drawPoints', { points: encodeBatch(added), playerId: socket.id });
   });
 
   socket.on('drawEnd', () => {
-    if (!gameState.gameStarted) return;
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
+    if (!requirePhase(room, socket, 'drawEnd')) return;
     if (socket.id !== gameState.currentTurn) return;
-    nextTurn();
+    nextTurn(room);
   });
 
-  socket.on('submitVote', (votedPlayerName) => {
-    console.log(`[SERVER DEBUG] submitVote from ${socket.id} voted ${votedPlayerName}`);
-    gameState.votes[socket.id] = votedPlayerName; // store name
-    io.emit('voteReceived', { voterId: socket.id, votedPlayerName, voterName: gameState.players[socket.id]?.name ?? "(?)" });
+  // A vote can be changed freely until voting closes
+  socket.on('submitVote', (votedName) => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
+    debugLog(`[SERVER DEBUG] submitVote from ${socket.id} voted ${votedName}`);
+    if (!requirePhase(room, socket, 'submitVote', 'Voting is closed')) return;
+    const voter = gameState.players[socket.id];
+    const participants = room.votingCache.players;
+    if (!voter || !getIdByNameInPlayers(voter.name, participants)) {
+      socket.emit('error', 'Only players from this round can vote');
+      return;
+    }
+    const targetId = getIdByNameInPlayers(typeof votedName === 'string' ? votedName : '', participants);
+    if (!targetId) {
+      socket.emit('error', 'You can only vote for a player from this round');
+      return;
+    }
+    const votedPlayerName = participants[targetId].name; // store the canonical name
+    if (votedPlayerName === voter.name) {
+      socket.emit('error', 'You cannot vote for yourself');
+      return;
+    }
+    if (room.runoff && !room.runoff.candidates.includes(votedPlayerName)) {
+      socket.emit('error', `The run-off is between ${room.runoff.candidates.join(' and ')} only`);
+      return;
+    }
+
+    const changed = !!gameState.votes[socket.id];
+    gameState.votes[socket.id] = votedPlayerName;
+    persistRoom(room, 'submitVote');
+    io.to(room.code).emit('voteReceived', {
+      voterId: socket.id,
+      votedPlayerName,
+      voterName: voter.name,
+      changed,
+      pendingNames: pendingVoterNames(room)
+    });
+
+    calculateResultsIfAllVoted(room);
+  });
 
-    if (Object.keys(gameState.votes).length === Object.keys(gameState.players).length) {
-      console.log('[SERVER DEBUG] All votes received, calculating results.');
-      calculateResults();
+  // Host settles a tied run-off (settings.secondTieRule === 'host')
+  socket.on('resolveTie', (name) => {
+    const room = getSocketRoom(socket); if (!room) return;
+    if (!requireHost(room, socket, 'settle the tie')) return;
+    if (!requirePhase(room, socket, 'resolveTie', 'There is no tie to settle')) return;
+    // The phase alone does not promise a tie: a restored snapshot may be missing it
+    if (!room.pendingTie) return socket.emit('error', 'There is no tie to settle');
+    const { tally } = room.pendingTie;
+    const chosen = tally.topNames.find(n => typeof name === 'string' && n.toLowerCase() === name.trim().toLowerCase());
+    if (!chosen) {
+      socket.emit('error', `Pick one of: ${tally.topNames.join(', ')}`);
+      return;
     }
+    debugLog(`[SERVER DEBUG] host settled the tie in ${room.code}: ${chosen}`);
+    finishVoting(room, tally, chosen, 'host');
   });
 
   // Fake guess
   socket.on('guessSubmitted', (guessText) => {
-    handleFakeGuess(socket, guessText);
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
+    const refusal = 'Only the caught fake artist can guess, and only when asked';
+    if (!requirePhase(room, socket, 'guessSubmitted', refusal)) return;
+    if (socket.id !== gameState.fakeArtist) {
+      socket.emit('error', refusal);
+      return;
+    }
+    handleFakeGuess(room, guessText);
     // After awarding, checks are performed inside handleFakeGuess
   });
 
   // Next-round readiness tracked by NAME
   socket.on('startNextRoundReady', () => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
     if (!gameState.players[socket.id]) return;
     const playerName = gameState.players[socket.id].name;
     if (!playerName) return;
+    if (!requirePhase(room, socket, 'startNextRoundReady', 'The next game can only be started from the results')) return;
+    // Clicks before the outcome is announced (the fake may still get to guess) don't count
+    if (!room.lastOutcome) {
+      socket.emit('error', "Wait for the round's outcome before starting the next game");
+      return;
+    }
 
     // Only count if name is required for this round
-    if (!nextRoundRequiredNames.has(playerName)) {
-      console.log(`[SERVER DEBUG] startNextRoundReady ignored from ${socket.id} (${playerName}) - not required`);
+    if (!room.nextRoundRequiredNames.has(playerName)) {
+      debugLog(`[SERVER DEBUG] startNextRoundReady ignored from ${socket.id} (${playerName}) - not required`);
       return;
     }
 
-    console.log(`[SERVER DEBUG] startNextRoundReady received from ${socket.id} (${playerName})`);
-    nextRoundReadyNames.add(playerName);
+    debugLog(`[SERVER DEBUG] startNextRoundReady received from ${socket.id} (${playerName})`);
+    room.nextRoundReadyNames.add(playerName);
 
-    io.emit('nextRoundReadyUpdate', {
-      readyNames: Array.from(nextRoundReadyNames),
-      readyCount: nextRoundReadyNames.size,
-      totalNeeded: nextRoundRequiredNames.size,
-      requiredNames: Array.from(nextRoundRequiredNames),
-      players: gameState.players
-    });
+    emitNextRoundReadyUpdate(room);
 
-    if (nextRoundReadyNames.size === nextRoundRequiredNames.size && nextRoundRequiredNames.size > 0) {
-      console.log('[SERVER DEBUG] All required players ready by name — starting new game.');
-      nextRoundReadyNames.clear();
-      nextRoundRequiredNames.clear();
-      startNewGame();
+    if (room.nextRoundReadyNames.size === room.nextRoundRequiredNames.size && room.nextRoundRequiredNames.size > 0) {
+      debugLog('[SERVER DEBUG] All required players ready by name — starting new game.');
+      room.nextRoundReadyNames.clear();
+      room.nextRoundRequiredNames.clear();
+      startNewGame(room);
+    } else {
+      persistRoom(room, 'startNextRoundReady');
     }
   });
 
-  socket.on('requestVotingState', () => {
-    console.log('[SERVER DEBUG] requestVotingState');
-    socket.emit('startVoting', { players: gameState.players, drawing: votingCache.drawing });
+  // The same syncState a page gets on joining, e.g. after it missed events in the background
+  socket.on('requestState', () => {
+    const room = getSocketRoom(socket); if (!room) return;
+    if (!room.gameState.players[socket.id] && !room.spectators[socket.id]) return;
+    socket.emit('syncState', syncStatePayload(room, socket));
   });
 
   socket.on('newRound', () => {
-    console.log('[SERVER DEBUG] newRound (legacy) requested by', socket.id);
-    triggerVictoryOrLobby();
+    const room = getSocketRoom(socket); if (!room) return;
+    if (!room.gameState.players[socket.id]) return;
+    if (!requirePhase(room, socket, 'newRound', 'The round is not over yet')) return;
+    debugLog('[SERVER DEBUG] newRound (legacy) requested by', socket.id);
+    triggerVictoryOrLobby(room);
   });
 
   socket.on('disconnect', () => {
-    if (!gameState.players[socket.id]) return;
-    const pname = gameState.players[socket.id].name;
-
-    if (!gameState.gameStarted) {
-      console.log(`[SERVER DEBUG] disconnect in lobby: remove ${socket.id}`);
-      delete gameState.players[socket.id];
-      gameState.readyPlayers.delete(socket.id);
-      gameState.lobbyReadies.delete(socket.id);
-      updateAllPlayers();
-    } else {
-      console.log(`[SERVER DEBUG] disconnect in game: mark as disconnected ${socket.id}`);
-      gameState.players[socket.id].disconnected = true;
-      updateAllPlayers();
-    }
-
-    // If disconnected player's NAME was required to continue, remove them so they don't block
-    if (pname && nextRoundRequiredNames.has(pname)) {
-      nextRoundRequiredNames.delete(pname);
-      nextRoundReadyNames.delete(pname);
-
-      io.emit('nextRoundReadyUpdate', {
-        readyNames: Array.from(nextRoundReadyNames),
-        readyCount: nextRoundReadyNames.size,
-        totalNeeded: nextRoundRequiredNames.size,
-        requiredNames: Array.from(nextRoundRequiredNames),
-        players: gameState.players
-      });
+    const room = getSocketRoom(socket); if (!room) return;
+    handlePlayerLeave(room, socket);
+    scheduleRoomCleanup(room);
+    scheduleBotShutdown(room);
+  });
 
-      // if removal makes everyone else ready, start the game
-      if (nextRoundRequiredNames.size > 0 && nextRoundReadyNames.size === nextRoundRequiredNames.size) {
-        console.log('[SERVER DEBUG] After disconnect removal, all remaining required players are ready. Starting new game.');
-        nextRoundReadyNames.clear();
-        nextRoundRequiredNames.clear();
-        startNewGame();
-      }
+  /* ---------- Host handlers ---------- */
+
+  socket.on('kickPlayer', (playerId) => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
+    if (!requireHost(room, socket, 'kick players')) return;
+    if (!requirePhase(room, socket, 'kickPlayer', 'Players can only be kicked in the lobby')) return;
+    const target = gameState.players[playerId];
+    if (!target || playerId === socket.id) {
+      socket.emit('error', 'That player is not in the lobby');
+      return;
+    }
+    debugLog(`[SERVER DEBUG] kickPlayer (${room.code}): ${target.name} kicked by host`);
+    removePlayerFromRoom(room, playerId, 'You were removed from the room by the host');
+    updateAllPlayers(room);
+    io.to(room.code).emit('lobbyReadyUpdate', { lobbyReadies: Array.from(gameState.lobbyReadies), players: publicPlayers(gameState.players) });
+  });
+
+  socket.on('transferHost', (playerId) => {
+    const room = getSocketRoom(socket); if (!room) return;
+    if (!requireHost(room, socket, 'hand over host')) return;
+    const target = room.gameState.players[playerId];
+    if (!target || target.disconnected) {
+      socket.emit('error', 'That player is not connected');
+      return;
+    }
+    if (target.isBot) {
+      socket.emit('error', 'Bots cannot be the host');
+      return;
+    }
+    setHost(room, target.name);
+  });
+
+  socket.on('setLobbyLocked', (locked) => {
+    const room = getSocketRoom(socket); if (!room) return;
+    if (!requireHost(room, socket, 'lock the lobby')) return;
+    room.locked = locked === true;
+    debugLog(`[SERVER DEBUG] room ${room.code} ${room.locked ? 'locked' : 'unlocked'}`);
+    emitRoomUpdated(room);
+  });
+
+  // A bot takes the next free seat; it is removed like anyone else (kickPlayer)
+  socket.on('addBot', (input) => {
+    const room = getSocketRoom(socket); if (!room) return;
+    if (!room.gameState.players[socket.id]) return;
+    if (!requireHost(room, socket, 'add bots')) return;
+    if (!requirePhase(room, socket, 'addBot', 'Bots can only be added in the lobby')) return;
+    const strategy = input && input.strategy !== undefined ? input.strategy : BOT_STRATEGIES[0];
+    if (!BOT_STRATEGIES.includes(strategy)) {
+      socket.emit('error', `Bot strategy must be one of: ${BOT_STRATEGIES.join(', ')}`);
+      return;
+    }
+    const name = Object.keys(room.bots).length < MAX_BOTS ? pickBotName(room) : null;
+    if (!name) {
+      socket.emit('error', `A room can have at most ${MAX_BOTS} bots`);
+      return;
+    }
+    debugLog(`[SERVER DEBUG] host of ${room.code} adds ${name} (${strategy})`);
+    startRoomBot(room, name, strategy);
+  });
+
+  // Start with whoever is ready (the host counts as ready); everyone else is sent home
+  socket.on('forceStart', () => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
+    if (!requireHost(room, socket, 'force-start the game')) return;
+    if (!requirePhase(room, socket, 'forceStart', 'The game has already started')) return;
+    const startingIds = Object.keys(gameState.players).filter(pid =>
+      pid === socket.id || (gameState.lobbyReadies.has(pid) && !gameState.players[pid].disconnected));
+    if (startingIds.length < 3) {
+      socket.emit('error', 'At least 3 ready players are needed to start');
+      return;
     }
+    Object.keys(gameState.players).forEach(pid => {
+      if (!startingIds.includes(pid)) removePlayerFromRoom(room, pid, 'The host started the game without you');
+    });
+    debugLog(`[SERVER DEBUG] forceStart (${room.code}) with ${startingIds.length} player(s)`);
+    updateAllPlayers(room);
+    startNewGame(room);
+    gameState.lobbyReadies.clear();
+    for (const pid in gameState.players) gameState.players[pid].lobbyReady = false;
   });
 
   /* ---------- Champions & reset handlers ---------- */
 
   // Client requests champions data (history, current championTitles, scores)
   socket.on('getChampions', () => {
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
     // IMPORTANT: send authoritative name-keyed scores so the clients render stable snapshots
     socket.emit('championsData', {
       history: gameState.history.slice().reverse(), // newest first
       championTitles: { ...gameState.championTitles },
       // send authoritative name-keyed scores (not socket-id keyed)
       scores: { ...gameState.scores },
-      players: gameState.players
+      players: publicPlayers(gameState.players)
     });
   });
 
   // Reset scores and start next game (clears previous scores but keeps history)
   socket.on('resetScoresAndStart', (opts = {}) => {
-    console.log('[SERVER DEBUG] resetScoresAndStart requested by', socket.id, opts);
+    const room = getSocketRoom(socket); if (!room) return;
+    const { gameState } = room;
+    debugLog('[SERVER DEBUG] resetScoresAndStart requested by', socket.id, opts);
+    if (!requireHost(room, socket, 'reset the scores')) return;
+    if (!requirePhase(room, socket, 'resetScoresAndStart', 'Scores can only be reset between games')) return;
 
     // Reset authoritative name-keyed scores
     Object.keys(gameState.scores).forEach(name => {
       gameState.scores[name] = 0;
     });
-    logScoresContext('after-resetScoresAndStart');
+    logScoresContext(room, 'after-resetScoresAndStart');
 
     // Broadcast cleared scores
-    io.emit('scoresUpdated', { scores: buildScoresById(), players: gameState.players });
+    io.to(room.code).emit('scoresUpdated', { scores: buildScoresById(room), players: publicPlayers(gameState.players) });
 
     // Optionally clear championTitles if you want a full wipe - here we keep championTitles but you can reset:
     if (opts.resetChampionTitles) {
@@ -810,7 +2902,9 @@ io.on('connection', (socket) => {
     }
 
     // Move players back to lobby and clear ready flags; then, if enough players, start new game
-    gameState.gameStarted = false;
+    setPhase(room, 'lobby');
+    admitWaitingPlayers(room);
+    persistRoom(room, 'resetScoresAndStart');
     gameState.readyPlayers.clear();
     gameState.lobbyReadies.clear();
     Object.keys(gameState.players).forEach(pid => {
@@ -818,12 +2912,12 @@ io.on('connection', (socket) => {
       gameState.players[pid].lobbyReady = false;
     });
 
-    io.emit('returnToLobby');
+    io.to(room.code).emit('returnToLobby');
 
     // If enough players, automatically start a new game after a short delay
     setTimeout(() => {
-      if (Object.keys(gameState.players).length >= 3) {
-        startNewGame();
+      if (gameState.phase === 'lobby' && Object.keys(gameState.players).length >= 3) {
+        startNewGame(room);
       }
     }, 1200);
   });
@@ -832,7 +2926,24 @@ io.on('connection', (socket) => {
 
 }); // io.on connection end
 
+restoreLiveRooms();
+
+// Snapshot every room on shutdown (Render sends SIGTERM before each redeploy)
+function persistAllAndExit(signal) {
+  debugLog(`[SERVER DEBUG] ${signal} received, saving ${rooms.size} room(s)`);
+  for (const room of rooms.values()) persistRoom(room, signal);
+  process.exit(0);
+}
+process.on('SIGTERM', () => persistAllAndExit('SIGTERM'));
+process.on('SIGINT', () => persistAllAndExit('SIGINT'));
+
 server.listen(PORT, () => {
+  if (SIMULATE_GAMES) {
+    runSimulation({ url: botServerUrl(), botKey: BOT_KEY, games: SIMULATE_GAMES, verbose: SIMULATE_VERBOSE, wordsForCategory: botWordsForCategory })
+      .then(report => process.exit(report.failures.length ? 1 : 0));
+    return;
+  }
   console.log(`🎨 A FAKE ARTIST GOES TO NEW YORK server running on port ${PORT}`);
   console.log(`👉 Open http://localhost:${PORT} in your browser to play!`);
-});
\ No newline at end of file
+  restoreRoomBots();
+});
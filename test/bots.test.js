@@ -0,0 +1,50 @@
+// Bot players: how they vote and draw, and a full simulated game
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const path = require('path');
+const { BOT_STRATEGIES, chooseVote, strokePoints } = require('../server-bots');
+
+const CANDIDATES = ['Ana', 'Ben', 'Cid'];
+
+test('each strategy votes for whom it should', () => {
+  const cases = [
+    { strategy: 'herd', tally: { Ana: 1, Ben: 2 }, expected: ['Ben'] },
+    { strategy: 'contrarian', tally: { Ana: 1, Ben: 2 }, expected: ['Cid'] },
+    { strategy: 'contrarian', tally: { Ana: 1, Ben: 1, Cid: 1 }, expected: CANDIDATES },
+    { strategy: 'observant', tally: {}, ink: { Ana: 0.3, Ben: 0.05, Cid: 0.2 }, expected: ['Ben'] },
+    { strategy: 'observant', tally: { Ben: 3 }, ink: {}, expected: CANDIDATES },
+    { strategy: 'random', tally: { Ana: 5 }, expected: CANDIDATES }
+  ];
+  for (const { strategy, tally, ink, expected } of cases) {
+    for (let i = 0; i < 20; i++) {
+      const vote = chooseVote(strategy, CANDIDATES, tally, ink);
+      assert.ok(expected.includes(vote), `${strategy} voted ${vote}, expected one of ${expected}`);
+    }
+  }
+});
+
+test('a bot with nobody to vote for votes for nobody', () => {
+  for (const strategy of BOT_STRATEGIES) assert.equal(chooseVote(strategy, [], {}), null);
+});
+
+test('a stroke has the points asked for and stays on the board', () => {
+  for (let i = 0; i < 50; i++) {
+    const points = strokePoints(24);
+    assert.equal(points.length, 24);
+    for (const { x, y } of points) {
+      assert.ok(x >= 0 && x <= 1 && y >= 0 && y <= 1, `(${x}, ${y}) is off the board`);
+    }
+  }
+});
+
+test('a simulated game is played to a champion and prints only the report', { timeout: 120000 }, async () => {
+  const { code, stdout } = await new Promise(resolve => {
+    const child = execFile(process.execPath, [path.join(__dirname, '..', 'server.js'), '--simulate', '1'],
+      { timeout: 110000 }, (error, out) => resolve({ code: error ? error.code : 0, stdout: out }));
+    child.stdin.end();
+  });
+  assert.equal(code, 0, stdout);
+  assert.match(stdout, /1 of 1 game\(s\) played, no problems found/);
+  assert.doesNotMatch(stdout, /\[SERVER DEBUG\]/);
+});
@@ -0,0 +1,138 @@
+// Runs server.js in a child process and drives it with socket.io clients (for the game flow tests)
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER_FILE = path.join(__dirname, '..', 'server.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts a server with in-memory storage; env adds to (or overrides) its environment
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_FILE], {
+    env: { ...process.env, PORT: String(port), GAME_STATE_STORE: 'memory', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', d => {
+      output += d;
+      if (output.includes('running on port')) resolve();
+    });
+    child.stderr.on('data', d => { output += d; });
+    child.once('exit', code => reject(new Error(`server exited (${code}) before listening:\n${output}`)));
+  });
+  return {
+    url: `http://localhost:${port}`,
+    output: () => output,
+    stop() {
+      if (child.exitCode !== null) return Promise.resolve();
+      return new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+      });
+    }
+  };
+}
+
+function connect(url, name) {
+  const socket = io(url, { forceNew: true, transports: ['websocket'], reconnection: false });
+  socket.name = name;
+  return socket;
+}
+
+// The next `event` on socket (rejects after ms)
+function next(socket, event, ms = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`${socket.name || 'socket'} got no ${event} within ${ms} ms`));
+    }, ms);
+    function onEvent(data) {
+      clearTimeout(timer);
+      resolve(data);
+    }
+    socket.once(event, onEvent);
+  });
+}
+
+// The next `event` on socket whose payload passes test
+function nextMatching(socket, event, test, ms = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`${socket.name || 'socket'} got no matching ${event} within ${ms} ms`));
+    }, ms);
+    function onEvent(data) {
+      if (!test(data)) return;
+      clearTimeout(timer);
+      socket.off(event, onEvent);
+      resolve(data);
+    }
+    socket.on(event, onEvent);
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Creates a room hosted by names[0], seats the others and applies settings.
+// Returns the players as { socket, name, id, sessionToken }, host first.
+async function createRoom(url, names, settings = {}) {
+  const players = [];
+  for (const name of names) {
+    const socket = connect(url, name);
+    const assigned = next(socket, 'playerAssigned');
+    if (!players.length) socket.emit('createRoom', name);
+    else socket.emit('joinGame', { playerName: name, roomCode: players[0].roomCode });
+    const { playerId, sessionToken, roomCode } = await assigned;
+    players.push({ socket, name, id: playerId, sessionToken, roomCode });
+  }
+  if (Object.keys(settings).length) {
+    // Joining sends the current settings too, so wait for the ones asked for
+    const updated = nextMatching(players[0].socket, 'settingsUpdated',
+      rules => Object.keys(settings).every(key => JSON.stringify(rules[key]) === JSON.stringify(settings[key])));
+    players[0].socket.emit('updateSettings', settings);
+    await updated;
+  }
+  return players;
+}
+
+// Everyone presses start; resolves with each player's role payload, in the order of players
+async function startGame(players) {
+  const roles = players.map(p => next(p.socket, 'roleAssigned'));
+  players.forEach(p => p.socket.emit('startGame'));
+  const payloads = await Promise.all(roles);
+  payloads.forEach((role, i) => { players[i].role = role.role; });
+  return payloads;
+}
+
+// Each player draws a dot and ends their turn as soon as it comes round; returns a function that stops it
+function autoDraw(players) {
+  const handlers = players.map(p => {
+    const onTurn = ({ currentTurn }) => {
+      if (currentTurn !== p.id) return;
+      p.socket.emit('drawStart', { x: 5000, y: 5000 });
+      p.socket.emit('drawEnd');
+    };
+    p.socket.on('turnChanged', onTurn);
+    return () => p.socket.off('turnChanged', onTurn);
+  });
+  return () => handlers.forEach(off => off());
+}
+
+function closeAll(players) {
+  players.forEach(p => p.socket.close());
+}
+
+module.exports = { startServer, connect, next, nextMatching, wait, createRoom, startGame, autoDraw, closeAll };
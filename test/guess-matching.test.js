@@ -0,0 +1,97 @@
+// Guess matching: forgiving spelling, but never accepting a different word
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchGuess, timedOutGuess, normalizeWords, singularize, editDistance } = require('../server-guess-matching');
+
+// A Sports-like pool with near neighbours
+const POOL = ['Soccer', 'Basketball', 'Tennis', 'Baseball', 'Football', 'Table Tennis', 'Crab', 'Taxi'];
+
+test('normalizeWords folds case, accents, punctuation and a leading article', () => {
+  const cases = [
+    ['Ice-cream', ['ice', 'cream']],
+    ['  Crème   Brûlée! ', ['creme', 'brulee']],
+    ['a penguin', ['penguin']],
+    ['The Eiffel Tower', ['eiffel', 'tower']],
+    ['A', ['a']],
+    ['', []],
+    [null, []],
+    ['?!', []]
+  ];
+  for (const [input, expected] of cases) assert.deepEqual(normalizeWords(input), expected, String(input));
+});
+
+test('singularize maps common plurals onto the singular', () => {
+  const cases = [
+    ['penguins', 'penguin'],
+    ['butterflies', 'butterfly'],
+    ['sandwiches', 'sandwich'],
+    ['boxes', 'box'],
+    ['glasses', 'glass'],
+    ['grass', 'grass'],
+    ['bus', 'bus'],
+    ['cat', 'cat']
+  ];
+  for (const [input, expected] of cases) assert.equal(singularize(input), expected, input);
+});
+
+test('editDistance counts single-letter edits', () => {
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+  assert.equal(editDistance('baseball', 'basketball'), 2);
+  assert.equal(editDistance('', 'abc'), 3);
+  assert.equal(editDistance('same', 'same'), 0);
+});
+
+test('matchGuess accepts the secret word however it is typed', () => {
+  const cases = [
+    ['Penguin', 'Penguin', 'exact'],
+    ['penguin', 'Penguin', 'exact'],
+    ['a Penguin', 'Penguin', 'normalized'],
+    ['Ice cream', 'Ice-Cream', 'normalized'],
+    ['Penguins', 'Penguin', 'plural'],
+    ['Penguim', 'Penguin', 'typo'],
+    ['Elephnt', 'Elephant', 'typo'],
+    ['Basebal', 'Baseball', 'typo'],
+    // The secret word wins over a sibling within typo reach
+    ['Baseball', 'Baseball', 'exact'],
+    ['Tennis', 'Tennis', 'exact']
+  ];
+  for (const [guess, secret, reason] of cases) {
+    const result = matchGuess(guess, secret, [], POOL);
+    assert.equal(result.accepted, true, `${guess} for ${secret}`);
+    assert.equal(result.reason, reason, `${guess} for ${secret}`);
+  }
+});
+
+test('matchGuess accepts aliases, including short ones near another word', () => {
+  const result = matchGuess('cab', 'Taxi', ['Cab'], POOL);
+  assert.equal(result.accepted, true);
+  assert.equal(result.matched, 'Cab');
+  assert.match(result.reasonText, /alias "Cab"/);
+  assert.equal(matchGuess('Crocodiles', 'Alligator', ['Crocodile', 'Gator'], POOL).reason, 'plural');
+});
+
+test('matchGuess rejects other words in play and their near misses', () => {
+  const cases = [
+    ['Basketball', 'Baseball'],
+    ['Baseball', 'Basketball'],
+    ['Basketbal', 'Baseball'],
+    ['Football', 'Soccer'],
+    ['Crab', 'Taxi'],
+    ['Table Tennis', 'Tennis']
+  ];
+  for (const [guess, secret] of cases) {
+    const result = matchGuess(guess, secret, [], POOL);
+    assert.equal(result.accepted, false, `${guess} for ${secret}`);
+    assert.equal(result.reason, 'otherWord', `${guess} for ${secret}`);
+  }
+  // Even when a pack lists it as an alias
+  assert.equal(matchGuess('Football', 'Soccer', ['Football'], POOL).accepted, false);
+});
+
+test('matchGuess rejects wrong, empty and missing guesses', () => {
+  assert.equal(matchGuess('Giraffe', 'Penguin', [], POOL).reason, 'noMatch');
+  assert.equal(matchGuess('Cat', 'Car', [], []).reason, 'noMatch'); // short words allow no typos
+  assert.equal(matchGuess('   ', 'Penguin').reason, 'empty');
+  assert.equal(matchGuess(42, 'Penguin').reason, 'empty');
+  assert.deepEqual(timedOutGuess(), { accepted: false, reason: 'timeout', reasonText: timedOutGuess().reasonText, matched: null });
+});
@@ -0,0 +1,58 @@
+// Phase model: the allowed transitions and which events each phase takes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PHASES, TRANSITIONS, EVENT_PHASES, canTransition, isGamePhase, phaseAccepts } = require('../server-phases');
+
+test('a full game can be walked through phase by phase', () => {
+  const paths = [
+    ['lobby', 'roleReveal', 'drawing', 'drawing', 'voting', 'results', 'roleReveal'],
+    ['lobby', 'wordPick', 'roleReveal', 'drawing', 'voting', 'voting', 'tieDecision', 'results', 'fakeGuess', 'results', 'victory'],
+    ['victory', 'wordPick', 'roleReveal', 'drawing', 'voting', 'results', 'wordPick']
+  ];
+  for (const path of paths) {
+    for (let i = 1; i < path.length; i++) assert.ok(canTransition(path[i - 1], path[i]), `${path[i - 1]} -> ${path[i]}`);
+  }
+});
+
+test('skipping ahead or going back is refused', () => {
+  const refused = [
+    ['lobby', 'drawing'],
+    ['lobby', 'victory'],
+    ['roleReveal', 'voting'],
+    ['drawing', 'results'],
+    ['voting', 'fakeGuess'],
+    ['results', 'voting'],
+    ['fakeGuess', 'victory'],
+    ['victory', 'results'],
+    ['wordPick', 'wordPick']
+  ];
+  for (const [from, to] of refused) assert.equal(canTransition(from, to), false, `${from} -> ${to}`);
+});
+
+test('every phase may return to the lobby, unknown phases go nowhere', () => {
+  PHASES.forEach(phase => assert.ok(canTransition(phase, 'lobby'), phase));
+  assert.equal(canTransition('lobby', 'nap'), false);
+  assert.equal(canTransition('nap', 'lobby'), false);
+});
+
+test('the tables only name known phases', () => {
+  assert.deepEqual(Object.keys(TRANSITIONS).sort(), PHASES.slice().sort());
+  Object.values(TRANSITIONS).flat().forEach(phase => assert.ok(PHASES.includes(phase), phase));
+  Object.values(EVENT_PHASES).flat().forEach(phase => assert.ok(PHASES.includes(phase), phase));
+});
+
+test('a game is being played outside the lobby and the champions screen', () => {
+  assert.deepEqual(PHASES.filter(isGamePhase), ['wordPick', 'roleReveal', 'drawing', 'voting', 'tieDecision', 'fakeGuess', 'results']);
+  assert.equal(isGamePhase('nap'), false);
+});
+
+test('phase-bound events are only accepted in their phases', () => {
+  assert.ok(phaseAccepts('drawing', 'drawPoints'));
+  assert.equal(phaseAccepts('voting', 'drawPoints'), false);
+  assert.ok(phaseAccepts('victory', 'startGame'));
+  assert.equal(phaseAccepts('drawing', 'updateSettings'), false);
+  assert.equal(phaseAccepts('results', 'submitVote'), false);
+  assert.ok(phaseAccepts('results', 'resetScoresAndStart'));
+  // Events the table does not list are not phase-bound
+  assert.ok(phaseAccepts('drawing', 'getChampions'));
+});
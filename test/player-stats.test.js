@@ -0,0 +1,54 @@
+// The player stats API against a running server: the ?room= filter on the list and on one player
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, next, createRoom, startGame, autoDraw, closeAll } = require('./game-server');
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(() => server.stop());
+
+// Plays one single-round game; the first real artist takes the blame, so the fake gets away
+async function playOneGame(names) {
+  const players = await createRoom(server.url, names, { totalRounds: 1, turnSeconds: 0, voteSeconds: 0 });
+  try {
+    await startGame(players);
+    const voting = next(players[0].socket, 'startVoting');
+    const stopDrawing = autoDraw(players);
+    players.forEach(p => p.socket.emit('playerReady'));
+    await voting;
+    stopDrawing();
+
+    const [accused, other] = players.filter(p => p.role !== 'fake');
+    const outcome = next(players[0].socket, 'winnerCountdown');
+    players.forEach(p => p.socket.emit('submitVote', p === accused ? other.name : accused.name));
+    await outcome;
+    return players[0].roomCode;
+  } finally {
+    closeAll(players);
+  }
+}
+
+async function getJson(url) {
+  const res = await fetch(url);
+  return { status: res.status, body: await res.json() };
+}
+
+test('both stats endpoints count only the rounds of the room asked for', async () => {
+  const first = await playOneGame(['Ana', 'Ben', 'Cid']);
+  const second = await playOneGame(['Ana', 'Dee', 'Eve']);
+
+  const all = await getJson(`${server.url}/api/stats/ana`);
+  assert.equal(all.status, 200);
+  assert.equal(all.body.gamesPlayed, 2);
+
+  for (const room of [first, second]) {
+    const one = await getJson(`${server.url}/api/stats/Ana?room=${room.toLowerCase()}`);
+    assert.equal(one.body.gamesPlayed, 1);
+    const list = await getJson(`${server.url}/api/stats?room=${room}`);
+    assert.equal(list.body.players.find(p => p.name === 'Ana').gamesPlayed, 1);
+  }
+
+  // Asking for all rooms again is not answered from one room's cached stats
+  assert.equal((await getJson(`${server.url}/api/stats/Ana`)).body.gamesPlayed, 2);
+  assert.equal((await getJson(`${server.url}/api/stats/Ben?room=${second}`)).status, 404);
+});
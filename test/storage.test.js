@@ -0,0 +1,70 @@
+// Game state storage: normalizing what was read, the legacy leaderboard and the JSON file store
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LEGACY_ROOM_CODE, createJsonFileStore, normalizeState } = require('../server-storage');
+
+const NOW = Date.parse('2026-01-31T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+test('a pre-rooms leaderboard becomes the legacy room', () => {
+  const legacy = {
+    scores: { RICO: 3, rex: '2', Neil: 'lots' },
+    championTitles: { RICO: 1 },
+    history: [{ champions: ['RICO'], scoresSnapshot: { RICO: 5 }, time: '2025-01-01T00:00:00.000Z' }, 'junk']
+  };
+  const state = normalizeState(legacy, NOW);
+  assert.deepEqual(Object.keys(state.rooms), [LEGACY_ROOM_CODE]);
+  const room = state.rooms[LEGACY_ROOM_CODE];
+  assert.deepEqual(room.scores, { RICO: 3, rex: 2 });
+  assert.deepEqual(room.championTitles, { RICO: 1 });
+  assert.deepEqual(room.history, [{ champions: ['RICO'], scoresSnapshot: { RICO: 5 }, time: '2025-01-01T00:00:00.000Z' }]);
+  assert.equal(room.live, null);
+});
+
+test('the repo\'s game-state.json keeps its leaderboard', () => {
+  const raw = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'game-state.json'), 'utf8'));
+  const room = normalizeState(raw, NOW).rooms[LEGACY_ROOM_CODE];
+  assert.deepEqual(Object.keys(room.scores), Object.keys(raw.scores));
+});
+
+test('partial and broken input normalizes to well-formed state', () => {
+  assert.deepEqual(normalizeState(null), { rooms: {}, wordPacks: {} });
+  assert.deepEqual(normalizeState({ rooms: [] }), { rooms: {}, wordPacks: {} });
+  const state = normalizeState({ rooms: { ABCDE: { scores: { Ann: 1 }, live: { phase: 'lobby', players: {} } } } }, NOW);
+  assert.deepEqual(state.rooms.ABCDE.scores, { Ann: 1 });
+  assert.equal(state.rooms.ABCDE.live, null);
+  assert.deepEqual(state.rooms.ABCDE.usedWords, []);
+});
+
+test('idle rooms are only pruned when a retention is set', () => {
+  const raw = { rooms: { OLD22: { updatedAt: new Date(NOW - 40 * DAY).toISOString() }, NEW22: { updatedAt: new Date(NOW - DAY).toISOString() } } };
+  assert.deepEqual(Object.keys(normalizeState(raw, NOW, 0).rooms), ['OLD22', 'NEW22']);
+  assert.deepEqual(Object.keys(normalizeState(raw, NOW, 30 * DAY).rooms), ['NEW22']);
+});
+
+test('the JSON file store starts from its seed, saves elsewhere and sets corrupt files aside', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-artist-store-'));
+  try {
+    const seedPath = path.join(dir, 'seed.json');
+    const filePath = path.join(dir, 'data', 'game-state.json');
+    fs.writeFileSync(seedPath, JSON.stringify({ scores: { Ann: 4 } }));
+    const store = createJsonFileStore(filePath, { seedPath });
+
+    const state = store.load();
+    assert.deepEqual(state.rooms[LEGACY_ROOM_CODE].scores, { Ann: 4 });
+    state.rooms[LEGACY_ROOM_CODE].scores.Ann = 5;
+    assert.equal(store.save(state), true);
+    assert.deepEqual(store.load().rooms[LEGACY_ROOM_CODE].scores, { Ann: 5 });
+    assert.deepEqual(JSON.parse(fs.readFileSync(seedPath, 'utf8')), { scores: { Ann: 4 } });
+
+    fs.writeFileSync(filePath, '{ not json');
+    assert.deepEqual(store.load(), { rooms: {}, wordPacks: {} });
+    assert.equal(fs.existsSync(filePath), false);
+    assert.equal(fs.readdirSync(path.dirname(filePath)).filter(f => f.startsWith('game-state.json.corrupt-')).length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,118 @@
+// Tied votes against a running server: the run-off, the host's decision and a restored tie
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, connect, next, createRoom, startGame, autoDraw, closeAll } = require('./game-server');
+
+const RULES = { totalRounds: 1, turnSeconds: 0, voteSeconds: 0, tieBreak: 'revote' };
+
+// Ana and Ben get two votes each
+const TIED_VOTES = { Ana: 'Ben', Ben: 'Ana', Cid: 'Ana', Dee: 'Ben' };
+
+async function playToVoting(players) {
+  await startGame(players);
+  const voting = next(players[0].socket, 'startVoting');
+  const stopDrawing = autoDraw(players);
+  players.forEach(p => p.socket.emit('playerReady'));
+  await voting;
+  stopDrawing();
+}
+
+function vote(players, votes) {
+  players.forEach(p => p.socket.emit('submitVote', votes[p.name]));
+}
+
+test.describe('with a running server', () => {
+  let server;
+  test.before(async () => { server = await startServer(); });
+  test.after(() => server.stop());
+
+  test('a tie starts a run-off between the tied players only', async () => {
+    const players = await createRoom(server.url, ['Ana', 'Ben', 'Cid', 'Dee'], { ...RULES, secondTieRule: 'fakeWins' });
+    try {
+      await playToVoting(players);
+      const runoff = next(players[0].socket, 'startVoting');
+      vote(players, TIED_VOTES);
+      const { runoff: { candidates } } = await runoff;
+      assert.deepEqual(candidates.sort(), ['Ana', 'Ben']);
+
+      const refused = next(players[2].socket, 'error');
+      players[2].socket.emit('submitVote', 'Dee');
+      assert.match(await refused, /run-off is between/);
+
+      const results = next(players[0].socket, 'votingResults');
+      vote(players, { Ana: 'Ben', Ben: 'Ana', Cid: 'Ana', Dee: 'Ana' });
+      const { accusedPlayerName, runoff: { firstRoundCounts }, tieResolvedBy } = await results;
+      assert.equal(accusedPlayerName, 'Ana');
+      assert.deepEqual(firstRoundCounts, { Ana: 2, Ben: 2 });
+      assert.equal(tieResolvedBy, null);
+    } finally {
+      closeAll(players);
+    }
+  });
+
+  test('the host settles a run-off that ties again', async () => {
+    const players = await createRoom(server.url, ['Ana', 'Ben', 'Cid', 'Dee'], { ...RULES, secondTieRule: 'host' });
+    try {
+      await playToVoting(players);
+      const runoff = next(players[0].socket, 'startVoting');
+      vote(players, TIED_VOTES);
+      await runoff;
+
+      const prompt = next(players[0].socket, 'tieDecisionPrompt');
+      vote(players, TIED_VOTES);
+      assert.deepEqual((await prompt).candidates.sort(), ['Ana', 'Ben']);
+
+      const refused = next(players[1].socket, 'error');
+      players[1].socket.emit('resolveTie', 'Ana');
+      assert.match(await refused, /host/i);
+
+      const results = next(players[0].socket, 'votingResults');
+      players[0].socket.emit('resolveTie', 'ben');
+      const { accusedPlayerName, tieResolvedBy } = await results;
+      assert.equal(accusedPlayerName, 'Ben');
+      assert.equal(tieResolvedBy, 'host');
+    } finally {
+      closeAll(players);
+    }
+  });
+});
+
+test('a restored tie decision without the tie refuses resolveTie instead of crashing', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-artist-tie-'));
+  const seat = (id, name) => ({ id, name, color: '#FF6B6B', sessionToken: `token-${name}`, isFakeArtist: id === 'old-2' });
+  const players = { 'old-1': seat('old-1', 'Ana'), 'old-2': seat('old-2', 'Ben'), 'old-3': seat('old-3', 'Cid') };
+  const live = {
+    phase: 'tieDecision',
+    players,
+    hostName: 'Ana',
+    fakeArtist: 'old-2',
+    category: 'Animals',
+    secretWord: 'Cat',
+    votingCache: { players, drawing: [] }
+  };
+  fs.writeFileSync(path.join(dataDir, 'game-state.json'), JSON.stringify({ rooms: { TIEDD: { live } } }));
+
+  const server = await startServer({ GAME_STATE_STORE: 'json', DATA_DIR: dataDir });
+  const socket = connect(server.url, 'Ana');
+  try {
+    const assigned = next(socket, 'playerAssigned');
+    socket.emit('joinGame', { playerName: 'Ana', roomCode: 'TIEDD', sessionToken: 'token-Ana' });
+    await assigned;
+
+    const refused = next(socket, 'error');
+    socket.emit('resolveTie', 'Ben');
+    assert.equal(await refused, 'There is no tie to settle');
+
+    // Still up and still in the same phase
+    const state = next(socket, 'syncState');
+    socket.emit('requestState');
+    assert.equal((await state).phase, 'tieDecision');
+  } finally {
+    socket.close();
+    await server.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
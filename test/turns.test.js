@@ -0,0 +1,90 @@
+// Drawing turns against a running server: the turn limit, and players who drop out
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, next, createRoom, startGame, autoDraw, closeAll } = require('./game-server');
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(() => server.stop());
+
+// Who holds the turn each time it changes, as seen by socket (call the returned function to stop)
+function recordTurns(socket) {
+  const turns = [];
+  const onTurn = ({ currentTurn }) => turns.push(currentTurn);
+  socket.on('turnChanged', onTurn);
+  return { turns, stop: () => socket.off('turnChanged', onTurn) };
+}
+
+test('the turn limit passes each turn on when nobody draws', async () => {
+  const players = await createRoom(server.url, ['Ana', 'Ben', 'Cid'], { totalRounds: 1, turnSeconds: 1 });
+  try {
+    await startGame(players);
+    const { turns, stop } = recordTurns(players[0].socket);
+    const voting = next(players[0].socket, 'startVoting');
+    players.forEach(p => p.socket.emit('playerReady'));
+    const { drawing } = await voting;
+    stop();
+    assert.deepEqual(turns, [...players.map(p => p.id), null]);
+    assert.deepEqual(drawing, []);
+  } finally {
+    closeAll(players);
+  }
+});
+
+test('the turn of a player who dropped out is passed on without a turn limit', async () => {
+  const players = await createRoom(server.url, ['Ana', 'Ben', 'Cid'], { totalRounds: 1, turnSeconds: 0 });
+  try {
+    await startGame(players);
+    const [host, leaver, last] = players;
+    leaver.socket.on('turnChanged', ({ currentTurn }) => {
+      if (currentTurn === leaver.id) leaver.socket.close();
+    });
+    const stopDrawing = autoDraw([host, last]);
+    const voting = next(host.socket, 'startVoting', 8000);
+    players.forEach(p => p.socket.emit('playerReady'));
+    await voting;
+    stopDrawing();
+  } finally {
+    closeAll(players);
+  }
+});
+
+test('a player who dropped out during the role reveal is not waited for and sits out the next game', async () => {
+  const players = await createRoom(server.url, ['Ana', 'Ben', 'Cid', 'Dee'], { totalRounds: 1, turnSeconds: 0, voteSeconds: 0 });
+  try {
+    await startGame(players);
+    const leaver = players.slice(1).find(p => p.role !== 'fake');
+    const stayers = players.filter(p => p !== leaver);
+    leaver.socket.close();
+
+    const stopDrawing = autoDraw(stayers);
+    const firstGame = recordTurns(stayers[0].socket);
+    let voting = next(stayers[0].socket, 'startVoting', 8000);
+    stayers.forEach(p => p.socket.emit('playerReady'));
+    await voting;
+    firstGame.stop();
+    assert.ok(!firstGame.turns.includes(leaver.id));
+
+    const outcome = next(stayers[0].socket, 'winnerCountdown');
+    stayers.forEach(p => p.socket.emit('submitVote', leaver.name));
+    await outcome;
+
+    // The next game deals roles to the players who are here, one of them the fake
+    const roles = stayers.map(p => next(p.socket, 'roleAssigned'));
+    stayers.forEach(p => p.socket.emit('startNextRoundReady'));
+    assert.equal((await Promise.all(roles)).filter(r => r.role === 'fake').length, 1);
+
+    // ...and starts drawing as soon as they are ready, without a turn for the one who left
+    const nextGame = recordTurns(stayers[0].socket);
+    const drawing = next(stayers[0].socket, 'startDrawing', 2000);
+    voting = next(stayers[0].socket, 'startVoting');
+    stayers.forEach(p => p.socket.emit('playerReady'));
+    await drawing;
+    await voting;
+    nextGame.stop();
+    stopDrawing();
+    assert.deepEqual(nextGame.turns.filter(Boolean).sort(), stayers.map(p => p.id).sort());
+  } finally {
+    closeAll(players);
+  }
+});
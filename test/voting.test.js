@@ -0,0 +1,68 @@
+// Voting against a running server: the deadline, and a player who leaves before the votes are in
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, next, createRoom, startGame, autoDraw, closeAll } = require('./game-server');
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(() => server.stop());
+
+// Plays the roleReveal and the drawing of a one-round game; resolves with the startVoting payload
+async function drawOneRound(players) {
+  const voting = next(players[0].socket, 'startVoting');
+  const stopDrawing = autoDraw(players);
+  players.forEach(p => p.socket.emit('playerReady'));
+  const payload = await voting;
+  stopDrawing();
+  return payload;
+}
+
+test('the vote closes at the deadline and counts who did not vote as abstaining', async () => {
+  const players = await createRoom(server.url, ['Ana', 'Ben', 'Cid'], { totalRounds: 1, voteSeconds: 1 });
+  try {
+    await startGame(players);
+    const voting = await drawOneRound(players);
+    assert.equal(voting.voteSeconds, 1);
+
+    const results = next(players[0].socket, 'votingResults');
+    players[0].socket.emit('submitVote', 'Ben');
+    const { abstentions, voteCounts } = await results;
+    assert.deepEqual(abstentions.sort(), ['Ben', 'Cid']);
+    assert.deepEqual(voteCounts, { Ben: 1 });
+  } finally {
+    closeAll(players);
+  }
+});
+
+test('a player who left mid-round does not hold up the next game', async () => {
+  const players = await createRoom(server.url, ['Ana', 'Ben', 'Cid', 'Dee'], { totalRounds: 1, turnSeconds: 1, voteSeconds: 0 });
+  try {
+    await startGame(players);
+    // Someone other than the host and the fake leaves once the drawing has started (if it was
+    // their turn, the one-second turn limit passes it on)
+    const leaver = players.slice(1).find(p => p.role !== 'fake');
+    const stayers = players.filter(p => p !== leaver);
+    const voting = next(players[0].socket, 'startVoting');
+    const stopDrawing = autoDraw(stayers);
+    const drawingStarted = next(players[0].socket, 'startDrawing');
+    players.forEach(p => p.socket.emit('playerReady'));
+    await drawingStarted;
+    leaver.socket.close();
+    await voting;
+    stopDrawing();
+
+    // Everyone left accuses the player who is gone, so the fake gets away
+    const ready = next(players[0].socket, 'nextRoundReadyUpdate');
+    const outcome = next(players[0].socket, 'winnerCountdown');
+    stayers.forEach(p => p.socket.emit('submitVote', leaver.name));
+    const { requiredNames } = await ready;
+    assert.deepEqual([...requiredNames].sort(), stayers.map(p => p.name).sort());
+    await outcome;
+
+    const nextGame = stayers.map(p => next(p.socket, 'roleAssigned'));
+    stayers.forEach(p => p.socket.emit('startNextRoundReady'));
+    await Promise.all(nextGame);
+  } finally {
+    closeAll(players);
+  }
+});
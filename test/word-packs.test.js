@@ -0,0 +1,96 @@
+// Word packs: validation of user packs, import files, lobby selections and the word pool
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BUILT_IN_PACK_ID, LIMITS, builtInPack, generateEditToken, canEditPack, publicPack, validatePack, unwrapImport,
+  exportPack, uniquePackName, validateSelection, buildWordPool
+} = require('../server-word-packs');
+
+const CLASSIC = builtInPack({ categories: { Animals: ['Lion', 'Tiger'], Food: ['Pizza'] }, aliases: { Lion: ['Lioness'] } });
+const MOVIES = { id: 'p_movies', name: 'Movies', categories: { Films: ['Jaws', 'Alien'] }, aliases: {} };
+const PACKS = { [BUILT_IN_PACK_ID]: CLASSIC, [MOVIES.id]: MOVIES };
+
+test('validatePack cleans a good pack', () => {
+  const { pack, errors } = validatePack({
+    name: '  My   pack ',
+    categories: { ' Birds ': ['Owl', ' Eagle ', '', 42], Fish: ['Shark'] },
+    aliases: { owl: ['Barn owl', ''] }
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(pack, {
+    name: 'My pack',
+    categories: { Birds: ['Owl', 'Eagle'], Fish: ['Shark'] },
+    aliases: { Owl: ['Barn owl'] }
+  });
+});
+
+test('validatePack reports every problem', () => {
+  const cases = [
+    [{ categories: { A: ['x'] } }, /needs a name/],
+    [{ name: 'x'.repeat(LIMITS.packNameLength + 1), categories: { A: ['x'] } }, /at most 40 characters/],
+    [{ name: 'P' }, /at least one category/],
+    [{ name: 'P', categories: { A: [] } }, /"A" has no words/],
+    [{ name: 'P', categories: { Café: ['x'], cafe: ['y'] } }, /"cafe" appears more than once/],
+    [{ name: 'P', categories: { A: ['Owl'], B: ['owl'] } }, /"owl" appears more than once \(in A and B\)/],
+    [{ name: 'P', categories: { A: ['x'.repeat(LIMITS.wordLength + 1)] } }, /longer than 40 characters/],
+    [{ name: 'P', categories: { A: ['Owl'] }, aliases: ['Owl'] }, /Aliases must map/],
+    [{ name: 'P', categories: { A: ['Owl'] }, aliases: { Cat: ['Kitty'] } }, /"Cat", which is not in the pack/],
+    [{ name: 'P', categories: { A: ['Owl'] }, aliases: { Owl: Array(LIMITS.aliasesPerWord + 1).fill('o') } }, /more than 10 aliases/],
+    [null, /needs a name/]
+  ];
+  for (const [input, pattern] of cases) {
+    const { errors } = validatePack(input);
+    assert.ok(errors.some(e => pattern.test(e)), `${JSON.stringify(input)}: ${errors.join('; ')}`);
+  }
+});
+
+test('validatePack enforces the size limits', () => {
+  const words = n => Array.from({ length: n }, (_, i) => `w${i}`);
+  assert.match(validatePack({ name: 'P', categories: { A: words(LIMITS.wordsPerCategory + 1) } }).errors.join(), /more than 200 words/);
+  const many = Object.fromEntries(Array.from({ length: LIMITS.categoriesPerPack + 1 }, (_, i) => [`c${i}`, [`w${i}`]]));
+  assert.match(validatePack({ name: 'P', categories: many }).errors.join(), /at most 30 categories/);
+});
+
+test('exported packs import again, other file versions do not', () => {
+  const file = exportPack(MOVIES);
+  assert.deepEqual(unwrapImport(file), { input: { name: 'Movies', categories: MOVIES.categories, aliases: {} } });
+  assert.deepEqual(unwrapImport(MOVIES), { input: MOVIES });
+  assert.match(unwrapImport({ ...file, version: 99 }).error, /version 99/);
+});
+
+test('only the edit token opens a pack for changes, and it is never shown', () => {
+  const editToken = generateEditToken();
+  const pack = { ...MOVIES, editToken };
+  assert.ok(canEditPack(pack, editToken));
+  assert.equal(canEditPack(pack, generateEditToken()), false);
+  assert.equal(canEditPack(pack, editToken.slice(1)), false);
+  assert.equal(canEditPack(pack, undefined), false);
+  assert.equal(canEditPack(MOVIES, ''), false); // stored without a token: read-only
+  assert.equal('editToken' in publicPack(pack), false);
+  assert.equal('editToken' in exportPack(pack).pack, false);
+});
+
+test('uniquePackName numbers clashing names', () => {
+  const packs = [{ id: 'a', name: 'Movies' }, { id: 'b', name: 'Movies (2)' }];
+  assert.equal(uniquePackName('Films', packs), 'Films');
+  assert.equal(uniquePackName('movies', packs), 'movies (3)');
+  assert.equal(uniquePackName('Movies', packs, 'a'), 'Movies');
+});
+
+test('validateSelection keeps known categories and needs at least one', () => {
+  assert.deepEqual(validateSelection({ [MOVIES.id]: ['Films', 'Films'] }, PACKS), { selection: { [MOVIES.id]: ['Films'] }, errors: [] });
+  assert.match(validateSelection({ p_gone: ['Films'] }, PACKS).errors[0], /no longer exists/);
+  assert.match(validateSelection({ [MOVIES.id]: ['Music'] }, PACKS).errors[0], /no category "Music"/);
+  assert.match(validateSelection({}, PACKS).errors[0], /at least one category/);
+  // Ids come from clients: never found through the prototype
+  assert.match(validateSelection(JSON.parse('{"__proto__": ["x"]}'), PACKS).errors[0], /no longer exists/);
+});
+
+test('buildWordPool lists the enabled words and falls back to the built-in pack', () => {
+  assert.deepEqual(buildWordPool({ [BUILT_IN_PACK_ID]: ['Animals'] }, PACKS), [
+    { packId: BUILT_IN_PACK_ID, category: 'Animals', word: 'Lion', aliases: ['Lioness'] },
+    { packId: BUILT_IN_PACK_ID, category: 'Animals', word: 'Tiger', aliases: [] }
+  ]);
+  const fallback = buildWordPool({ p_gone: ['Films'], [MOVIES.id]: ['Deleted'] }, PACKS);
+  assert.deepEqual(fallback.map(e => e.word), ['Lion', 'Tiger', 'Pizza']);
+});